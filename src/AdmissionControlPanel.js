@@ -0,0 +1,90 @@
+import React from 'react';
+import { WHEN_FULL_ACTIONS } from './scheduler';
+
+const inputStyle = { width: 70, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, marginBottom: 4 };
+
+/**
+ * Parses a limit input: an empty field means "no limit" (null)
+ */
+const parseLimit = (value) => (value === '' ? null : Math.max(0, Number(value)));
+
+/**
+ * Admission Control Panel
+ *
+ * @param {Object} admissionControl - { auto, rate, maxBacklog, groupCapacity, whenFull }
+ * @param {Array} classes - Priority classes, one capacity limit each: [{ id, name }]
+ * @param {number} rejectedCount - Number of tasks rejected so far
+ * @param {Function} onChange - Called with the changed admission control fields
+ */
+const AdmissionControlPanel = ({ admissionControl, classes, rejectedCount, onChange }) => {
+  const { auto, rate, maxBacklog, groupCapacity, whenFull } = admissionControl;
+
+  return (
+    <div style={{ marginBottom: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Admission Control</h4>
+
+      <label style={{ ...rowStyle, justifyContent: 'flex-start', gap: 6, fontWeight: 'bold' }}>
+        <input type="checkbox" checked={auto} onChange={(e) => onChange({ auto: e.target.checked })} />
+        Auto-admit
+      </label>
+
+      <label style={rowStyle}>
+        Rate (admissions / 100)
+        <input
+          type="number"
+          min="0.5"
+          step="0.5"
+          style={inputStyle}
+          value={rate}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            // Ignore empty or non-positive input while the user is typing
+            if (value > 0) onChange({ rate: value });
+          }}
+        />
+      </label>
+
+      <label style={rowStyle}>
+        Max total backlog (work)
+        <input
+          type="number"
+          min="0"
+          placeholder="no limit"
+          style={inputStyle}
+          value={maxBacklog === null ? '' : maxBacklog}
+          onChange={(e) => onChange({ maxBacklog: parseLimit(e.target.value) })}
+        />
+      </label>
+
+      {classes.map(({ id, name }) => (
+        <label key={id} style={rowStyle}>
+          {name} class capacity (tasks)
+          <input
+            type="number"
+            min="0"
+            placeholder="no limit"
+            style={inputStyle}
+            value={groupCapacity[id] === null || groupCapacity[id] === undefined ? '' : groupCapacity[id]}
+            onChange={(e) => onChange({ groupCapacity: { [id]: parseLimit(e.target.value) } })}
+          />
+        </label>
+      ))}
+
+      <label style={rowStyle}>
+        When full
+        <select style={inputStyle} value={whenFull} onChange={(e) => onChange({ whenFull: e.target.value })}>
+          {Object.entries(WHEN_FULL_ACTIONS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ fontSize: 12, marginTop: 8, color: rejectedCount > 0 ? '#d32f2f' : '#888' }}>
+        Rejected tasks: <strong>{rejectedCount}</strong>
+      </div>
+    </div>
+  );
+};
+
+export default AdmissionControlPanel;
@@ -1,595 +1,168 @@
 // Import React hooks and components
-import React, { useState, useEffect } from 'react';
-import logo from './logo.svg';
+import React, { useEffect, useState } from 'react';
 import './App.css';
 import QueueComponent from './QueueComponent';
+import MetricsPanel from './MetricsPanel';
+import GanttChart from './GanttChart';
+import WorkloadPanel from './WorkloadPanel';
+import AdmissionControlPanel from './AdmissionControlPanel';
+import SimulationControls from './SimulationControls';
+import SnapshotPanel from './SnapshotPanel';
+import EventLogPanel from './EventLogPanel';
+import TracePanel from './TracePanel';
+import QueueSettingsForm from './QueueSettingsForm';
+import PriorityClassPanel from './PriorityClassPanel';
+import WorkflowPanel from './WorkflowPanel';
+import RealtimePanel from './RealtimePanel';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import TaskMenu from './TaskMenu';
+import TaskFormPanel from './TaskFormPanel';
+import useScheduler from './useScheduler';
+import { ADMISSION_POLICIES } from './admissionPolicies';
+import { describeTask } from './tasks';
+import { decodeScenario } from './snapshots';
+import { classForType } from './priorityClasses';
+import { STEALING_STRATEGIES } from './stealingStrategies';
+import { blockedBy } from './workflows';
+import { deadlineStats } from './realtime';
+import { PROCESSOR_MODES } from './scheduler';
+import { draggableTask, taskDropTarget } from './taskInteractions';
+import { useActionStatus } from './useActionStatus';
 
 /**
  * Queue Management System Component
  * 
  * This component simulates a multi-level queue scheduling system with:
  * - Main task queue where new tasks are added
- * - Multiple sub-queues: 1 high priority queue and 3 regular priority queues
+ * - Multiple sub-queues: 1 high priority queue and 4 regular priority queues by default
  * - Task processing with visual progress bars
  * - Load balancing for regular priority tasks
+ * - Selectable admission policy for routing tasks within a priority group
+ * - Per-queue scheduling discipline (FIFO, SJF, SRTF, LIFO, Round Robin, EDF, Rate Monotonic)
+ * - Optional multi-level feedback queue (MLFQ) mode moving tasks between priority groups
+ * - Live statistics panel (waiting, turnaround, response, throughput, utilization)
+ * - Gantt timeline of task execution per queue
+ * - Seeded workload generator streaming tasks into the main queue
+ * - Admission control with optional automatic admission, capacity limits and rejection
+ * - Simulation clock with play/pause, single stepping by tick or event and adjustable speed
+ * - Named snapshots in localStorage, JSON export/import and shareable scenario links
+ * - Filterable event log of every transition, with a replay scrubber to jump to any point of the run
+ * - CSV/JSON trace import with scheduled arrivals and per-task results export
+ * - Named queues with a capacity limit and processing speed, created and edited from a form
+ * - Per-queue remove, graceful drain and pause/resume actions
+ * - User-defined priority classes with their own queues, color and weight, sharing capacity side by side,
+ *   preemptively or by weighted fair queueing
+ * - Selectable work-stealing strategy (last, half, largest, smallest, threshold), cross-class help or no stealing at all
+ * - Shared-processor mode where a fixed pool of workers serves all queues with preemptive or strict priority
+ * - Task dependencies: workflows (DAGs) entered as JSON, with dependent tasks blocked in the main queue
+ * - Real-time scheduling: deadlines, periodic tasks, EDF and Rate Monotonic disciplines, deadline miss
+ *   reporting and a utilization bound schedulability check
+ * - Debug mode checking the state invariants every tick, with a diagnostics panel listing violations
+ * - Custom task form with exact duration, priority, label and count, and textbook scenario presets
+ * - Manual interventions: drag tasks between queues or reorder them, and right-click a task to change
+ *   its priority or duration or cancel it
+ * 
+ * The scheduling rules live in the headless engine (scheduler.js); this component
+ * only renders its state and forwards user actions through the useScheduler hook.
  */
 function App() {
-  // ==================== STATE MANAGEMENT ====================
-  
-  /**
-   * Controls whether progress bar decrementation is paused
-   * Used to prevent progress updates immediately after admitting a task (0.5s pause)
-   */
-  const [decrementPaused, setDecrementPaused] = useState(false);
+  // ==================== SCHEDULER STATE ====================
   
   /**
-   * Main task queue - holds tasks waiting to be admitted to sub-queues
-   * Each task structure: { value: number, type: 'normal' | 'high' }
-   * - value: represents task duration/complexity
-   * - type: determines which sub-queue the task will be routed to
+   * Engine state mirrored into React:
+   * - queue: task records waiting to be admitted (see tasks.js), each with a duration, the type of its priority class
+   *   and the ids of the tasks it depends on
+   * - classes / classSharing: priority classes { id, name, color, weight }, most urgent first, and how they share capacity
+   * - groups: queue names for each priority class, keyed by class id
+   * - subQueues / progress / initialDuration: per-queue tasks and active task progress
+   * - disciplines: per-queue scheduling discipline { id, quantum }
+   * - queueSettings: per-queue display name, capacity and speed { title, capacity, speed }
+   * - queueStatus: per-queue status 'active' | 'paused' | 'draining'
+   * - processors / workerQueues: processor settings { mode, workers } and the queues holding a shared worker
+   * - stealing: work-stealing settings { strategy, threshold, crossClass }
+   * - mlfq: MLFQ settings { enabled, quantum, agingThreshold, boostInterval }
+   * - workload: configuration of the running workload generator, or null
+   * - admissionControl / rejected: admission limits and the tasks they dropped
+   * - cancelled / interventions: tasks cancelled by hand and the log of manual moves, cancellations and edits
+   * - debug / violations: whether invariants are checked every tick and the violations found (see invariants.js)
+   * - periodicTasks: periodic task definitions { id, label, type, period, wcet, deadline } releasing jobs with deadlines
    */
-  const [queue, setQueue] = useState([]);
-  
-  /**
-   * Dynamic queue management - stores queue names for each priority type
-   * This makes it easy to add/remove queues dynamically
-   */
-  const [highPriorityQueues, setHighPriorityQueues] = useState(['high1']);
-  const [regularPriorityQueues, setRegularPriorityQueues] = useState(['regular1', 'regular2', 'regular3', 'regular4']);
-  
-  /**
-   * Tracks newly created queues to prevent immediate load balancing
-   * Prevents "ghost" tasks by giving new queues time to fully initialize
-   */
-  const [newlyCreatedQueues, setNewlyCreatedQueues] = useState(new Set());
+  const {
+    state, clock, replay, enqueue, enqueueBatch, enqueueWorkflow, admit, addQueue, removeQueue, updateQueue, drainQueue, pauseQueue, resumeQueue,
+    addPriorityClass, updatePriorityClass, removePriorityClass, setClassSharing, setProcessors, setStealing, setAdmissionPolicy, setDiscipline, setMlfq, startWorkload, stopWorkload,
+    setAdmissionControl, scheduleArrivals, addPeriodicTask, removePeriodicTask, moveTask, cancelTask, updateTask, setDebug, clearViolations, exportState, importState,
+  } = useScheduler();
+  const {
+    queue, classes, classSharing, groups, subQueues, progress, initialDuration, admissionPolicy, disciplines, queueSettings, queueStatus, processors, workerQueues, stealing, mlfq, workload, admissionControl, rejected, periodicTasks, debug, violations,
+  } = state;
 
   /**
-   * Sub-queues that process admitted tasks - dynamically generated based on queue lists
-   * This automatically includes all queues from both priority groups
+   * Color of the priority class that processes a task
    */
-  const [subQueues, setSubQueues] = useState(() => {
-    const initialQueues = {};
-    ['high1', 'regular1', 'regular2', 'regular3', 'regular4'].forEach(queueName => {
-      initialQueues[queueName] = [];
-    });
-    return initialQueues;
-  });
-  
-  /**
-   * Index tracker for round-robin assignment of normal tasks
-   * Currently unused but could be used for sequential queue assignment
-   * 2: regular2, 3: regular3, 4: regular4
-   */
-  const [normalQueueIndex, setNormalQueueIndex] = useState(2);
+  const taskColor = (task) => classForType(task.type, classes).color;
 
-  // ==================== TASK ADMISSION LOGIC ====================
-  
   /**
-   * Admits the first task from the main queue to appropriate sub-queue
-   * 
-   * Routing Logic:
-   * - High priority tasks → High Priority Queue 1
-   * - Normal priority tasks → Load balanced across Regular Queues 2-4
-   * 
-   * Load Balancing Strategy:
-   * - Finds the regular queue with the fewest tasks
-   * - Assigns the new normal task to that queue
-   * - Ensures even distribution of workload
+   * Whether a task in the main queue still waits for tasks it depends on
    */
-  const admitTask = () => {
-    // Exit if no tasks are waiting in the main queue
-    if (queue.length === 0) return;
-    
-    // Get the first task from the queue (FIFO - First In, First Out)
-    const task = queue[0];
-    
-    if (task.type === 'high') {
-      // Load balancing logic for high priority tasks - uses sum-based load balancing
-      setSubQueues(sq => {
-        // Find the high priority queue with the minimum sum of task values
-        let minQueue = highPriorityQueues[0];
-        let minSum = sq[minQueue].reduce((sum, taskValue) => sum + taskValue, 0);
-        
-        // Iterate through all high priority queues to find the one with lowest sum
-        highPriorityQueues.forEach(name => {
-          const queueSum = sq[name].reduce((sum, taskValue) => sum + taskValue, 0);
-          if (queueSum < minSum) {
-            minQueue = name;
-            minSum = queueSum;
-          }
-        });
-        
-        // Add the task to the high priority queue with the lowest sum
-        return {
-          ...sq,
-          [minQueue]: [...sq[minQueue], task.value]
-        };
-      });
-    } else {
-      // Load balancing logic for normal priority tasks - uses sum-based load balancing
-      setSubQueues(sq => {
-        // Find the regular queue with the minimum sum of task values
-        let minQueue = regularPriorityQueues[0];
-        let minSum = sq[minQueue].reduce((sum, taskValue) => sum + taskValue, 0);
-        
-        // Iterate through all regular queues to find the one with lowest sum
-        regularPriorityQueues.forEach(name => {
-          const queueSum = sq[name].reduce((sum, taskValue) => sum + taskValue, 0);
-          if (queueSum < minSum) {
-            minQueue = name;
-            minSum = queueSum;
-          }
-        });
-        
-        // Add the task to the queue with the lowest sum
-        return {
-          ...sq,
-          [minQueue]: [...sq[minQueue], task.value]
-        };
-      });
-    }
-    
-    // Remove the admitted task from the main queue
-    setQueue(q => q.slice(1));
-    
-    // Pause progress bar updates for 500ms after admitting a task
-    // This prevents immediate processing and provides visual feedback
-    setDecrementPaused(true);
-    setTimeout(() => setDecrementPaused(false), 500);
-  };
+  const completedIds = new Set(state.completed.map(task => task.id));
+  const isBlocked = (task) => blockedBy(task, completedIds).length > 0;
+  const blockedCount = queue.filter(isBlocked).length;
 
-  // ==================== HELPER FUNCTIONS ====================
-  
   /**
-   * Utility function to get the duration of the currently processing task in a queue
-   * @param {Array} queueArr - Array of task values in a specific queue
-   * @returns {number} - Duration of the first task (currently being processed) or 0 if queue is empty
+   * Deadline statistics of the tasks each queue finished
    */
-  const getCurrentTaskDuration = (queueArr) => {
-    if (queueArr.length === 0) return 0;
-    return queueArr[0]; // Return the first task's duration (FIFO processing)
-  };
+  const deadlinesOf = (queueName) => deadlineStats(state.completed.filter(task => task.queues[task.queues.length - 1] === queueName));
 
-  // ==================== PROGRESS TRACKING STATE ====================
-  
-  /**
-   * Current progress values for each queue's active task - dynamically managed
-   * Values decrease over time to simulate task processing
-   * When progress reaches 0, the task is considered complete and removed
-   */
-  const [progress, setProgress] = useState(() => {
-    const initialProgress = {};
-    ['high1', 'high2', 'regular1', 'regular2', 'regular3', 'regular4'].forEach(queueName => {
-      initialProgress[queueName] = 0;
-    });
-    return initialProgress;
-  });
-  
   /**
-   * Stores the initial duration of each queue's current task - dynamically managed
-   * Used to calculate progress percentage for visual progress bars
-   * Reset to 0 when a task completes
+   * Display names for each queue, shared by the queue cards, statistics panel and timeline
    */
-  const [initialDuration, setInitialDuration] = useState(() => {
-    const initialDurations = {};
-    ['high1', 'high2', 'regular1', 'regular2', 'regular3', 'regular4'].forEach(queueName => {
-      initialDurations[queueName] = 0;
-    });
-    return initialDurations;
-  });
-
-  // ==================== DYNAMIC QUEUE MANAGEMENT FUNCTIONS ====================
-  
-  /**
-   * Adds a new high priority queue
-   */
-  const addHighPriorityQueue = () => {
-    const newQueueName = `high${highPriorityQueues.length + 1}`;
-    
-    // Add to high priority queue list
-    setHighPriorityQueues(prev => [...prev, newQueueName]);
-    
-    // Add to subQueues
-    setSubQueues(prev => ({ ...prev, [newQueueName]: [] }));
-    
-    // Add to progress tracking
-    setProgress(prev => ({ ...prev, [newQueueName]: 0 }));
-    setInitialDuration(prev => ({ ...prev, [newQueueName]: 0 }));
-    
-    // Mark as newly created to prevent immediate load balancing
-    setNewlyCreatedQueues(prev => new Set([...prev, newQueueName]));
-    
-    // Remove from newly created after a short delay to allow load balancing
-    setTimeout(() => {
-      setNewlyCreatedQueues(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(newQueueName);
-        return newSet;
-      });
-    }, 1000); // 1 second delay
-  };
+  const queueTitles = Object.fromEntries(Object.entries(queueSettings).map(([queueName, { title }]) => [queueName, title]));
 
-  /**
-   * Removes the last high priority queue (if more than 1 exists)
-   * Redistributes any remaining tasks to other high priority queues
-   */
-  const removeHighPriorityQueue = () => {
-    if (highPriorityQueues.length <= 1) return; // Keep at least one high priority queue
-    
-    const queueToRemove = highPriorityQueues[highPriorityQueues.length - 1];
-    const tasksToRedistribute = subQueues[queueToRemove] || [];
-    const currentTask = progress[queueToRemove] > 0 ? progress[queueToRemove] : null;
-    
-    // If there are tasks to redistribute, move them to the remaining high priority queues
-    if (tasksToRedistribute.length > 0 || currentTask) {
-      setSubQueues(prev => {
-        const newQueues = { ...prev };
-        const remainingHighQueues = highPriorityQueues.slice(0, -1); // All except the one being removed
-        
-        // Find the high priority queue with the lowest sum for redistribution
-        let targetQueue = remainingHighQueues[0];
-        let minSum = newQueues[targetQueue].reduce((sum, taskValue) => sum + taskValue, 0);
-        
-        remainingHighQueues.forEach(queueName => {
-          const queueSum = newQueues[queueName].reduce((sum, taskValue) => sum + taskValue, 0);
-          if (queueSum < minSum) {
-            targetQueue = queueName;
-            minSum = queueSum;
-          }
-        });
-        
-        // Add current processing task back to the queue if it exists
-        const allTasksToMove = [];
-        if (currentTask) {
-          allTasksToMove.push(currentTask); // Add the currently processing task
-        }
-        allTasksToMove.push(...tasksToRedistribute); // Add all waiting tasks
-        
-        // Move all tasks to the target queue
-        newQueues[targetQueue] = [...newQueues[targetQueue], ...allTasksToMove];
-        
-        // Remove the queue
-        delete newQueues[queueToRemove];
-        return newQueues;
-      });
-    } else {
-      // No tasks to redistribute, just remove the queue
-      setSubQueues(prev => {
-        const newQueues = { ...prev };
-        delete newQueues[queueToRemove];
-        return newQueues;
-      });
+  // Open the scenario shared in the URL hash, if any; a broken link leaves the default simulation
+  const [scenarioError, setScenarioError] = useState(null);
+  useEffect(() => {
+    try {
+      const snapshot = decodeScenario(window.location.hash);
+      if (snapshot) importState(snapshot);
+    } catch (e) {
+      setScenarioError(`Could not open shared scenario: ${e.message}`);
     }
-    
-    // Remove from high priority queue list
-    setHighPriorityQueues(prev => prev.slice(0, -1));
-    
-    // Remove from progress tracking
-    setProgress(prev => {
-      const newProgress = { ...prev };
-      delete newProgress[queueToRemove];
-      return newProgress;
-    });
-    setInitialDuration(prev => {
-      const newDuration = { ...prev };
-      delete newDuration[queueToRemove];
-      return newDuration;
-    });
-    
-    // Clean up from newly created queues set
-    setNewlyCreatedQueues(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(queueToRemove);
-      return newSet;
-    });
-  };
+  }, [importState]);
 
-  /**
-   * Adds a new regular priority queue
-   */
-  const addRegularPriorityQueue = () => {
-    const newQueueName = `regular${regularPriorityQueues.length + 1}`;
-    
-    // Add to regular priority queue list
-    setRegularPriorityQueues(prev => [...prev, newQueueName]);
-    
-    // Add to subQueues
-    setSubQueues(prev => ({ ...prev, [newQueueName]: [] }));
-    
-    // Add to progress tracking
-    setProgress(prev => ({ ...prev, [newQueueName]: 0 }));
-    setInitialDuration(prev => ({ ...prev, [newQueueName]: 0 }));
-    
-    // Mark as newly created to prevent immediate load balancing
-    setNewlyCreatedQueues(prev => new Set([...prev, newQueueName]));
-    
-    // Remove from newly created after a short delay to allow load balancing
-    setTimeout(() => {
-      setNewlyCreatedQueues(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(newQueueName);
-        return newSet;
-      });
-    }, 1000); // 1 second delay
-  };
+  // ==================== MANUAL INTERVENTIONS ====================
+
+  // Task whose context menu is open: { taskId, position }, or null
+  const [menu, setMenu] = useState(null);
+  // Runs a manual intervention and shows the error it throws, if any
+  const { error: interventionError, attempt: intervene, setError: setInterventionError } = useActionStatus();
 
   /**
-   * Removes the last regular priority queue (if more than 1 exists)
-   * Redistributes any remaining tasks to other regular priority queues
+   * Drop handler of the main queue (target null) or a queue: puts the dropped task in front of
+   * another task, or at the end
    */
-  const removeRegularPriorityQueue = () => {
-    if (regularPriorityQueues.length <= 1) return; // Keep at least one regular priority queue
-    
-    const queueToRemove = regularPriorityQueues[regularPriorityQueues.length - 1];
-    const tasksToRedistribute = subQueues[queueToRemove] || [];
-    const currentTask = progress[queueToRemove] > 0 ? progress[queueToRemove] : null;
-    
-    // If there are tasks to redistribute, move them to the remaining regular priority queues
-    if (tasksToRedistribute.length > 0 || currentTask) {
-      setSubQueues(prev => {
-        const newQueues = { ...prev };
-        const remainingRegularQueues = regularPriorityQueues.slice(0, -1); // All except the one being removed
-        
-        // Find the regular priority queue with the lowest sum for redistribution
-        let targetQueue = remainingRegularQueues[0];
-        let minSum = newQueues[targetQueue].reduce((sum, taskValue) => sum + taskValue, 0);
-        
-        remainingRegularQueues.forEach(queueName => {
-          const queueSum = newQueues[queueName].reduce((sum, taskValue) => sum + taskValue, 0);
-          if (queueSum < minSum) {
-            targetQueue = queueName;
-            minSum = queueSum;
-          }
-        });
-        
-        // Add current processing task back to the queue if it exists
-        const allTasksToMove = [];
-        if (currentTask) {
-          allTasksToMove.push(currentTask); // Add the currently processing task
-        }
-        allTasksToMove.push(...tasksToRedistribute); // Add all waiting tasks
-        
-        // Move all tasks to the target queue
-        newQueues[targetQueue] = [...newQueues[targetQueue], ...allTasksToMove];
-        
-        // Remove the queue
-        delete newQueues[queueToRemove];
-        return newQueues;
-      });
-    } else {
-      // No tasks to redistribute, just remove the queue
-      setSubQueues(prev => {
-        const newQueues = { ...prev };
-        delete newQueues[queueToRemove];
-        return newQueues;
-      });
-    }
-    
-    // Remove from regular priority queue list
-    setRegularPriorityQueues(prev => prev.slice(0, -1));
-    
-    // Remove from progress tracking
-    setProgress(prev => {
-      const newProgress = { ...prev };
-      delete newProgress[queueToRemove];
-      return newProgress;
-    });
-    setInitialDuration(prev => {
-      const newDuration = { ...prev };
-      delete newDuration[queueToRemove];
-      return newDuration;
-    });
-    
-    // Clean up from newly created queues set
-    setNewlyCreatedQueues(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(queueToRemove);
-      return newSet;
-    });
+  const dropTask = (target) => (taskId, beforeTaskId) => {
+    const others = (target === null ? queue : subQueues[target]).filter(task => task.id !== taskId);
+    const before = others.findIndex(task => task.id === beforeTaskId);
+    intervene(() => moveTask(taskId, target, before === -1 ? others.length : before));
   };
 
-  // ==================== PROGRESS BAR ANIMATION EFFECT ====================
-  
-  /**
-   * Effect hook that handles the continuous decrementation of progress bars
-   * 
-   * Animation Details:
-   * - Updates every 40ms for smooth visual progress
-   * - Decrements progress by 0.4 units per interval
-   * - Only runs when decrementation is not paused
-   * - Automatically stops when progress reaches 0
-   * 
-   * Dependencies:
-   * - subQueues: Re-runs when queue contents change
-   * - decrementPaused: Pauses/resumes based on recent task admissions
-   */
-  useEffect(() => {
-    // Skip progress updates if decrementation is paused (e.g., after admitting a task)
-    if (decrementPaused) return;
-    
-    // Set up interval for smooth progress bar animation
-    const interval = setInterval(() => {
-      setProgress(prev => {
-        const updated = { ...prev };
-        
-        // Update progress for all queues dynamically
-        [...highPriorityQueues, ...regularPriorityQueues].forEach(q => {
-          // Only decrement if:
-          // 1. Queue has tasks waiting
-          // 2. Current progress is greater than 0
-          if (subQueues[q].length > 0 && prev[q] > 0) {
-            // Decrement progress by 0.4, ensuring it doesn't go below 0
-            // Round to 2 decimal places to prevent floating point precision issues
-            updated[q] = Math.max(0, Math.round((prev[q] - 0.4) * 100) / 100);
-          } else {
-            // Reset progress to 0 if queue is empty or progress already at 0
-            updated[q] = 0;
-          }
-        });
-        
-        return updated;
-      });
-    }, 40); // 40ms interval for smooth 25fps animation
-    
-    // Cleanup function to clear interval when component unmounts or dependencies change
-    return () => clearInterval(interval);
-  }, [subQueues, decrementPaused, highPriorityQueues, regularPriorityQueues]);
-
-  // ==================== TASK COMPLETION EFFECT ====================
-  
-  /**
-   * Effect hook that handles task completion and removal from queues
-   * 
-   * Completion Logic:
-   * - Monitors progress values for all queues
-   * - When progress reaches exactly 0, the task is considered complete
-   * - Removes completed tasks from their respective queues
-   * - Resets initial duration to prepare for the next task
-   * 
-   * Safeguards:
-   * - Only removes tasks if initialDuration > 0 (prevents instant removal of new tasks)
-   * - Only processes queues that have tasks waiting
-   * 
-   * Dependencies:
-   * - progress: Triggers when any queue's progress changes
-   * - subQueues: Triggers when queue contents change
-   * - initialDuration: Triggers when initial durations are set/reset
-   */
-  useEffect(() => {
-    // Check all queues for completed tasks dynamically
-    [...highPriorityQueues, ...regularPriorityQueues].forEach(q => {
-      // Task completion conditions:
-      // 1. Queue has at least one task
-      // 2. Progress has reached exactly 0 (task is complete)
-      // 3. Initial duration is greater than 0 (task was properly initialized)
-      if (subQueues[q].length > 0 && progress[q] === 0 && initialDuration[q] > 0) {
-        // Remove the completed task (first task in queue - FIFO)
-        setSubQueues(sq => ({
-          ...sq,
-          [q]: sq[q].slice(1) // Remove first element, keep the rest
-        }));
-        
-        // Reset initial duration for this queue to prepare for next task
-        setInitialDuration(prev => ({ ...prev, [q]: 0 }));
-      }
-    });
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [progress, subQueues, initialDuration, highPriorityQueues, regularPriorityQueues]);
-
-  // ==================== DYNAMIC LOAD BALANCING EFFECT ====================
-  
-  /**
-   * Effect hook that implements work-stealing/load balancing between queues
-   * 
-   * Load Balancing Logic:
-   * - When a queue becomes idle (no tasks and no active work), it can help other queues
-   * - High priority queues only help other high priority queues
-   * - Regular priority queues only help other regular priority queues
-   * - Tasks are moved from the most loaded queue to the idle queue
-   * 
-   * This ensures all queues finish around the same time while maintaining priority separation
-   */
-  useEffect(() => {
-    const highQueues = highPriorityQueues;
-    const regularQueues = regularPriorityQueues;
-    
-    const redistributeTasks = (queueGroup) => {
-      // Find idle queues (no tasks and no active work) - exclude newly created queues
-      const idleQueues = queueGroup.filter(q => 
-        subQueues[q].length === 0 && progress[q] === 0 && initialDuration[q] === 0 &&
-        !newlyCreatedQueues.has(q) // Exclude newly created queues from load balancing
-      );
-      
-      // Find busy queues (has multiple tasks waiting) - exclude newly created queues
-      const busyQueues = queueGroup.filter(q => 
-        subQueues[q].length > 1 && !newlyCreatedQueues.has(q)
-      );
-      
-      // If we have both idle and busy queues, redistribute
-      if (idleQueues.length > 0 && busyQueues.length > 0) {
-        // Find the queue with the highest sum of task values
-        let busiestQueue = busyQueues[0];
-        let maxSum = subQueues[busiestQueue].reduce((sum, taskValue) => sum + taskValue, 0);
-        
-        busyQueues.forEach(q => {
-          const queueSum = subQueues[q].reduce((sum, taskValue) => sum + taskValue, 0);
-          if (queueSum > maxSum) {
-            busiestQueue = q;
-            maxSum = queueSum;
-          }
-        });
-        
-        // Only redistribute if the busiest queue has tasks and significant workload
-        if (subQueues[busiestQueue].length > 1 && maxSum > 0) {
-          const idleQueue = idleQueues[0];
-          
-          // Move the last task from busiest queue to idle queue
-          setSubQueues(prev => {
-            const newQueues = { ...prev };
-            const taskToMove = newQueues[busiestQueue].pop(); // Remove last task
-            if (taskToMove !== undefined) {
-              newQueues[idleQueue] = [taskToMove, ...newQueues[idleQueue]]; // Add to front of idle queue
-            }
-            return newQueues;
-          });
-        }
-      }
-    };
-    
-    // Apply load balancing to both high and regular priority queue groups
-    redistributeTasks(highQueues);
-    redistributeTasks(regularQueues);
-    
-  }, [subQueues, progress, initialDuration, highPriorityQueues, regularPriorityQueues, newlyCreatedQueues]); // Trigger when queue states change
-
-  // ==================== NEW TASK INITIALIZATION EFFECT ====================
-  
-  /**
-   * Effect hook that initializes progress tracking for newly admitted tasks
-   * 
-   * Initialization Logic:
-   * - Monitors all queues for new tasks that haven't started processing
-   * - Sets initial progress value equal to the task's duration value
-   * - Records initial duration for progress bar percentage calculations
-   * 
-   * Conditions for initialization:
-   * - Queue must have at least one task
-   * - Current progress must be 0 (no active task)
-   * - Initial duration must be 0 (no task was previously being processed)
-   * 
-   * This ensures that each new task starts with full progress equal to its duration
-   * and gradually decrements to 0 over time for visual processing simulation
-   * 
-   * Dependencies:
-   * - subQueues: Triggers when new tasks are admitted
-   * - progress: Ensures we don't reinitialize active tasks
-   * - initialDuration: Prevents reinitializing already initialized tasks
-   */
-  useEffect(() => {
-    // Check all queues for newly admitted tasks that need initialization dynamically
-    [...highPriorityQueues, ...regularPriorityQueues].forEach(q => {
-      // New task initialization conditions:
-      // 1. Queue has at least one task waiting
-      // 2. Current progress is 0 (no task currently being processed)
-      // 3. Initial duration is 0 (no previous task data lingering)
-      if (subQueues[q].length > 0 && (progress[q] === 0 && initialDuration[q] === 0)) {
-        // Initialize progress with the first task's duration value
-        setProgress(prev => ({ ...prev, [q]: subQueues[q][0] }));
-        
-        // Store the initial duration for progress bar percentage calculation
-        setInitialDuration(prev => ({ ...prev, [q]: subQueues[q][0] }));
-      }
-    });
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [subQueues, progress, initialDuration, highPriorityQueues, regularPriorityQueues]);
+  const openMenu = (task, position) => setMenu({ taskId: task.id, position });
+
+  // The task of the open menu as it is now; the menu disappears once the task is no longer pending
+  const menuTask = menu && [...queue, ...Object.values(subQueues).flat()].find(task => task.id === menu.taskId);
 
   // ==================== COMPONENT RENDER ====================
   
   return (
     // Main application container with full viewport height and padding
     <div className="App" style={{ background: '#fff', minHeight: '100vh', padding: '40px' }}>
+      {/* ==================== SIMULATION CLOCK ==================== */}
+      <div style={{ maxWidth: 1500, margin: '0 auto 20px' }}>
+        <SimulationControls time={state.time} clock={clock} />
+      </div>
+
       {/* Central content container with max width and border */}
-      <div style={{ maxWidth: 1100, margin: '0 auto', border: '1px solid #ccc', background: '#fff', borderRadius: 8, display: 'flex', flexDirection: 'row', padding: 30 }}>
+      <div style={{ maxWidth: 1500, margin: '0 auto', border: '1px solid #ccc', background: '#fff', borderRadius: 8, display: 'flex', flexDirection: 'row', padding: 30 }}>
         
         {/* ==================== LEFT SECTION: MAIN TASK QUEUE ==================== */}
         <div style={{ flex: 2, borderRight: '1px solid #ccc', paddingRight: 30 }}>
@@ -602,37 +175,40 @@ function App() {
             justifyContent: 'flex-start',
             alignItems: 'center'
           }}>
-            {/* High Priority Task Button */}
-            <button
-              style={{ 
-                padding: '12px 16px', 
-                userSelect: 'none', 
-                backgroundColor: '#e57373', 
-                color: 'white', 
-                border: 'none', 
-                borderRadius: 6,
-                fontSize: 13,
-                fontWeight: '600',
-                cursor: 'pointer',
-                transition: 'all 0.2s ease',
-                width: '140px',
-                height: '44px',
-                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-              }}
-              onMouseOver={(e) => e.target.style.backgroundColor = '#d32f2f'}
-              onMouseOut={(e) => e.target.style.backgroundColor = '#e57373'}
-              onClick={() => {
-                // Generate high priority task with random duration (1-200)
-                const value = Math.floor(Math.random() * 200); // Task duration/complexity
-                
-                // Add high priority task to the end of the main queue
-                setQueue(q => [...q, { value, type: 'high' }]);
-              }}
-            >
-              ADD HP TASK
-            </button>
+            {/* One Task Button per Priority Class */}
+            {classes.map(priorityClass => (
+              <button
+                key={priorityClass.id}
+                style={{ 
+                  padding: '12px 16px', 
+                  userSelect: 'none', 
+                  backgroundColor: priorityClass.color, 
+                  color: 'white', 
+                  border: 'none', 
+                  borderRadius: 6,
+                  fontSize: 13,
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s ease',
+                  width: '140px',
+                  height: '44px',
+                  boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                }}
+                onMouseOver={(e) => e.target.style.filter = 'brightness(0.85)'}
+                onMouseOut={(e) => e.target.style.filter = 'none'}
+                onClick={() => {
+                  // Generate a task of this class with random duration (1-200)
+                  const duration = Math.floor(Math.random() * 200) + 1; // Task duration/complexity
+                  
+                  // Add the task to the end of the main queue
+                  enqueue({ duration, type: priorityClass.id });
+                }}
+              >
+                ADD {priorityClass.name.toUpperCase()} TASK
+              </button>
+            ))}
 
-            {/* Random Task Button - Centered */}
+            {/* Random Task Button */}
             <button
               style={{ 
                 padding: '12px 16px', 
@@ -652,66 +228,50 @@ function App() {
               onMouseOver={(e) => e.target.style.backgroundColor = '#1976D2'}
               onMouseOut={(e) => e.target.style.backgroundColor = '#2196F3'}
               onClick={() => {
-                // Generate random task with random duration (1-200) and random priority
-                const value = Math.floor(Math.random() * 200); // Task duration/complexity
-                const type = Math.random() < 0.5 ? 'normal' : 'high'; // 50/50 chance for priority
+                // Generate random task with random duration (1-200) and a random priority class
+                const duration = Math.floor(Math.random() * 200) + 1; // Task duration/complexity
+                const type = classes[Math.floor(Math.random() * classes.length)].id; // Every class equally likely
                 
                 // Add new task to the end of the main queue
-                setQueue(q => [...q, { value, type }]);
+                enqueue({ duration, type });
               }}
             >
               ADD RAN TASK
             </button>
-
-            {/* Normal Priority Task Button */}
-            <button
-              style={{ 
-                padding: '12px 16px', 
-                userSelect: 'none', 
-                backgroundColor: '#888', 
-                color: 'white', 
-                border: 'none', 
-                borderRadius: 6,
-                fontSize: 13,
-                fontWeight: '600',
-                cursor: 'pointer',
-                transition: 'all 0.2s ease',
-                width: '140px',
-                height: '44px',
-                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-              }}
-              onMouseOver={(e) => e.target.style.backgroundColor = '#666'}
-              onMouseOut={(e) => e.target.style.backgroundColor = '#888'}
-              onClick={() => {
-                // Generate normal priority task with random duration (1-200)
-                const value = Math.floor(Math.random() * 200); // Task duration/complexity
-                
-                // Add normal priority task to the end of the main queue
-                setQueue(q => [...q, { value, type: 'normal' }]);
-              }}
-            >
-              ADD NP TASK
-            </button>
           </div>
           
           {/* Main Queue Title */}
-          <h3 style={{ textAlign: 'left' }}>Task Queue</h3>
+          <h3 style={{ textAlign: 'left' }}>
+            Task Queue
+            {blockedCount > 0 && (
+              <span style={{ fontSize: 12, fontWeight: 'normal', color: '#666' }}>
+                {' '}({queue.length - blockedCount} ready, {blockedCount} blocked)
+              </span>
+            )}
+          </h3>
           
-          {/* Task Queue Display Area */}
-          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 16 }}>
-            {queue.map((task, idx) => (
+          {/* Task Queue Display Area: tasks can be dragged into a new order and right-clicked to edit */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 16, minHeight: 24 }} {...taskDropTarget(dropTask(null))}>
+            {queue.map(task => (
               <span
-                key={idx}
+                key={task.id}
+                title={describeTask(task)}
+                {...draggableTask(task, openMenu)}
+                {...taskDropTarget(dropTask(null), task.id)}
                 style={{
-                  // Visual styling based on task priority
-                  border: task.type === 'high' ? '1.5px solid #e57373' : '1px solid #222',
+                  cursor: 'grab',
+                  // Visual styling based on the task's priority class; blocked tasks are dashed and faded
+                  border: `1.5px ${isBlocked(task) ? 'dashed' : 'solid'} ${taskColor(task)}`,
                   background: '#fff',
-                  color: task.type === 'high' ? '#e57373' : '#222', // Red for high priority, black for normal
+                  color: taskColor(task),
+                  opacity: isBlocked(task) ? 0.6 : 1,
                   padding: '4px 10px',
                   borderRadius: 4
                 }}
               >
-                {task.value} {/* Display task duration/complexity value */}
+                {isBlocked(task) && '⏳ '}
+                {task.dependsOn.length > 0 ? `${task.label}: ` : ''}
+                {task.duration} {/* Display task duration/complexity value */}
               </span>
             ))}
           </div>
@@ -736,99 +296,296 @@ function App() {
             }}
             onMouseOver={(e) => e.target.style.backgroundColor = '#45a049'}
             onMouseOut={(e) => e.target.style.backgroundColor = '#4CAF50'}
-            onClick={admitTask}
+            onClick={() => admit()}
           >
             ADMIT TASK
           </button>
 
+          {/* ==================== CUSTOM TASKS ==================== */}
+          <TaskFormPanel classes={classes} onAdd={enqueueBatch} />
+
+          {/* ==================== ADMISSION CONTROL ==================== */}
+          <AdmissionControlPanel
+            admissionControl={admissionControl}
+            classes={classes}
+            rejectedCount={rejected.length}
+            onChange={setAdmissionControl}
+          />
+
           {/* ==================== DYNAMIC QUEUE MANAGEMENT ==================== */}
           <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9' }}>
             <h4 style={{ margin: '0 0 12px 0', textAlign: 'left' }}>Queue Management</h4>
             
-            {/* High Priority Queue Controls */}
+            {/* Admission Policy Selector */}
             <div style={{ marginBottom: 12 }}>
-              <strong style={{ fontSize: 14 }}>High Priority Queues ({highPriorityQueues.length}):</strong>
+              <label style={{ fontSize: 14, fontWeight: 'bold' }} htmlFor="admission-policy">Admission Policy:</label>
               <div style={{ marginTop: 6 }}>
-                <button 
-                  style={{ marginRight: 8, padding: '4px 8px', fontSize: 12, backgroundColor: '#e57373', color: 'white', border: 'none', borderRadius: 4 }}
-                  onClick={addHighPriorityQueue}
+                <select
+                  id="admission-policy"
+                  style={{ padding: '4px 8px', fontSize: 12, borderRadius: 4, border: '1px solid #ccc' }}
+                  value={admissionPolicy}
+                  onChange={(e) => setAdmissionPolicy(e.target.value)}
                 >
-                  + Add High
-                </button>
-                <button 
-                  style={{ padding: '4px 8px', fontSize: 12, backgroundColor: '#f44336', color: 'white', border: 'none', borderRadius: 4 }}
-                  onClick={removeHighPriorityQueue}
-                  disabled={highPriorityQueues.length <= 1}
+                  {Object.entries(ADMISSION_POLICIES).map(([id, policy]) => (
+                    <option key={id} value={id}>{policy.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            
+            {/* Processor Controls */}
+            <div style={{ marginBottom: 12 }}>
+              <label style={{ fontSize: 14, fontWeight: 'bold' }} htmlFor="processor-mode">Processors:</label>
+              <div style={{ marginTop: 6, display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12 }}>
+                <select
+                  id="processor-mode"
+                  style={{ padding: '4px 8px', fontSize: 12, borderRadius: 4, border: '1px solid #ccc', alignSelf: 'flex-start' }}
+                  value={processors.mode}
+                  onChange={(e) => setProcessors({ mode: e.target.value })}
                 >
-                  - Remove High
-                </button>
+                  {Object.entries(PROCESSOR_MODES).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                {processors.mode !== 'dedicated' && (
+                  <label>
+                    Workers:{' '}
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      style={{ width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+                      value={processors.workers}
+                      onChange={(e) => {
+                        const value = Number(e.target.value);
+                        // Ignore empty or invalid input while the user is typing
+                        if (Number.isInteger(value) && value >= 1) setProcessors({ workers: value });
+                      }}
+                    />
+                    {' '}({workerQueues.length} busy)
+                  </label>
+                )}
               </div>
             </div>
 
-            {/* Regular Priority Queue Controls */}
-            <div>
-              <strong style={{ fontSize: 14 }}>Regular Priority Queues ({regularPriorityQueues.length}):</strong>
-              <div style={{ marginTop: 6 }}>
-                <button 
-                  style={{ marginRight: 8, padding: '4px 8px', fontSize: 12, backgroundColor: '#888', color: 'white', border: 'none', borderRadius: 4 }}
-                  onClick={addRegularPriorityQueue}
-                >
-                  + Add Regular
-                </button>
-                <button 
-                  style={{ padding: '4px 8px', fontSize: 12, backgroundColor: '#666', color: 'white', border: 'none', borderRadius: 4 }}
-                  onClick={removeRegularPriorityQueue}
-                  disabled={regularPriorityQueues.length <= 1}
+            {/* Work-Stealing Controls */}
+            <div style={{ marginBottom: 12 }}>
+              <label style={{ fontSize: 14, fontWeight: 'bold' }} htmlFor="stealing-strategy">Work Stealing:</label>
+              <div style={{ marginTop: 6, display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12 }}>
+                <select
+                  id="stealing-strategy"
+                  style={{ padding: '4px 8px', fontSize: 12, borderRadius: 4, border: '1px solid #ccc', alignSelf: 'flex-start' }}
+                  value={stealing.strategy}
+                  onChange={(e) => setStealing({ strategy: e.target.value })}
                 >
-                  - Remove Regular
-                </button>
+                  {Object.entries(STEALING_STRATEGIES).map(([id, strategy]) => (
+                    <option key={id} value={id}>{strategy.label}</option>
+                  ))}
+                </select>
+                {STEALING_STRATEGIES[stealing.strategy].busyThieves && (
+                  <label>
+                    Steal when imbalance exceeds:{' '}
+                    <input
+                      type="number"
+                      min="0"
+                      style={{ width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+                      value={stealing.threshold}
+                      onChange={(e) => {
+                        const value = Number(e.target.value);
+                        // Ignore empty or negative input while the user is typing
+                        if (e.target.value !== '' && value >= 0) setStealing({ threshold: value });
+                      }}
+                    />
+                  </label>
+                )}
+                {stealing.strategy !== 'off' && (
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={stealing.crossClass}
+                      onChange={(e) => setStealing({ crossClass: e.target.checked })}
+                    />
+                    {' '}Idle queues help more urgent classes
+                  </label>
+                )}
+              </div>
+            </div>
+
+            {/* MLFQ Mode Controls */}
+            <div style={{ marginBottom: 12 }}>
+              <label style={{ fontSize: 14, fontWeight: 'bold' }}>
+                <input
+                  type="checkbox"
+                  checked={mlfq.enabled}
+                  onChange={(e) => setMlfq({ enabled: e.target.checked })}
+                />
+                {' '}MLFQ Mode
+              </label>
+              {mlfq.enabled && (
+                <div style={{ marginTop: 6, display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12 }}>
+                  {[
+                    ['quantum', 'Demote after'],
+                    ['agingThreshold', 'Promote after waiting'],
+                    ['boostInterval', 'Priority boost every'],
+                  ].map(([key, label]) => (
+                    <label key={key}>
+                      {label}:{' '}
+                      <input
+                        type="number"
+                        min="1"
+                        style={{ width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+                        value={mlfq[key]}
+                        onChange={(e) => {
+                          const value = Number(e.target.value);
+                          // Ignore empty or non-positive input while the user is typing
+                          if (value > 0) setMlfq({ [key]: value });
+                        }}
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Queue Controls per Priority Class */}
+            {classes.map(priorityClass => (
+              <div key={priorityClass.id} style={{ marginBottom: 12 }}>
+                <strong style={{ fontSize: 14 }}>{priorityClass.name} Priority Queues ({groups[priorityClass.id].length}):</strong>
+                <div style={{ marginTop: 6 }}>
+                  <button 
+                    style={{ marginRight: 8, padding: '4px 8px', fontSize: 12, backgroundColor: priorityClass.color, color: 'white', border: 'none', borderRadius: 4 }}
+                    onClick={() => addQueue(priorityClass.id)}
+                  >
+                    + Add {priorityClass.name}
+                  </button>
+                  <button 
+                    style={{ padding: '4px 8px', fontSize: 12, backgroundColor: '#666', color: 'white', border: 'none', borderRadius: 4 }}
+                    onClick={() => removeQueue(priorityClass.id)}
+                    disabled={groups[priorityClass.id].length <= 1}
+                  >
+                    - Remove {priorityClass.name}
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {/* Named Queue Creation */}
+            <div style={{ marginTop: 12 }}>
+              <strong style={{ fontSize: 14 }}>Create Queue:</strong>
+              <div style={{ marginTop: 6 }}>
+                <QueueSettingsForm
+                  initial={{ title: '', capacity: null, speed: 1, group: classes[classes.length - 1].id }}
+                  classes={classes}
+                  submitLabel="Create"
+                  onSubmit={({ group, ...settings }) => addQueue(group, settings)}
+                />
               </div>
             </div>
           </div>
+
+          {/* ==================== PRIORITY CLASSES ==================== */}
+          <PriorityClassPanel
+            classes={classes}
+            classSharing={classSharing}
+            onAdd={addPriorityClass}
+            onUpdate={updatePriorityClass}
+            onRemove={removePriorityClass}
+            onSharingChange={setClassSharing}
+          />
+
+          {/* ==================== WORKLOAD GENERATOR ==================== */}
+          <WorkloadPanel activeWorkload={workload} onStart={startWorkload} onStop={stopWorkload} />
+
+          {/* ==================== TRACE IMPORT / RESULTS EXPORT ==================== */}
+          <TracePanel state={state} onImport={scheduleArrivals} />
+
+          {/* ==================== WORKFLOWS ==================== */}
+          <WorkflowPanel onAdd={enqueueWorkflow} />
+
+          {/* ==================== REAL-TIME TASKS ==================== */}
+          <RealtimePanel
+            classes={classes}
+            periodicTasks={periodicTasks}
+            onEnqueue={enqueue}
+            onAddPeriodic={addPeriodicTask}
+            onRemovePeriodic={removePeriodicTask}
+          />
+
+          {/* ==================== DIAGNOSTICS ==================== */}
+          <DiagnosticsPanel debug={debug} violations={violations} onToggle={setDebug} onClear={clearViolations} />
+
+          {/* ==================== SNAPSHOTS ==================== */}
+          <SnapshotPanel onExport={exportState} onImport={importState} />
         </div>
         {/* ==================== RIGHT SECTION: SUB-QUEUES PROCESSING AREA ==================== */}
         <div style={{ flex: 3, display: 'flex', flexDirection: 'column', gap: 16, paddingLeft: 30 }}>
           
-          {/* ==================== DYNAMIC HIGH PRIORITY QUEUES ==================== */}
-          {highPriorityQueues.map((queueName, index) => (
-            <QueueComponent
-              key={queueName}
-              title={`High Priority Queue ${index + 1}`}
-              tasks={subQueues[queueName] || []}
-              progress={progress[queueName] || 0}
-              initialDuration={initialDuration[queueName] || 0}
-              isHighPriority={true}
-            />
-          ))}
+          {scenarioError && (
+            <div role="alert" style={{ fontSize: 12, color: '#d32f2f', textAlign: 'left' }}>
+              {scenarioError}{' '}
+              <button style={{ fontSize: 11 }} onClick={() => setScenarioError(null)}>Dismiss</button>
+            </div>
+          )}
 
-          {/* ==================== DYNAMIC REGULAR PRIORITY QUEUES ==================== */}
-          {regularPriorityQueues.map((queueName, index) => (
+          {interventionError && (
+            <div role="alert" style={{ fontSize: 12, color: '#d32f2f', textAlign: 'left' }}>
+              {interventionError}{' '}
+              <button style={{ fontSize: 11 }} onClick={() => setInterventionError(null)}>Dismiss</button>
+            </div>
+          )}
+
+          {/* ==================== DYNAMIC QUEUES, MOST URGENT CLASS FIRST ==================== */}
+          {classes.map(priorityClass => groups[priorityClass.id].map(queueName => (
             <QueueComponent
               key={queueName}
-              title={`Regular Priority Queue ${index + 1}`}
+              title={queueTitles[queueName]}
               tasks={subQueues[queueName] || []}
               progress={progress[queueName] || 0}
               initialDuration={initialDuration[queueName] || 0}
-              isHighPriority={false}
+              color={priorityClass.color}
+              group={priorityClass.id}
+              classes={classes}
+              discipline={disciplines[queueName]}
+              onDisciplineChange={(discipline) => setDiscipline(queueName, discipline)}
+              settings={queueSettings[queueName]}
+              onSettingsChange={(settings) => updateQueue(queueName, settings)}
+              status={queueStatus[queueName]}
+              time={state.time}
+              deadlines={deadlinesOf(queueName)}
+              waitingForWorker={processors.mode !== 'dedicated' && (subQueues[queueName] || []).length > 0 && !workerQueues.includes(queueName)}
+              onRemove={() => removeQueue(queueName)}
+              onDrain={() => drainQueue(queueName)}
+              onPause={() => pauseQueue(queueName)}
+              onResume={() => resumeQueue(queueName)}
+              onTaskDrop={dropTask(queueName)}
+              onTaskMenu={openMenu}
             />
-          ))}
+          )))}
 
           {/* ==================== INSTRUCTIONS FOR MANUAL CODING ==================== */}
           {/* 
           🚀 EASY MANUAL QUEUE ADDITION:
           
-          To add queues programmatically, simply modify the initial state:
-          
-          1. For High Priority Queues:
-             const [highPriorityQueues, setHighPriorityQueues] = useState(['high1', 'high2', 'high3']);
+          To add queues programmatically, pass the initial queue names to the hook:
           
-          2. For Regular Priority Queues:
-             const [regularPriorityQueues, setRegularPriorityQueues] = useState(['regular1', 'regular2', 'regular3', 'regular4', 'regular5']);
+             useScheduler({
+               highPriorityQueues: ['high1', 'high2', 'high3'],
+               regularPriorityQueues: ['regular1', 'regular2', 'regular3', 'regular4', 'regular5'],
+               queueSettings: { regular5: { title: 'Fast Worker', speed: 2, capacity: 3 } },
+             });
           
-          3. Update the initial state functions to include the new queue names:
-             - subQueues useState initialization
-             - progress useState initialization  
-             - initialDuration useState initialization
+          Priority classes beyond high and regular are defined the same way:
+
+             useScheduler({
+               priorityClasses: [
+                 { id: 'critical', name: 'Critical', color: '#e57373', weight: 4, queues: ['critical1'] },
+                 { id: 'interactive', name: 'Interactive', color: '#ffb74d', weight: 2, queues: ['interactive1', 'interactive2'] },
+                 { id: 'batch', name: 'Batch', color: '#888888', weight: 1, queues: ['batch1', 'batch2'] },
+               ],
+               classSharing: 'weighted',
+             });
+
+          (or change DEFAULT_CONFIG in scheduler.js)
           
           That's it! The system will automatically handle:
           ✅ Load balancing across all queues
@@ -839,7 +596,35 @@ function App() {
           */}
           
         </div>
+
+        {/* ==================== STATISTICS SECTION ==================== */}
+        <div style={{ flex: 2, paddingLeft: 30, borderLeft: '1px solid #ccc', marginLeft: 30 }}>
+          <MetricsPanel state={state} queueTitles={queueTitles} />
+        </div>
       </div> 
+
+      {/* ==================== TIMELINE SECTION ==================== */}
+      <div style={{ maxWidth: 1500, margin: '20px auto 0' }}>
+        <GanttChart state={state} queueTitles={queueTitles} />
+      </div>
+
+      {/* ==================== EVENT LOG SECTION ==================== */}
+      <div style={{ maxWidth: 1500, margin: '20px auto 0' }}>
+        <EventLogPanel events={state.events} queueTitles={queueTitles} time={state.time} replay={replay} />
+      </div>
+
+      {/* ==================== TASK CONTEXT MENU ==================== */}
+      {menuTask && (
+        <TaskMenu
+          key={menuTask.id}
+          task={menuTask}
+          position={menu.position}
+          classes={classes}
+          onUpdate={(changes) => updateTask(menuTask.id, changes)}
+          onCancel={() => intervene(() => cancelTask(menuTask.id))}
+          onClose={() => setMenu(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,8 +1,165 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { TICK_AMOUNT, TICK_INTERVAL } from './useScheduler';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  jest.useFakeTimers();
+  // Every generated task gets a duration of 101
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  window.location.hash = '';
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+/**
+ * Lets the simulation clock run for a number of units of virtual time
+ */
+const runFor = (units) => act(() => {
+  jest.advanceTimersByTime(Math.round(units / TICK_AMOUNT) * TICK_INTERVAL);
+});
+
+const click = (text) => fireEvent.click(screen.getByText(text));
+
+const addTasks = (className, count) => {
+  for (let i = 0; i < count; i++) click(`ADD ${className} TASK`);
+};
+
+const admitAll = (count) => {
+  for (let i = 0; i < count; i++) click('ADMIT TASK');
+};
+
+/**
+ * Task chips still waiting anywhere: in the main queue or in a queue card
+ */
+const TASK_TITLE = /^T\d+ \(#\d+/;
+const taskId = (chip) => Number(chip.title.match(/#(\d+)/)[1]);
+const pendingIds = () => screen.queryAllByTitle(TASK_TITLE).map(taskId);
+
+/**
+ * The card of a queue, found by its display name
+ */
+const queueCard = (title) => screen.getByRole('region', { name: title });
+const tasksIn = (title) => within(queueCard(title)).queryAllByTitle(TASK_TITLE);
+
+/**
+ * Completed task count from the statistics panel
+ */
+const completedCount = () => Number(screen.getByRole('row', { name: /^Completed \d+$/ }).textContent.replace('Completed', ''));
+
+/**
+ * No task is lost or duplicated: every task added is either still pending, exactly once, or completed
+ */
+const expectEveryTaskOnce = (added) => {
+  const ids = pendingIds();
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(ids.length + completedCount()).toBe(added);
+};
+
+test('tasks are admitted to the queues of their own priority class', () => {
+  render(<App />);
+  addTasks('HIGH', 3);
+  addTasks('REGULAR', 6);
+  admitAll(9);
+  runFor(20);
+
+  expect(tasksIn('High Priority Queue 1').map(chip => chip.title)).toHaveLength(3);
+  [1, 2, 3, 4].forEach(n => {
+    tasksIn(`Regular Priority Queue ${n}`).forEach(chip => expect(chip.title).not.toMatch(/high priority/));
+  });
+  expectEveryTaskOnce(9);
+});
+
+test('no task is lost or duplicated when queues are removed mid-run', () => {
+  render(<App />);
+  addTasks('REGULAR', 12);
+  admitAll(12);
+  runFor(20);
+
+  fireEvent.click(within(queueCard('Regular Priority Queue 2')).getByText('Remove'));
+  expectEveryTaskOnce(12);
+  click('- Remove Regular');
+  expectEveryTaskOnce(12);
+  expect(screen.queryByRole('region', { name: 'Regular Priority Queue 2' })).toBeNull();
+
+  runFor(20);
+  expectEveryTaskOnce(12);
+
+  // Finished tasks leave their queue and are counted once
+  runFor(1300);
+  expect(pendingIds()).toEqual([]);
+  expect(completedCount()).toBe(12);
+});
+
+test('work is never stolen into a newly created queue', () => {
+  render(<App />);
+  addTasks('REGULAR', 8);
+  admitAll(8);
+  click('+ Add Regular');
+
+  // The default grace period is 10 units of time
+  runFor(8);
+  expect(tasksIn('Regular Priority Queue 5')).toHaveLength(0);
+  expectEveryTaskOnce(8);
+
+  runFor(4);
+  expect(tasksIn('Regular Priority Queue 5')).toHaveLength(1);
+  expectEveryTaskOnce(8);
+});
+
+test('single steps pause the clock and freeze the simulation', () => {
+  render(<App />);
+  addTasks('HIGH', 1);
+  admitAll(1);
+  click('Step tick');
+  const time = screen.getByText(/Virtual time/).textContent;
+
+  runFor(50);
+  expect(screen.getByText(/Virtual time/).textContent).toBe(time);
+  expect(tasksIn('High Priority Queue 1')).toHaveLength(1);
+});
+
+test('tasks can be dragged to another queue and cancelled from their context menu', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  addTasks('REGULAR', 8);
+  admitAll(8);
+  runFor(4);
+
+  const [, waiting] = tasksIn('Regular Priority Queue 1');
+  const dataTransfer = { getData: () => String(taskId(waiting)), types: ['application/x-task-id'] };
+  fireEvent.drop(tasksIn('Regular Priority Queue 2')[0], { dataTransfer });
+  expect(tasksIn('Regular Priority Queue 1')).toHaveLength(1);
+  expect(tasksIn('Regular Priority Queue 2').map(taskId)).toContain(taskId(waiting));
+  expectEveryTaskOnce(8);
+
+  fireEvent.contextMenu(tasksIn('Regular Priority Queue 2')[1]);
+  fireEvent.click(within(screen.getByRole('dialog')).getByText('Cancel task'));
+  expect(screen.queryByRole('dialog')).toBeNull();
+  expect(pendingIds()).toHaveLength(7);
+  expect(screen.getByRole('row', { name: /^Cancelled \/ manual interventions/ }).textContent).toMatch(/1 \/ 2$/);
+});
+
+test('a shared scenario that cannot be opened is reported and the default simulation starts', () => {
+  window.location.hash = '#scenario=%7Bbroken';
+  render(<App />);
+  expect(screen.getByRole('alert').textContent).toMatch(/^Could not open shared scenario: /);
+  expect(queueCard('Regular Priority Queue 1')).toBeInTheDocument();
+
+  click('Dismiss');
+  expect(screen.queryByRole('alert')).toBeNull();
+});
+
+test('empty real-time task fields are reported instead of read as 0', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('spinbutton', { name: 'Period' }), { target: { value: '' } });
+  click('Add periodic');
+  expect(screen.getByText('Period is required')).toBeInTheDocument();
+  expect(screen.queryByText(/released\)$/)).toBeNull();
+
+  fireEvent.change(screen.getByRole('spinbutton', { name: 'Period' }), { target: { value: '40' } });
+  click('Add periodic');
+  expect(screen.queryByText('Period is required')).toBeNull();
+  expect(screen.getByText(/every 40, WCET 10/)).toBeInTheDocument();
 });
@@ -0,0 +1,56 @@
+import React from 'react';
+import { INVARIANTS } from './invariants';
+
+const smallButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+
+/**
+ * Diagnostics Panel
+ *
+ * Turns debug mode on or off and lists the invariant violations it found, each with the
+ * offending part of the state at the time it was found (see invariants.js).
+ *
+ * @param {boolean} debug - Whether the invariants are checked after every tick
+ * @param {Array} violations - Violations found so far: [{ time, invariant, message, details }]
+ * @param {Function} onToggle - Called with the new debug mode
+ * @param {Function} onClear - Forgets the violations found so far
+ */
+const DiagnosticsPanel = ({ debug, violations, onToggle, onClear }) => (
+  <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+    <h4 style={{ margin: '0 0 12px 0' }}>Diagnostics</h4>
+
+    <label style={{ fontSize: 12 }}>
+      <input type="checkbox" checked={debug} onChange={(e) => onToggle(e.target.checked)} />
+      {' '}Check invariants every tick (debug mode)
+    </label>
+
+    {debug && (
+      <ul style={{ fontSize: 11, color: '#666', margin: '6px 0', paddingLeft: 18 }}>
+        {Object.entries(INVARIANTS).map(([id, { label }]) => <li key={id}>{label}</li>)}
+      </ul>
+    )}
+
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6, fontSize: 12 }}>
+      {violations.length === 0 ? (
+        <span style={{ color: '#4CAF50' }}>{debug ? 'All invariants hold' : 'No violations recorded'}</span>
+      ) : (
+        <span style={{ color: '#d32f2f', fontWeight: 600 }}>{violations.length} violation{violations.length === 1 ? '' : 's'}</span>
+      )}
+      {violations.length > 0 && <button style={smallButtonStyle} onClick={() => onClear()}>Clear</button>}
+    </div>
+
+    {/* Violations, oldest first, with the offending state */}
+    <div style={{ maxHeight: 240, overflowY: 'auto', marginTop: 6 }}>
+      {violations.map((violation, index) => (
+        <details key={index} style={{ fontSize: 11, marginBottom: 4, borderLeft: '3px solid #d32f2f', paddingLeft: 6 }}>
+          <summary>
+            <span style={{ fontFamily: 'monospace' }}>{violation.time.toFixed(1)}</span>
+            {' '}[{violation.invariant}] {violation.message}
+          </summary>
+          <pre style={{ margin: '4px 0', whiteSpace: 'pre-wrap', fontSize: 10 }}>{JSON.stringify(violation.details, null, 2)}</pre>
+        </details>
+      ))}
+    </div>
+  </div>
+);
+
+export default DiagnosticsPanel;
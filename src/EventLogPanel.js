@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { EVENT_TYPES } from './scheduler';
+
+/**
+ * Maximum number of matching events rendered at once (the most recent ones)
+ */
+const MAX_ROWS = 200;
+
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+
+/**
+ * Formats the details of an event for display
+ */
+const describeEvent = (event, queueTitles) => {
+  // Manual interventions use null for the main queue
+  const title = (queue) => (queue === null ? 'main queue' : queueTitles[queue] || queue);
+  const task = event.taskId !== undefined ? `#${event.taskId}` : '';
+
+  if (event.type === 'command') {
+    return `${event.command}(${event.args.map(arg => JSON.stringify(arg)).join(', ')})`;
+  }
+  if (event.changes !== undefined) {
+    return `${task} ${Object.entries(event.changes).map(([field, { from, to }]) => `${field} ${from} → ${to}`).join(', ')}`;
+  }
+  if (event.from !== undefined) return `${task} ${title(event.from)} → ${title(event.to)}`;
+  if (event.queue !== undefined) return `${task} ${title(event.queue)}`.trim();
+  return task;
+};
+
+/**
+ * Checks whether an event mentions the search text (task id, queue name/title or command)
+ */
+const matchesSearch = (event, search, queueTitles) => {
+  if (!search) return true;
+  const text = search.toLowerCase();
+  return describeEvent(event, queueTitles).toLowerCase().includes(text) ||
+    [event.queue, event.from, event.to].some(queue => typeof queue === 'string' && queue.toLowerCase().includes(text));
+};
+
+/**
+ * Event Log Panel
+ *
+ * Lists the engine's event log with type and text filters, and a scrubber that replays
+ * the run up to any point in virtual time.
+ *
+ * @param {Array} events - Event log entries { time, type, ...details }
+ * @param {Object} queueTitles - Display name for each queue, keyed by queue name
+ * @param {number} time - Current virtual time
+ * @param {Object} replay - { start, end, jumpTo } from useScheduler
+ */
+const EventLogPanel = ({ events, queueTitles, time, replay }) => {
+  const [type, setType] = useState('all');
+  const [search, setSearch] = useState('');
+
+  const matching = events.filter(event => (type === 'all' || event.type === type) && matchesSearch(event, search, queueTitles));
+  const shown = matching.slice(-MAX_ROWS);
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', padding: 16, textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Event Log</h4>
+
+      {/* Replay Scrubber */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, fontSize: 12, marginBottom: 12 }}>
+        <span>Replay</span>
+        <input
+          type="range"
+          min={replay.start}
+          max={replay.end}
+          step={0.4}
+          value={time}
+          disabled={replay.end <= replay.start}
+          style={{ flex: 1 }}
+          onChange={(e) => replay.jumpTo(Number(e.target.value))}
+        />
+        <span style={{ fontFamily: 'monospace', minWidth: 110, textAlign: 'right' }}>
+          {time.toFixed(1)} / {replay.end.toFixed(1)}
+        </span>
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8, fontSize: 12, alignItems: 'center' }}>
+        <select style={inputStyle} value={type} onChange={(e) => setType(e.target.value)}>
+          <option value="all">All events</option>
+          {Object.entries(EVENT_TYPES).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Filter by task (#12), queue or command"
+          style={{ ...inputStyle, flex: 1 }}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <span style={{ color: '#888' }}>
+          {matching.length > MAX_ROWS ? `last ${MAX_ROWS} of ${matching.length}` : `${matching.length} events`}
+        </span>
+      </div>
+
+      {/* Log Entries */}
+      <div style={{ maxHeight: 240, overflowY: 'auto', fontFamily: 'monospace', fontSize: 11, backgroundColor: '#fff', border: '1px solid #eee' }}>
+        {shown.map((event, index) => (
+          <div
+            key={matching.length - shown.length + index}
+            style={{ display: 'flex', gap: 8, padding: '1px 6px', color: event.type === 'command' ? '#1976D2' : '#222' }}
+          >
+            <span style={{ width: 60, textAlign: 'right', color: '#888' }}>{event.time.toFixed(1)}</span>
+            <span style={{ width: 100 }}>{EVENT_TYPES[event.type]}</span>
+            <span>{describeEvent(event, queueTitles)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EventLogPanel;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { classForType, queuesInClassOrder } from './priorityClasses';
+
+/**
+ * Height of one queue lane in pixels
+ */
+const LANE_HEIGHT = 22;
+
+/**
+ * Width of the lane label column in pixels
+ */
+const LABEL_WIDTH = 170;
+
+/**
+ * Interval between time axis labels, in units of time
+ */
+const AXIS_STEP = 50;
+
+/**
+ * Gives every task a stable color derived from its id
+ */
+const taskColor = (taskId) => `hsl(${(taskId * 47) % 360}, 60%, 70%)`;
+
+/**
+ * Gantt Chart / Timeline View
+ *
+ * Shows one lane per queue with a colored block for every interval during which a
+ * task was active in that queue. Gaps between blocks are idle time, and arrows mark
+ * tasks that were moved into the lane by work-stealing.
+ *
+ * @param {Object} state - Scheduler state snapshot (uses time, classes, groups, timeline and migrations)
+ * @param {Object} queueTitles - Display name for each queue, keyed by queue name
+ */
+const GanttChart = ({ state, queueTitles }) => {
+  // Horizontal zoom in pixels per unit of time
+  const [scale, setScale] = useState(2);
+
+  const { time, timeline, migrations } = state;
+  const queueNames = queuesInClassOrder(state);
+
+  // Blocks are outlined in the color of the task's priority class (gray once the class is removed)
+  const classColor = (type) => {
+    const priorityClass = classForType(type, state.classes);
+    return priorityClass ? priorityClass.color : '#888';
+  };
+  const width = Math.max(time * scale, 200);
+
+  const axisLabels = [];
+  for (let t = 0; t <= time; t += AXIS_STEP) {
+    axisLabels.push(t);
+  }
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', padding: 16, textAlign: 'left' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 12 }}>
+        <h4 style={{ margin: 0 }}>Timeline</h4>
+        <label style={{ fontSize: 12 }}>
+          Zoom:{' '}
+          <select
+            style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+            value={scale}
+            onChange={(e) => setScale(Number(e.target.value))}
+          >
+            {[0.5, 1, 2, 4, 8].map(value => (
+              <option key={value} value={value}>{value}px / unit</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: 'flex' }}>
+        {/* Lane Labels */}
+        <div style={{ width: LABEL_WIDTH, flexShrink: 0, fontSize: 12 }}>
+          {queueNames.map(name => (
+            <div key={name} style={{ height: LANE_HEIGHT, lineHeight: `${LANE_HEIGHT}px`, marginBottom: 4, whiteSpace: 'nowrap' }}>
+              {queueTitles[name] || name}
+            </div>
+          ))}
+        </div>
+
+        {/* Scrollable Lanes */}
+        <div style={{ overflowX: 'auto', flex: 1 }}>
+          <div style={{ width, position: 'relative' }}>
+            {queueNames.map(name => (
+              <div
+                key={name}
+                style={{ height: LANE_HEIGHT, marginBottom: 4, position: 'relative', background: '#e6e6e6', borderRadius: 3 }}
+              >
+                {/* Execution Blocks */}
+                {timeline.filter(segment => segment.queue === name).map(segment => {
+                  const end = segment.end === null ? time : segment.end;
+                  return (
+                    <div
+                      key={`${segment.taskId}-${segment.start}`}
+                      title={`${segment.label}: ${segment.start.toFixed(1)} - ${segment.end === null ? 'running' : end.toFixed(1)}`}
+                      style={{
+                        position: 'absolute',
+                        left: segment.start * scale,
+                        width: Math.max((end - segment.start) * scale, 1),
+                        top: 2,
+                        bottom: 2,
+                        background: taskColor(segment.taskId),
+                        border: `1.5px solid ${classColor(segment.type)}`,
+                        borderRadius: 3,
+                        boxSizing: 'border-box',
+                        fontSize: 10,
+                        overflow: 'hidden',
+                        whiteSpace: 'nowrap',
+                      }}
+                    >
+                      {segment.label}
+                    </div>
+                  );
+                })}
+
+                {/* Work-Stealing Markers */}
+                {migrations.filter(migration => migration.to === name).map(migration => (
+                  <div
+                    key={`${migration.taskId}-${migration.time}`}
+                    title={`${migration.label} stolen from ${queueTitles[migration.from] || migration.from} at ${migration.time.toFixed(1)}`}
+                    style={{
+                      position: 'absolute',
+                      left: migration.time * scale - 5,
+                      top: -4,
+                      fontSize: 10,
+                      color: '#1976D2',
+                      fontWeight: 'bold',
+                    }}
+                  >
+                    ▼
+                  </div>
+                ))}
+              </div>
+            ))}
+
+            {/* Time Axis */}
+            <div style={{ position: 'relative', height: 16, fontSize: 10, color: '#666' }}>
+              {axisLabels.map(t => (
+                <span key={t} style={{ position: 'absolute', left: t * scale }}>{t}</span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GanttChart;
@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+import { computeMetrics } from './metrics';
+import { queuesInClassOrder } from './priorityClasses';
+
+/**
+ * Formats a metric value, showing a dash when it is not available yet
+ */
+const format = (value, digits = 1) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+
+/**
+ * Formats a 0-1 ratio as a percentage
+ */
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(0)}%`);
+
+const cellStyle = { padding: '2px 6px', textAlign: 'right' };
+const headerStyle = { ...cellStyle, borderBottom: '1px solid #ccc', fontWeight: 600 };
+
+/**
+ * Live Statistics Panel
+ *
+ * @param {Object} state - Scheduler state snapshot
+ * @param {Object} queueTitles - Display name for each queue, keyed by queue name
+ */
+const MetricsPanel = ({ state, queueTitles }) => {
+  const { global, queues, fairness } = useMemo(() => computeMetrics(state), [state]);
+  const queueNames = queuesInClassOrder(state);
+  const lowestClass = state.classes[state.classes.length - 1];
+
+  // Global summary rows: [label, value]
+  const summary = [
+    ['Completed', global.completed],
+    ['Rejected', global.rejected],
+    ['Stolen', global.stolen],
+    ['Cancelled / manual interventions', `${global.cancelled} / ${global.interventions}`],
+    ['Waiting tasks', global.waiting],
+    ['Backlog', format(global.backlog, 0)],
+    ['Wait avg / p50 / p95', `${format(global.avgWait)} / ${format(global.p50Wait)} / ${format(global.p95Wait)}`],
+    ['Turnaround avg / p50 / p95', `${format(global.avgTurnaround)} / ${format(global.p50Turnaround)} / ${format(global.p95Turnaround)}`],
+    ['Response avg / p95', `${format(global.avgResponse)} / ${format(global.p95Response)}`],
+    ['Deadline misses / max lateness', `${global.missed} of ${global.withDeadline} / ${format(global.maxLateness)}`],
+    ['Makespan / critical path', `${format(global.makespan)} / ${format(global.criticalPath)}`],
+    ['Throughput (per 100)', format(global.throughput, 2)],
+    ['Avg utilization', formatPercent(global.utilization)],
+    [`${lowestClass.name} fairness (Jain)`, format(fairness, 3)],
+  ];
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', padding: 16, textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Statistics</h4>
+
+      {/* Global Summary */}
+      <table style={{ fontSize: 12, borderCollapse: 'collapse', width: '100%', marginBottom: 16 }}>
+        <tbody>
+          {summary.map(([label, value]) => (
+            <tr key={label}>
+              <td style={{ padding: '2px 6px' }}>{label}</td>
+              <td style={cellStyle}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Per-Queue Breakdown */}
+      <table style={{ fontSize: 12, borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerStyle, textAlign: 'left' }}>Queue</th>
+            <th style={headerStyle}>Done</th>
+            <th style={headerStyle}>Wait</th>
+            <th style={headerStyle}>p95 TAT</th>
+            <th style={headerStyle}>Resp</th>
+            <th style={headerStyle}>Util</th>
+            <th style={headerStyle}>Backlog</th>
+          </tr>
+        </thead>
+        <tbody>
+          {queueNames.map(name => (
+            <tr key={name}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{queueTitles[name] || name}</td>
+              <td style={cellStyle}>{queues[name].completed}</td>
+              <td style={cellStyle}>{format(queues[name].avgWait)}</td>
+              <td style={cellStyle}>{format(queues[name].p95Turnaround)}</td>
+              <td style={cellStyle}>{format(queues[name].avgResponse)}</td>
+              <td style={cellStyle}>{formatPercent(queues[name].utilization)}</td>
+              <td style={cellStyle}>{format(queues[name].backlog, 0)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MetricsPanel;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { CLASS_SHARING_RULES } from './priorityClasses';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const smallButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+
+/**
+ * Priority Class Panel
+ *
+ * Edits the priority classes (most urgent first) and the rule that decides how they share
+ * the processing capacity. Class names are applied when the name field loses focus.
+ *
+ * @param {Array} classes - Priority classes [{ id, name, color, weight }]
+ * @param {string} classSharing - Active sharing rule id, see CLASS_SHARING_RULES
+ * @param {Function} onAdd - Called with { name, weight }; may throw
+ * @param {Function} onUpdate - Called with (id, { name?, color?, weight?, position? }); may throw
+ * @param {Function} onRemove - Called with the class id; may throw
+ * @param {Function} onSharingChange - Called with a sharing rule id
+ */
+const PriorityClassPanel = ({ classes, classSharing, onAdd, onUpdate, onRemove, onSharingChange }) => {
+  const [name, setName] = useState('');
+  const [weight, setWeight] = useState(1);
+  const { error, attempt } = useActionStatus();
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Priority Classes</h4>
+
+      <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, marginBottom: 8 }}>
+        Sharing rule
+        <select style={inputStyle} value={classSharing} onChange={(e) => onSharingChange(e.target.value)}>
+          {Object.entries(CLASS_SHARING_RULES).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* Class List, most urgent first */}
+      {classes.map((priorityClass, index) => (
+        <div key={priorityClass.id} style={{ display: 'flex', gap: 4, alignItems: 'center', fontSize: 12, marginBottom: 4 }}>
+          <input
+            type="color"
+            title="Color"
+            style={{ width: 24, height: 20, padding: 0, border: 'none' }}
+            value={priorityClass.color}
+            onChange={(e) => attempt(() => onUpdate(priorityClass.id, { color: e.target.value }))}
+          />
+          <input
+            type="text"
+            key={priorityClass.name}
+            style={{ ...inputStyle, width: 80 }}
+            defaultValue={priorityClass.name}
+            onBlur={(e) => {
+              if (e.target.value !== priorityClass.name) attempt(() => onUpdate(priorityClass.id, { name: e.target.value }));
+            }}
+          />
+          <label title="Relative weight under weighted fair sharing">
+            ×{' '}
+            <input
+              type="number"
+              min="0.1"
+              step="0.5"
+              style={{ ...inputStyle, width: 45 }}
+              value={priorityClass.weight}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                // Ignore empty or non-positive input while the user is typing
+                if (value > 0) onUpdate(priorityClass.id, { weight: value });
+              }}
+            />
+          </label>
+          <button style={smallButtonStyle} disabled={index === 0} onClick={() => onUpdate(priorityClass.id, { position: index - 1 })}>↑</button>
+          <button
+            style={smallButtonStyle}
+            disabled={index === classes.length - 1}
+            onClick={() => onUpdate(priorityClass.id, { position: index + 1 })}
+          >
+            ↓
+          </button>
+          <button
+            style={smallButtonStyle}
+            disabled={classes.length <= 1}
+            onClick={() => attempt(() => onRemove(priorityClass.id))}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {/* New Class */}
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 8 }}>
+        <input
+          type="text"
+          placeholder="New class name"
+          style={{ ...inputStyle, flex: 1 }}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          type="number"
+          min="0.1"
+          step="0.5"
+          title="Weight"
+          style={{ ...inputStyle, width: 45 }}
+          value={weight}
+          onChange={(e) => setWeight(Number(e.target.value))}
+        />
+        <button
+          style={buttonStyle}
+          disabled={!name.trim()}
+          onClick={() => attempt(() => {
+            onAdd({ name, weight });
+            setName('');
+          })}
+        >
+          Add class
+        </button>
+      </div>
+
+      {error && <div style={{ marginTop: 6, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default PriorityClassPanel;
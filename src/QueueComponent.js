@@ -1,52 +1,201 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { DISCIPLINES } from './disciplines';
+import { describeTask } from './tasks';
+import { isOverdue } from './realtime';
+import QueueSettingsForm from './QueueSettingsForm';
+import { draggableTask, taskDropTarget } from './taskInteractions';
+
+const headerButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+
+/**
+ * Badge colors for queues that are not simply active
+ */
+const STATUS_COLORS = { paused: '#FF9800', draining: '#9C27B0' };
+
+// Highlight for deadline misses and tasks past their deadline
+const MISSED_COLOR = '#d32f2f';
 
 /**
  * Reusable Queue Component
  * 
  * @param {string} title - Display name for the queue
- * @param {Array} tasks - Array of task values in this queue
+ * @param {Array} tasks - Array of task records in this queue (the first one is active)
  * @param {number} progress - Current progress value for active task
  * @param {number} initialDuration - Initial duration for progress calculation
- * @param {boolean} isHighPriority - Whether this is a high priority queue (affects styling)
+ * @param {string} color - Color of the queue's priority class
+ * @param {string} group - Id of the queue's priority class
+ * @param {Array} classes - Priority classes offered by the edit form: [{ id, name }]
+ * @param {Object} discipline - Scheduling discipline of this queue: { id, quantum }
+ * @param {Function} onDisciplineChange - Called with { id } or { quantum } when the user changes the discipline
+ * @param {Object} settings - Queue settings: { title, capacity, speed }
+ * @param {Function} onSettingsChange - Called with { title?, capacity, speed, group } from the edit form; may throw
+ * @param {string} status - Queue status: 'active' | 'paused' | 'draining'
+ * @param {number} time - Current simulation time, used to flag tasks that are past their deadline
+ * @param {Object} deadlines - Deadline statistics of the tasks this queue finished, see realtime.deadlineStats()
+ * @param {boolean} waitingForWorker - The queue has work but no worker of the shared pool
+ * @param {Function} onRemove - Removes the queue, moving its tasks to the other queues of its group
+ * @param {Function} onDrain - Stops new work and removes the queue once its active task finishes
+ * @param {Function} onPause - Freezes the active task and stops new work
+ * @param {Function} onResume - Resumes a paused queue
+ * @param {Function} onTaskDrop - Called with (taskId, beforeTaskId or null) when a task is dropped on the task list
+ * @param {Function} onTaskMenu - Called with (task, { x, y }) when a task is right-clicked
  */
 const QueueComponent = ({ 
   title, 
   tasks, 
   progress, 
   initialDuration, 
-  isHighPriority = false 
+  color = '#888',
+  group,
+  classes,
+  discipline,
+  onDisciplineChange,
+  settings,
+  onSettingsChange,
+  status = 'active',
+  time = 0,
+  deadlines = null,
+  waitingForWorker = false,
+  onRemove,
+  onDrain,
+  onPause,
+  onResume,
+  onTaskDrop,
+  onTaskMenu
 }) => {
-  // Dynamic styling based on queue type
-  const borderColor = isHighPriority ? '#e57373' : '#ccc';
-  const textColor = isHighPriority ? '#e57373' : '#333';
-  const progressColor = isHighPriority ? '#e57373' : '#888';
-  const borderWidth = isHighPriority ? '1.5px' : '1px';
+  const [editing, setEditing] = useState(false);
+
+  // Styling follows the color of the queue's priority class
+  const borderColor = color;
+  const textColor = color;
+  const progressColor = color;
+  const borderWidth = '1.5px';
 
   return (
-    <div style={{ 
+    <div role="region" aria-label={title} style={{ 
       border: `1px solid ${borderColor}`, 
       borderRadius: 8, 
       padding: 16, 
       marginBottom: 8, 
       textAlign: 'left' 
     }}>
-      <strong>{title}</strong>
+      {/* Header: name, speed, capacity and edit toggle */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <strong>{title}</strong>
+        {settings && (
+          <span style={{ fontSize: 12, color: '#666' }}>
+            {settings.speed !== 1 && `×${settings.speed} speed · `}
+            {settings.capacity === null ? `${tasks.length} tasks` : `${tasks.length}/${settings.capacity} tasks`}
+          </span>
+        )}
+        {status !== 'active' && (
+          <span style={{ fontSize: 11, padding: '0 6px', borderRadius: 8, color: 'white', backgroundColor: STATUS_COLORS[status] }}>
+            {status}
+          </span>
+        )}
+        {deadlines && deadlines.withDeadline > 0 && (
+          <span
+            title={`Average lateness ${deadlines.avgLateness.toFixed(1)}`}
+            style={{ fontSize: 11, color: deadlines.missed > 0 ? MISSED_COLOR : '#4CAF50' }}
+          >
+            {deadlines.missed > 0
+              ? `${deadlines.missed}/${deadlines.withDeadline} deadlines missed, max lateness ${deadlines.maxLateness.toFixed(1)}`
+              : `${deadlines.withDeadline} deadlines met`}
+          </span>
+        )}
+        {waitingForWorker && (
+          <span style={{ fontSize: 11, padding: '0 6px', borderRadius: 8, color: '#666', border: '1px dashed #999' }}>
+            waiting for worker
+          </span>
+        )}
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: 4 }}>
+          {status === 'active' && onPause && <button style={headerButtonStyle} onClick={onPause}>Pause</button>}
+          {status === 'paused' && onResume && <button style={headerButtonStyle} onClick={onResume}>Resume</button>}
+          {status !== 'draining' && onDrain && <button style={headerButtonStyle} onClick={onDrain}>Drain</button>}
+          {onRemove && <button style={headerButtonStyle} onClick={onRemove}>Remove</button>}
+          {onSettingsChange && (
+            <button style={headerButtonStyle} onClick={() => setEditing(!editing)}>
+              {editing ? 'Close' : 'Edit'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <div style={{ marginTop: 8, padding: 8, border: '1px dashed #ccc', borderRadius: 4 }}>
+          <QueueSettingsForm
+            initial={{ ...settings, title, group }}
+            classes={classes}
+            submitLabel="Save"
+            onSubmit={(values) => {
+              onSettingsChange(values);
+              setEditing(false);
+            }}
+            onCancel={() => setEditing(false)}
+          />
+        </div>
+      )}
+      
+      {/* Scheduling Discipline Controls */}
+      {discipline && (
+        <div style={{ fontSize: 12, marginTop: 6, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <label>
+            Discipline:{' '}
+            <select
+              style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+              value={discipline.id}
+              onChange={(e) => onDisciplineChange && onDisciplineChange({ id: e.target.value })}
+            >
+              {Object.entries(DISCIPLINES).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {DISCIPLINES[discipline.id].usesQuantum && (
+            <label>
+              Quantum:{' '}
+              <input
+                type="number"
+                min="1"
+                style={{ width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+                value={discipline.quantum}
+                onChange={(e) => {
+                  const quantum = Number(e.target.value);
+                  // Ignore empty or non-positive input while the user is typing
+                  if (quantum > 0 && onDisciplineChange) onDisciplineChange({ quantum });
+                }}
+              />
+            </label>
+          )}
+        </div>
+      )}
       
-      {/* Queue Contents Display */}
+      {/* Queue Contents Display: tasks can be dragged here from other queues, or reordered */}
       <div style={{ fontSize: 14, marginTop: 8 }}>Queue List:</div>
-      <div style={{ minHeight: 24, marginBottom: 8 }}>
-        {tasks.map((task, idx) => (
+      <div style={{ minHeight: 24, marginBottom: 8 }} {...(onTaskDrop && taskDropTarget(onTaskDrop))}>
+        {tasks.map(task => (
           <span 
-            key={idx} 
+            key={task.id}
+            title={describeTask(task)}
+            {...(onTaskMenu && draggableTask(task, onTaskMenu))}
+            {...(onTaskDrop && taskDropTarget(onTaskDrop, task.id))}
             style={{ 
-              border: `${borderWidth} solid ${borderColor}`, 
+              cursor: onTaskMenu ? 'grab' : undefined,
+              // Tasks past their deadline are highlighted in red
+              border: `${borderWidth} solid ${isOverdue(task, time) ? MISSED_COLOR : borderColor}`, 
               color: textColor, 
+              backgroundColor: isOverdue(task, time) ? '#ffebee' : undefined,
               padding: '2px 8px', 
               borderRadius: 4, 
               marginRight: 4 
             }}
           >
-            {task}
+            {Math.ceil(task.remaining)} {/* Remaining work, full details on hover */}
+            {task.deadline !== null && (
+              <span style={{ fontSize: 10, color: isOverdue(task, time) ? MISSED_COLOR : '#888' }}>
+                {' '}⏰{isOverdue(task, time) ? `+${(time - task.deadline).toFixed(0)}` : Math.ceil(task.deadline - time)}
+              </span>
+            )}
           </span>
         ))}
       </div>
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 110, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, marginBottom: 4 };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, border: 'none', borderRadius: 4, color: 'white' };
+
+/**
+ * Queue Settings Form
+ *
+ * Used both to create queues and to edit existing ones. An empty name keeps the default
+ * (or current) name and an empty capacity means no limit.
+ *
+ * @param {Object} initial - { title, capacity, speed, group }
+ * @param {Array} classes - Priority classes to choose the group from: [{ id, name }]
+ * @param {string} submitLabel - Text of the submit button
+ * @param {Function} onSubmit - Called with { title?, capacity, speed, group }; may throw to report invalid settings
+ * @param {Function} onCancel - Optional, shows a cancel button
+ */
+const QueueSettingsForm = ({ initial, classes, submitLabel, onSubmit, onCancel }) => {
+  const [title, setTitle] = useState(initial.title || '');
+  const [capacity, setCapacity] = useState(initial.capacity === null ? '' : String(initial.capacity));
+  const [speed, setSpeed] = useState(String(initial.speed));
+  const [group, setGroup] = useState(initial.group);
+  const { error, attempt } = useActionStatus();
+
+  const submit = () => attempt(() => onSubmit({
+    ...(title.trim() ? { title: title.trim() } : {}),
+    capacity: capacity === '' ? null : Number(capacity),
+    speed: Number(speed),
+    group,
+  }));
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <label style={rowStyle}>
+        Name
+        <input type="text" placeholder="default" style={inputStyle} value={title} onChange={(e) => setTitle(e.target.value)} />
+      </label>
+      <label style={rowStyle}>
+        Capacity (tasks)
+        <input type="number" min="1" placeholder="no limit" style={inputStyle} value={capacity} onChange={(e) => setCapacity(e.target.value)} />
+      </label>
+      <label style={rowStyle}>
+        Speed multiplier
+        <input type="number" min="0.1" step="0.1" style={inputStyle} value={speed} onChange={(e) => setSpeed(e.target.value)} />
+      </label>
+      <label style={rowStyle}>
+        Priority class
+        <select style={inputStyle} value={group} onChange={(e) => setGroup(e.target.value)}>
+          {classes.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+        <button style={{ ...buttonStyle, backgroundColor: '#2196F3' }} onClick={submit}>{submitLabel}</button>
+        {onCancel && <button style={{ ...buttonStyle, backgroundColor: '#888' }} onClick={onCancel}>Cancel</button>}
+      </div>
+
+      {error && <div style={{ marginTop: 6, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default QueueSettingsForm;
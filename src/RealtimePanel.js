@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { checkSchedulability } from './realtime';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', gap: 4, alignItems: 'center', fontSize: 12, marginBottom: 6, flexWrap: 'wrap' };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+const smallButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+
+const VERDICT_COLORS = { schedulable: '#4CAF50', inconclusive: '#FF9800', unschedulable: '#d32f2f' };
+
+/**
+ * Optional positive number from a text field, or null when it is left empty
+ */
+const optionalNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Number from a text field that must be filled in; an empty field would otherwise read as 0
+ */
+const requiredNumber = (value, name) => {
+  if (String(value).trim() === '') throw new Error(`${name} is required`);
+  return Number(value);
+};
+
+/**
+ * Real-Time Tasks Panel
+ *
+ * Adds one-shot tasks with a deadline and defines periodic tasks (period, WCET, optional
+ * deadline), and shows the utilization bound schedulability tests for the periodic task set
+ * so it can be checked before the run starts. Jobs enter the main queue like any other task,
+ * so enable auto-admission and pick EDF or Rate Monotonic for the queues to see them at work.
+ *
+ * @param {Array} classes - Priority classes [{ id, name }]
+ * @param {Array} periodicTasks - Periodic task definitions, see realtime.js
+ * @param {Function} onEnqueue - Called with { duration, type, deadline }; may throw
+ * @param {Function} onAddPeriodic - Called with { label, type, period, wcet, deadline }; may throw
+ * @param {Function} onRemovePeriodic - Called with a periodic task id
+ */
+const RealtimePanel = ({ classes, periodicTasks, onEnqueue, onAddPeriodic, onRemovePeriodic }) => {
+  const [type, setType] = useState(classes[classes.length - 1].id);
+  const [duration, setDuration] = useState(20);
+  const [deadline, setDeadline] = useState(50);
+  const [label, setLabel] = useState('');
+  const [period, setPeriod] = useState(50);
+  const [wcet, setWcet] = useState(10);
+  const [periodicDeadline, setPeriodicDeadline] = useState('');
+  const { error, attempt } = useActionStatus();
+
+  const { utilization, edf, rateMonotonic } = checkSchedulability(periodicTasks);
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Real-Time Tasks</h4>
+
+      <label style={rowStyle}>
+        Priority class
+        <select style={{ ...inputStyle, width: 'auto' }} value={type} onChange={(e) => setType(e.target.value)}>
+          {classes.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </select>
+      </label>
+
+      {/* One-Shot Task With Deadline */}
+      <div style={rowStyle}>
+        Duration
+        <input type="number" min="1" aria-label="Deadline task duration" style={inputStyle} value={duration} onChange={(e) => setDuration(e.target.value)} />
+        due in
+        <input type="number" min="1" aria-label="Due in" style={inputStyle} value={deadline} onChange={(e) => setDeadline(e.target.value)} />
+        <button
+          style={buttonStyle}
+          onClick={() => attempt(() => onEnqueue({
+            duration: requiredNumber(duration, 'Duration'),
+            type,
+            deadline: requiredNumber(deadline, 'Deadline'),
+          }))}
+        >
+          Add task
+        </button>
+      </div>
+
+      {/* Periodic Task Definition */}
+      <div style={rowStyle}>
+        <input type="text" placeholder="Label" style={inputStyle} value={label} onChange={(e) => setLabel(e.target.value)} />
+        period
+        <input type="number" min="1" aria-label="Period" style={inputStyle} value={period} onChange={(e) => setPeriod(e.target.value)} />
+        WCET
+        <input type="number" min="1" aria-label="WCET" style={inputStyle} value={wcet} onChange={(e) => setWcet(e.target.value)} />
+        deadline
+        <input
+          type="number"
+          min="1"
+          placeholder="= period"
+          style={inputStyle}
+          value={periodicDeadline}
+          onChange={(e) => setPeriodicDeadline(e.target.value)}
+        />
+        <button
+          style={buttonStyle}
+          onClick={() => attempt(() => {
+            onAddPeriodic({
+              label: label.trim() || undefined,
+              type,
+              period: requiredNumber(period, 'Period'),
+              wcet: requiredNumber(wcet, 'WCET'),
+              deadline: optionalNumber(periodicDeadline),
+            });
+            setLabel('');
+          })}
+        >
+          Add periodic
+        </button>
+      </div>
+
+      {/* Periodic Task List */}
+      {periodicTasks.map(periodicTask => (
+        <div key={periodicTask.id} style={{ ...rowStyle, marginBottom: 2 }}>
+          <span style={{ flex: 1 }}>
+            {periodicTask.label}: every {periodicTask.period}, WCET {periodicTask.wcet}, deadline {periodicTask.deadline}
+            {' '}(U = {(periodicTask.wcet / periodicTask.period).toFixed(2)}, {periodicTask.released} released)
+          </span>
+          <button style={smallButtonStyle} onClick={() => onRemovePeriodic(periodicTask.id)}>✕</button>
+        </div>
+      ))}
+
+      {/* Utilization Bound Tests */}
+      {periodicTasks.length > 0 && (
+        <div style={{ marginTop: 8, fontSize: 12 }}>
+          <div>Utilization U = {utilization.toFixed(3)} (single queue)</div>
+          <div style={{ color: VERDICT_COLORS[edf.verdict] }}>
+            EDF: {edf.verdict} (U ≤ {edf.bound})
+          </div>
+          <div style={{ color: VERDICT_COLORS[rateMonotonic.verdict] }}>
+            Rate Monotonic: {rateMonotonic.verdict} (U ≤ {rateMonotonic.bound.toFixed(3)})
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ marginTop: 6, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default RealtimePanel;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { SPEEDS } from './useScheduler';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: 12,
+  fontWeight: 600,
+  border: '1px solid #ccc',
+  borderRadius: 4,
+  backgroundColor: '#fff',
+  cursor: 'pointer',
+};
+
+/**
+ * Simulation Clock Controls
+ *
+ * Play/pause, single steps (one tick or up to the next event), speed and the virtual time readout.
+ *
+ * @param {number} time - Current virtual time
+ * @param {Object} clock - { running, speed, play, pause, setSpeed, stepTick, stepEvent } from useScheduler
+ */
+const SimulationControls = ({ time, clock }) => {
+  const { running, speed, play, pause, setSpeed, stepTick, stepEvent } = clock;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '10px 16px', border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9' }}>
+      <button
+        style={{ ...buttonStyle, width: 80, backgroundColor: running ? '#fff' : '#4caf50', color: running ? '#222' : '#fff' }}
+        onClick={running ? pause : play}
+      >
+        {running ? 'Pause' : 'Play'}
+      </button>
+      <button style={buttonStyle} onClick={stepTick}>Step tick</button>
+      <button style={buttonStyle} onClick={stepEvent}>Step to next event</button>
+
+      <label style={{ fontSize: 12, display: 'flex', alignItems: 'center', gap: 6 }}>
+        Speed
+        <select
+          style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' }}
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+        >
+          {SPEEDS.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ marginLeft: 'auto', fontSize: 13, fontFamily: 'monospace' }}>
+        Virtual time: <strong>{time.toFixed(1)}</strong>
+        {!running && <span style={{ marginLeft: 8, color: '#d32f2f' }}>(paused)</span>}
+      </div>
+    </div>
+  );
+};
+
+export default SimulationControls;
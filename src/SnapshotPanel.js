@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import {
+  listSnapshots, saveSnapshot, loadSnapshot, deleteSnapshot, downloadSnapshot, readSnapshotFile, encodeScenario,
+} from './snapshots';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { flex: 1, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+const smallButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+
+/**
+ * Snapshot Panel
+ *
+ * Saves named snapshots to localStorage, exports/imports them as JSON files and
+ * writes a shareable link with the current scenario in the URL hash.
+ *
+ * @param {Function} onExport - Returns a snapshot of the current simulation
+ * @param {Function} onImport - Replaces the simulation with the given snapshot
+ */
+const SnapshotPanel = ({ onExport, onImport }) => {
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useState(() => listSnapshots());
+  const { error, message, attempt, setError, setMessage } = useActionStatus();
+
+  /**
+   * Runs an action, showing its result message or error, and refreshes the saved snapshots
+   */
+  const run = (action, successMessage) => attempt(() => {
+    action();
+    setSaved(listSnapshots());
+  }, successMessage);
+
+  const importFile = (file) => {
+    if (!file) return;
+    readSnapshotFile(file)
+      .then(snapshot => run(() => onImport(snapshot), `Imported ${file.name}`))
+      .catch(e => setError(`Could not read ${file.name}: ${e.message}`));
+  };
+
+  const share = () => run(() => {
+    const hash = encodeScenario(onExport());
+    window.history.replaceState(null, '', hash);
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => setMessage('Link with the current scenario written to the address bar and copied to the clipboard'))
+      .catch(e => setError(`Link written to the address bar, but not copied to the clipboard: ${e.message}`));
+  }, 'Link with the current scenario written to the address bar');
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Snapshots</h4>
+
+      {/* Save Under a Name */}
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <input
+          type="text"
+          placeholder="Snapshot name"
+          style={inputStyle}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button style={buttonStyle} onClick={() => run(() => saveSnapshot(name, onExport()), `Saved "${name.trim()}"`)}>
+          Save
+        </button>
+      </div>
+
+      {/* Saved Snapshots */}
+      {saved.length === 0 && <div style={{ fontSize: 12, color: '#888', marginBottom: 8 }}>No saved snapshots</div>}
+      {saved.map(snapshot => (
+        <div key={snapshot.name} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, marginBottom: 4 }}>
+          <span style={{ flex: 1 }} title={new Date(snapshot.savedAt).toLocaleString()}>{snapshot.name}</span>
+          <button style={smallButtonStyle} onClick={() => run(() => onImport(loadSnapshot(snapshot.name)), `Loaded "${snapshot.name}"`)}>
+            Load
+          </button>
+          <button style={smallButtonStyle} onClick={() => run(() => deleteSnapshot(snapshot.name), `Deleted "${snapshot.name}"`)}>
+            Delete
+          </button>
+        </div>
+      ))}
+
+      {/* Files and Links */}
+      <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+        <button style={buttonStyle} onClick={() => run(() => downloadSnapshot(onExport()), 'Exported snapshot')}>
+          Export JSON
+        </button>
+        <label style={{ ...buttonStyle, backgroundColor: '#666', cursor: 'pointer' }}>
+          Import JSON
+          <input
+            type="file"
+            accept="application/json,.json"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              // Allow importing the same file again
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button style={{ ...buttonStyle, backgroundColor: '#4CAF50' }} onClick={share}>
+          Share link
+        </button>
+      </div>
+
+      {message && <div style={{ marginTop: 8, fontSize: 12, color: '#4CAF50' }}>{message}</div>}
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { DEFAULT_BATCH, MAX_BATCH, TASK_PRESETS, expandBatch, presetTasks } from './taskPresets';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', gap: 4, alignItems: 'center', fontSize: 12, marginBottom: 6, flexWrap: 'wrap' };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+
+/**
+ * Custom Tasks Panel
+ *
+ * Appends tasks with an exact duration, priority class and label to the main queue, up to
+ * MAX_BATCH at once, and sets up textbook scenarios from presets (see taskPresets.js) in one
+ * click.
+ *
+ * @param {Array} classes - Priority classes [{ id, name }]
+ * @param {Function} onAdd - Called with the tasks [{ duration, type, label? }] of a batch or preset, see
+ *                          scheduler.enqueueBatch(); may throw
+ */
+const TaskFormPanel = ({ classes, onAdd }) => {
+  const [duration, setDuration] = useState(DEFAULT_BATCH.duration);
+  const [type, setType] = useState(classes[classes.length - 1].id);
+  const [label, setLabel] = useState(DEFAULT_BATCH.label);
+  const [count, setCount] = useState(DEFAULT_BATCH.count);
+  const { error, message, attempt } = useActionStatus();
+  // Falls back to the least urgent class when the selected one has been removed
+  const selectedType = classes.some(({ id }) => id === type) ? type : classes[classes.length - 1].id;
+
+  // Appends the tasks, or shows why they are invalid; nothing is added when any task is invalid
+  const addTasks = (build, describe) => attempt(() => {
+    const tasks = build();
+    onAdd(tasks);
+    return tasks;
+  }, describe);
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Custom Tasks</h4>
+
+      <div style={rowStyle}>
+        <label>
+          Add{' '}
+          <input type="number" min="1" max={MAX_BATCH} step="1" aria-label="Count" style={{ ...inputStyle, width: 50 }} value={count} onChange={(e) => setCount(e.target.value)} />
+        </label>
+        <select aria-label="Priority class" style={{ ...inputStyle, width: 'auto' }} value={selectedType} onChange={(e) => setType(e.target.value)}>
+          {classes.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </select>
+        <label>
+          tasks of{' '}
+          <input type="number" min="1" aria-label="Duration" style={inputStyle} value={duration} onChange={(e) => setDuration(e.target.value)} />
+        </label>
+        <input aria-label="Label" placeholder="label (optional)" style={{ ...inputStyle, width: 110 }} value={label} onChange={(e) => setLabel(e.target.value)} />
+        <button
+          style={buttonStyle}
+          onClick={() => addTasks(
+            () => expandBatch({ duration: Number(duration), type: selectedType, label, count: Number(count) }),
+            (tasks) => `Added ${tasks.length} task${tasks.length === 1 ? '' : 's'} of ${duration}`,
+          )}
+        >
+          Add tasks
+        </button>
+      </div>
+
+      {/* Presets append their tasks right away */}
+      <div style={{ ...rowStyle, marginTop: 8 }}>
+        Presets:
+        {Object.entries(TASK_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            title={preset.description}
+            style={{ ...buttonStyle, backgroundColor: '#666' }}
+            onClick={() => addTasks(() => presetTasks(id), (tasks) => `${preset.label}: added ${tasks.length} tasks. ${preset.hint}.`)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {message && <div style={{ marginTop: 8, fontSize: 12, color: '#4CAF50' }}>{message}</div>}
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default TaskFormPanel;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { classForType } from './priorityClasses';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 60, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', gap: 4, alignItems: 'center', fontSize: 12, marginBottom: 6 };
+const smallButtonStyle = { padding: '1px 6px', fontSize: 11, border: '1px solid #ccc', borderRadius: 4, backgroundColor: '#fff' };
+
+/**
+ * Task Context Menu
+ *
+ * Opens at the mouse position when a pending task is right-clicked, and lets the user change its
+ * priority class or duration or cancel it. Every change is a manual intervention that the engine
+ * logs (see scheduler.moveTask / cancelTask / updateTask).
+ *
+ * @param {Object} task - Task record being edited
+ * @param {Object} position - Viewport coordinates of the click: { x, y }
+ * @param {Array} classes - Priority classes [{ id, name }]
+ * @param {Function} onUpdate - Called with { type } or { duration }; may throw
+ * @param {Function} onCancel - Cancels the task
+ * @param {Function} onClose - Closes the menu
+ */
+const TaskMenu = ({ task, position, classes, onUpdate, onCancel, onClose }) => {
+  const [duration, setDuration] = useState(task.duration);
+  const { error, attempt } = useActionStatus();
+
+  return (
+    <div
+      role="dialog"
+      aria-label={`Edit ${task.label}`}
+      style={{
+        position: 'fixed',
+        left: position.x,
+        top: position.y,
+        zIndex: 10,
+        width: 220,
+        padding: 10,
+        border: '1px solid #ccc',
+        borderRadius: 6,
+        backgroundColor: '#fff',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
+        textAlign: 'left',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8, fontSize: 12 }}>
+        <strong>{task.label}</strong>&nbsp;<span style={{ color: '#888' }}>#{task.id}</span>
+        <button style={{ ...smallButtonStyle, marginLeft: 'auto' }} onClick={onClose}>×</button>
+      </div>
+
+      <label style={rowStyle}>
+        Priority class
+        <select
+          style={{ ...inputStyle, width: 'auto' }}
+          value={classForType(task.type, classes).id}
+          onChange={(e) => attempt(() => onUpdate({ type: e.target.value }))}
+        >
+          {classes.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </select>
+      </label>
+
+      <div style={rowStyle}>
+        <label>
+          Duration{' '}
+          <input type="number" min="1" style={inputStyle} value={duration} onChange={(e) => setDuration(e.target.value)} />
+        </label>
+        <button style={smallButtonStyle} onClick={() => attempt(() => onUpdate({ duration: Number(duration) }))}>Apply</button>
+      </div>
+      {task.remaining < task.duration && (
+        <div style={{ fontSize: 11, color: '#888', marginBottom: 6 }}>
+          {(task.duration - task.remaining).toFixed(1)} of {task.duration} already done
+        </div>
+      )}
+
+      <button
+        style={{ ...smallButtonStyle, color: '#d32f2f', borderColor: '#d32f2f' }}
+        onClick={() => {
+          onCancel();
+          onClose();
+        }}
+      >
+        Cancel task
+      </button>
+
+      {error && <div style={{ fontSize: 11, color: '#d32f2f', marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+};
+
+export default TaskMenu;
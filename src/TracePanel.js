@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { parseTrace, taskResults, resultsToCsv } from './traces';
+import { downloadFile } from './download';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 70, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, marginBottom: 4 };
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+
+const EXAMPLE_TRACE = 'process,arrival,burst,priority\nP1,0,24,2\nP2,1,3,1\nP3,2,3,3';
+
+/**
+ * Trace Import and Results Export Panel
+ *
+ * Imports a CSV or JSON process table as scheduled arrivals (arrival times count from the
+ * moment of import) and exports per-task results of the run as CSV or JSON. Priorities may name
+ * a class, or be numbers that are either split into high and normal or pick a class by rank.
+ *
+ * @param {Object} state - Scheduler state snapshot
+ * @param {Function} onImport - Called with the parsed arrivals, see scheduler.scheduleArrivals()
+ */
+const TracePanel = ({ state, onImport }) => {
+  const [text, setText] = useState('');
+  const [highPriorityMax, setHighPriorityMax] = useState(1);
+  const [byRank, setByRank] = useState(false);
+  const { error, message, attempt, setError } = useActionStatus();
+
+  const importTrace = () => attempt(() => {
+    const arrivals = parseTrace(text, { highPriorityMax, byRank, classes: state.classes });
+    onImport(arrivals.map(arrival => ({ ...arrival, time: state.time + arrival.time })));
+    return arrivals;
+  }, (arrivals) => `Scheduled ${arrivals.length} tasks`);
+
+  const exportResults = (format) => {
+    const rows = taskResults(state);
+    if (format === 'csv') {
+      downloadFile(resultsToCsv(rows), 'scheduler-results.csv', 'text/csv');
+    } else {
+      downloadFile(JSON.stringify(rows, null, 2), 'scheduler-results.json', 'application/json');
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Trace Import / Results</h4>
+
+      <textarea
+        rows={5}
+        placeholder={EXAMPLE_TRACE}
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: 11, marginBottom: 6 }}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+
+      <label style={rowStyle}>
+        Load from file
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          style={{ fontSize: 11, maxWidth: 180 }}
+          onChange={(e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text()
+              .then(setText)
+              .catch(err => setError(`Could not read ${file.name}: ${err.message}`));
+          }}
+        />
+      </label>
+
+      <label style={rowStyle}>
+        Numeric priority is the class rank (1 = most urgent)
+        <input type="checkbox" checked={byRank} onChange={(e) => setByRank(e.target.checked)} />
+      </label>
+
+      <label style={rowStyle}>
+        High priority up to (numeric)
+        <input
+          type="number"
+          style={inputStyle}
+          disabled={byRank}
+          value={highPriorityMax}
+          onChange={(e) => setHighPriorityMax(Number(e.target.value))}
+        />
+      </label>
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+        <button style={buttonStyle} onClick={importTrace} disabled={!text.trim()}>Import trace</button>
+        <span style={{ fontSize: 12, color: '#888' }}>{state.scheduled.length} scheduled arrivals pending</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+        <button style={{ ...buttonStyle, backgroundColor: '#666' }} onClick={() => exportResults('csv')}>Export results CSV</button>
+        <button style={{ ...buttonStyle, backgroundColor: '#666' }} onClick={() => exportResults('json')}>Export results JSON</button>
+      </div>
+
+      {message && <div style={{ marginTop: 8, fontSize: 12, color: '#4CAF50' }}>{message}</div>}
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default TracePanel;
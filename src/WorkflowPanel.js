@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { EXAMPLE_WORKFLOW, parseWorkflow, criticalPath } from './workflows';
+import { useActionStatus } from './useActionStatus';
+
+const buttonStyle = { padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 };
+
+/**
+ * Workflow (DAG) Editor Panel
+ *
+ * Adds a set of tasks with dependencies, written as workflow JSON (see workflows.js), to the
+ * end of the main queue. Tasks stay blocked there until the tasks they depend on complete.
+ *
+ * @param {Function} onAdd - Called with the parsed workflow tasks, see scheduler.enqueueWorkflow(); may throw
+ */
+const WorkflowPanel = ({ onAdd }) => {
+  const [text, setText] = useState('');
+  const { error, message, attempt } = useActionStatus();
+
+  const addWorkflow = () => attempt(() => {
+    const tasks = parseWorkflow(text);
+    onAdd(tasks);
+    return tasks;
+  }, (tasks) => {
+    const { length } = criticalPath(tasks.map(({ key, duration, dependsOn }) => ({ id: key, duration, dependsOn })));
+    return `Added ${tasks.length} tasks, critical path ${length}`;
+  });
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Workflows</h4>
+
+      <textarea
+        rows={8}
+        placeholder={EXAMPLE_WORKFLOW}
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: 11, marginBottom: 6 }}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <button style={buttonStyle} onClick={addWorkflow} disabled={!text.trim()}>Add workflow</button>
+        <button style={{ ...buttonStyle, backgroundColor: '#666' }} onClick={() => setText(EXAMPLE_WORKFLOW)}>Load example pipeline</button>
+      </div>
+
+      {message && <div style={{ marginTop: 8, fontSize: 12, color: '#4CAF50' }}>{message}</div>}
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default WorkflowPanel;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { DEFAULT_WORKLOAD, ARRIVAL_PROCESSES, DURATION_DISTRIBUTIONS } from './workload';
+import { useActionStatus } from './useActionStatus';
+
+const inputStyle = { width: 70, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid #ccc' };
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, marginBottom: 4 };
+
+/**
+ * Workload Generator Panel
+ *
+ * Lets the user configure a seeded workload and stream it into the main task queue.
+ *
+ * @param {Object} activeWorkload - Configuration of the running workload, or null
+ * @param {Function} onStart - Called with the workload configuration
+ * @param {Function} onStop - Stops the running workload
+ */
+const WorkloadPanel = ({ activeWorkload, onStart, onStop }) => {
+  const [config, setConfig] = useState(DEFAULT_WORKLOAD);
+  const { error, attempt } = useActionStatus();
+
+  const update = (key, value) => setConfig(prev => ({ ...prev, [key]: value }));
+
+  const start = () => attempt(() => onStart(config));
+
+  // Numeric fields: [key, label, step]
+  const numericFields = [
+    ['seed', 'Seed', 1],
+    ['rate', 'Rate (tasks / 100)', 0.5],
+    ['highRatio', 'High priority ratio', 0.05],
+    ['minDuration', 'Min duration', 1],
+    ['maxDuration', 'Max duration', 1],
+  ];
+
+  return (
+    <div style={{ marginTop: 20, padding: 16, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#f9f9f9', textAlign: 'left' }}>
+      <h4 style={{ margin: '0 0 12px 0' }}>Workload Generator</h4>
+
+      <label style={rowStyle}>
+        Arrivals
+        <select style={inputStyle} value={config.arrival} onChange={(e) => update('arrival', e.target.value)}>
+          {Object.entries(ARRIVAL_PROCESSES).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label style={rowStyle}>
+        Durations
+        <select style={inputStyle} value={config.distribution} onChange={(e) => update('distribution', e.target.value)}>
+          {Object.entries(DURATION_DISTRIBUTIONS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {numericFields.map(([key, label, step]) => (
+        <label key={key} style={rowStyle}>
+          {label}
+          <input
+            type="number"
+            step={step}
+            style={inputStyle}
+            value={config[key]}
+            onChange={(e) => update(key, Number(e.target.value))}
+          />
+        </label>
+      ))}
+
+      <div style={{ marginTop: 8, display: 'flex', gap: 8, alignItems: 'center' }}>
+        <button
+          style={{ padding: '4px 8px', fontSize: 12, backgroundColor: '#2196F3', color: 'white', border: 'none', borderRadius: 4 }}
+          onClick={start}
+        >
+          {activeWorkload ? 'Restart' : 'Start'}
+        </button>
+        <button
+          style={{ padding: '4px 8px', fontSize: 12, backgroundColor: '#666', color: 'white', border: 'none', borderRadius: 4 }}
+          onClick={() => onStop()}
+          disabled={!activeWorkload}
+        >
+          Stop
+        </button>
+        <span style={{ fontSize: 12, color: activeWorkload ? '#4CAF50' : '#888' }}>
+          {activeWorkload ? `Running (seed ${activeWorkload.seed})` : 'Stopped'}
+        </span>
+      </div>
+
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: '#d32f2f' }}>{error}</div>}
+    </div>
+  );
+};
+
+export default WorkloadPanel;
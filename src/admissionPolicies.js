@@ -0,0 +1,62 @@
+import { sumTasks, minBy } from './queueUtils';
+
+/**
+ * Admission Policies
+ *
+ * Each policy picks the queue that receives a newly admitted task from the queues
+ * of the task's priority group. Policies receive a context object:
+ * - queues: candidate queue names (never empty)
+ * - subQueues: map of queue name to task records
+ * - speeds: optional map of queue name to processing speed multiplier (missing means 1)
+ * - roundRobinIndex: number of tasks admitted to this group so far
+ * - random: random number generator returning values in [0, 1)
+ *
+ * and return the name of the selected queue.
+ */
+
+/**
+ * Lowest sum of remaining work relative to the queue's speed - the original App behavior
+ * when all queues are equally fast
+ */
+const leastWork = ({ queues, subQueues, speeds = {} }) => minBy(queues, name => sumTasks(subQueues[name]) / (speeds[name] || 1));
+
+/**
+ * Cycles through the queues of the group in order
+ */
+const roundRobin = ({ queues, roundRobinIndex }) => queues[roundRobinIndex % queues.length];
+
+/**
+ * Fewest tasks, regardless of their size
+ */
+const shortestQueue = ({ queues, subQueues }) => minBy(queues, name => subQueues[name].length);
+
+/**
+ * Uniformly random queue
+ */
+const random = ({ queues, random: rand }) => queues[Math.floor(rand() * queues.length)];
+
+/**
+ * Samples two distinct queues at random and picks the one with fewer tasks
+ */
+const powerOfTwoChoices = ({ queues, subQueues, random: rand }) => {
+  if (queues.length === 1) return queues[0];
+
+  const first = Math.floor(rand() * queues.length);
+  // Offset the second pick so it can never equal the first one
+  const second = (first + 1 + Math.floor(rand() * (queues.length - 1))) % queues.length;
+
+  return minBy([queues[first], queues[second]], name => subQueues[name].length);
+};
+
+/**
+ * Registry of selectable admission policies, keyed by policy id
+ */
+export const ADMISSION_POLICIES = {
+  leastWork: { label: 'Least Work (lowest sum)', select: leastWork },
+  roundRobin: { label: 'Round Robin', select: roundRobin },
+  shortestQueue: { label: 'Shortest Queue (fewest tasks)', select: shortestQueue },
+  random: { label: 'Random', select: random },
+  powerOfTwoChoices: { label: 'Power of Two Choices', select: powerOfTwoChoices },
+};
+
+export const DEFAULT_ADMISSION_POLICY = 'leastWork';
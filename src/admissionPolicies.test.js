@@ -0,0 +1,65 @@
+import { ADMISSION_POLICIES } from './admissionPolicies';
+import { createScheduler } from './scheduler';
+
+/**
+ * Builds task records with the given remaining work
+ */
+const tasks = (...values) => values.map((remaining, idx) => ({ id: idx + 1, remaining }));
+
+const subQueues = {
+  a: tasks(50),
+  b: tasks(10, 10, 10),
+  c: tasks(5, 40),
+};
+const queues = ['a', 'b', 'c'];
+
+test('least work picks the queue with the lowest sum of task values', () => {
+  expect(ADMISSION_POLICIES.leastWork.select({ queues, subQueues })).toBe('b');
+});
+
+test('least work accounts for the speed of each queue', () => {
+  // a needs 50 / 2 = 25 units to drain, b needs 30, c needs 45
+  expect(ADMISSION_POLICIES.leastWork.select({ queues, subQueues, speeds: { a: 2, b: 1, c: 1 } })).toBe('a');
+});
+
+test('shortest queue picks the queue with the fewest tasks', () => {
+  expect(ADMISSION_POLICIES.shortestQueue.select({ queues, subQueues })).toBe('a');
+});
+
+test('round robin cycles through the queues of the group', () => {
+  const picks = [0, 1, 2, 3].map(roundRobinIndex => ADMISSION_POLICIES.roundRobin.select({ queues, subQueues, roundRobinIndex }));
+  expect(picks).toEqual(['a', 'b', 'c', 'a']);
+});
+
+test('random uses the provided random number generator', () => {
+  expect(ADMISSION_POLICIES.random.select({ queues, subQueues, random: () => 0.99 })).toBe('c');
+  expect(ADMISSION_POLICIES.random.select({ queues, subQueues, random: () => 0 })).toBe('a');
+});
+
+test('power of two choices samples two distinct queues and keeps the shorter one', () => {
+  // First sample: index 1 (b), second sample: offset 1 from b -> c
+  const values = [0.4, 0.1];
+  const random = () => values.shift();
+  expect(ADMISSION_POLICIES.powerOfTwoChoices.select({ queues, subQueues, random })).toBe('c');
+
+  expect(ADMISSION_POLICIES.powerOfTwoChoices.select({ queues: ['a'], subQueues, random: () => 0.5 })).toBe('a');
+});
+
+test('the scheduler uses the selected admission policy', () => {
+  const scheduler = createScheduler({ admissionPolicy: 'roundRobin' });
+  [10, 20, 30, 40, 50].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3, 4, 5].forEach(() => scheduler.admit());
+
+  const { subQueues: result, admissionPolicy } = scheduler.getState();
+  expect(admissionPolicy).toBe('roundRobin');
+  const durations = (name) => result[name].map(task => task.duration);
+  expect(durations('regular1')).toEqual([10, 50]);
+  expect(durations('regular2')).toEqual([20]);
+  expect(durations('regular3')).toEqual([30]);
+  expect(durations('regular4')).toEqual([40]);
+});
+
+test('rejects unknown admission policies', () => {
+  expect(() => createScheduler({ admissionPolicy: 'nope' })).toThrow('Unknown admission policy');
+  expect(() => createScheduler().setAdmissionPolicy('nope')).toThrow('Unknown admission policy');
+});
@@ -0,0 +1,76 @@
+import { minBy } from './queueUtils';
+
+/**
+ * Scheduling Disciplines
+ *
+ * A discipline decides the order in which a single queue processes its tasks.
+ * The active task is always the first element of the queue, so disciplines only
+ * decide which waiting task moves to the front when the queue becomes idle, and
+ * whether the active task should be preempted.
+ *
+ * - selectNext(tasks): index of the task to start next
+ * - shouldPreempt(context): whether to put the active task back into the queue with
+ *   its remaining time. Context: { tasks, progress, quantumUsed, quantum }
+ */
+
+/**
+ * Index of the task with the least remaining work (earliest one wins ties)
+ */
+const indexOfShortest = (tasks) => minBy(tasks.map((_, idx) => idx), idx => tasks[idx].remaining);
+
+const neverPreempt = () => false;
+
+/**
+ * Real-time urgency of a task: its absolute deadline (EDF) or its period (Rate Monotonic)
+ * Tasks without one come after all tasks that have one
+ */
+const deadlineOf = (task) => (task.deadline === null ? Infinity : task.deadline);
+const periodOf = (task) => (task.period === null ? Infinity : task.period);
+
+/**
+ * Discipline that always runs the most urgent task, preempting the active one as soon as a
+ * strictly more urgent task waits (earliest one wins ties)
+ */
+const mostUrgentFirst = (label, urgency) => ({
+  label,
+  selectNext: (tasks) => minBy(tasks.map((_, idx) => idx), idx => urgency(tasks[idx])),
+  shouldPreempt: ({ tasks }) => tasks.slice(1).some(task => urgency(task) < urgency(tasks[0])),
+});
+
+/**
+ * Registry of selectable disciplines, keyed by discipline id
+ */
+export const DISCIPLINES = {
+  fifo: {
+    label: 'FIFO',
+    selectNext: () => 0,
+    shouldPreempt: neverPreempt,
+  },
+  sjf: {
+    label: 'Shortest Job First',
+    selectNext: indexOfShortest,
+    shouldPreempt: neverPreempt,
+  },
+  srtf: {
+    label: 'Shortest Remaining Time First',
+    selectNext: indexOfShortest,
+    // Preempt as soon as a waiting task is shorter than what is left of the active one
+    shouldPreempt: ({ tasks, progress }) => tasks.slice(1).some(task => task.remaining < progress),
+  },
+  lifo: {
+    label: 'LIFO',
+    selectNext: (tasks) => tasks.length - 1,
+    shouldPreempt: neverPreempt,
+  },
+  roundRobin: {
+    label: 'Round Robin',
+    usesQuantum: true,
+    selectNext: () => 0,
+    // Requeue once the quantum is used up, unless nothing else is waiting
+    shouldPreempt: ({ tasks, quantumUsed, quantum }) => tasks.length > 1 && quantumUsed >= quantum,
+  },
+  edf: mostUrgentFirst('Earliest Deadline First', deadlineOf),
+  rateMonotonic: mostUrgentFirst('Rate Monotonic', periodOf),
+};
+
+export const DEFAULT_DISCIPLINE = { id: 'fifo', quantum: 20 };
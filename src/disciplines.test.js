@@ -0,0 +1,110 @@
+import { createScheduler } from './scheduler';
+
+/**
+ * Remaining work of each task in a queue
+ */
+const remaining = (tasks) => tasks.map(task => task.remaining);
+
+/**
+ * Creates a scheduler with a single regular queue using the given discipline
+ * and admits the given task values to it
+ */
+const setup = (discipline, values) => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1'],
+    defaultDiscipline: { id: 'fifo', quantum: 20, ...discipline },
+  });
+  values.forEach(value => {
+    scheduler.enqueue({ duration: value, type: 'normal' });
+    scheduler.admit();
+  });
+  return scheduler;
+};
+
+/**
+ * Ticks until the queue is empty and returns the durations of the tasks in the order they started
+ */
+const startOrder = (scheduler, dt = 1) => {
+  const order = [];
+  let lastStarted = null;
+  for (let i = 0; i < 10000; i++) {
+    const { subQueues, progress, initialDuration } = scheduler.getState();
+    if (subQueues.regular1.length === 0) return order;
+    if (progress.regular1 === initialDuration.regular1 && lastStarted !== i) {
+      order.push(subQueues.regular1[0].duration);
+      lastStarted = i;
+    }
+    scheduler.tick(dt);
+  }
+  throw new Error('Simulation did not finish');
+};
+
+test('FIFO processes tasks in arrival order', () => {
+  expect(startOrder(setup({ id: 'fifo' }, [30, 10, 20]))).toEqual([30, 10, 20]);
+});
+
+test('LIFO processes the most recently admitted task first', () => {
+  expect(startOrder(setup({ id: 'lifo' }, [30, 10, 20]))).toEqual([30, 20, 10]);
+});
+
+test('SJF picks the shortest waiting task without preempting', () => {
+  expect(startOrder(setup({ id: 'sjf' }, [30, 10, 20, 5]))).toEqual([30, 5, 10, 20]);
+});
+
+test('SRTF preempts the active task when a shorter task arrives', () => {
+  const scheduler = setup({ id: 'srtf' }, [30]);
+  scheduler.tick(10);
+
+  scheduler.enqueue({ duration: 5, type: 'normal' });
+  scheduler.admit();
+
+  const { subQueues, progress } = scheduler.getState();
+  // The 30 task is requeued with its remaining 20 units
+  expect(subQueues.regular1[1].duration).toBe(30);
+  expect(remaining(subQueues.regular1)).toEqual([5, 20]);
+  expect(progress.regular1).toBe(5);
+  expect(subQueues.regular1[1].queues).toEqual(['regular1']);
+});
+
+test('Round Robin requeues the active task with its remaining time after the quantum', () => {
+  const scheduler = setup({ id: 'roundRobin', quantum: 4 }, [10, 6]);
+
+  for (let i = 0; i < 4; i++) scheduler.tick(1);
+  expect(remaining(scheduler.getState().subQueues.regular1)).toEqual([6, 6]);
+
+  for (let i = 0; i < 4; i++) scheduler.tick(1);
+  expect(remaining(scheduler.getState().subQueues.regular1)).toEqual([6, 2]);
+
+  for (let i = 0; i < 4; i++) scheduler.tick(1);
+  expect(remaining(scheduler.getState().subQueues.regular1)).toEqual([2, 2]);
+
+  for (let i = 0; i < 4; i++) scheduler.tick(1);
+  const { subQueues, completed } = scheduler.getState();
+  expect(remaining(subQueues.regular1)).toEqual([]);
+  // Being requeued is not a move: the queue history lists the queue once
+  expect(completed.map(task => task.queues)).toEqual([['regular1'], ['regular1']]);
+});
+
+test('zero-length tasks complete immediately instead of blocking the queue', () => {
+  // enqueue() requires a positive duration, so only a snapshot can hold a task without work left
+  const scheduler = setup({ id: 'sjf' }, [10, 1, 5]);
+  const snapshot = scheduler.exportState();
+  snapshot.subQueues.regular1[1].remaining = 0;
+  scheduler.importState(snapshot);
+  for (let i = 0; i < 10; i++) scheduler.tick(1);
+
+  const { subQueues, progress } = scheduler.getState();
+  expect(remaining(subQueues.regular1)).toEqual([5]);
+  expect(progress.regular1).toBe(5);
+});
+
+test('setDiscipline validates the queue, discipline and quantum', () => {
+  const scheduler = createScheduler();
+  scheduler.setDiscipline('regular1', { id: 'roundRobin', quantum: 8 });
+  expect(scheduler.getState().disciplines.regular1).toEqual({ id: 'roundRobin', quantum: 8 });
+
+  expect(() => scheduler.setDiscipline('missing', { id: 'fifo' })).toThrow('Unknown queue');
+  expect(() => scheduler.setDiscipline('regular1', { id: 'nope' })).toThrow('Unknown discipline');
+  expect(() => scheduler.setDiscipline('regular1', { quantum: 0 })).toThrow('Quantum must be positive');
+});
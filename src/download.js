@@ -0,0 +1,14 @@
+/**
+ * Offers text content to the user as a file download
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
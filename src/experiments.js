@@ -0,0 +1,129 @@
+import { createScheduler } from './scheduler';
+import { generateWorkload } from './workload';
+import { computeMetrics } from './metrics';
+
+/**
+ * Batch Experiments
+ *
+ * Runs the same seeded workload through the engine once per setting, each to completion in
+ * virtual time, and compares the results. Everything runs headless on createScheduler(), so
+ * the admission, stealing and discipline rules are exactly the ones App uses, and the runner
+ * needs no browser:
+ *
+ *   const rows = compareSettings({ seed: 7, topology: { regularPriorityQueues: ['r1', 'r2'] } }, [
+ *     { label: 'Round robin', admissionPolicy: 'roundRobin' },
+ *     { label: 'No stealing', stealing: { strategy: 'off' } },
+ *   ]);
+ *   console.log(formatComparison(rows));
+ *
+ * A setting is any engine configuration (see DEFAULT_CONFIG), e.g. admissionPolicy, stealing,
+ * defaultDiscipline, mlfq or processors, plus an optional label for the table. It is applied
+ * on top of the experiment's topology.
+ *
+ * From the command line, `npm run experiments` prints such a table for the comparison in
+ * experiments.run.js, or for the { experiment, settings } of the JSON file named by the
+ * EXPERIMENT_FILE environment variable.
+ */
+
+export const DEFAULT_EXPERIMENT = {
+  // Seed of the workload generator; every setting sees the same tasks
+  seed: 42,
+  // Number of tasks to generate
+  tasks: 200,
+  // Overrides for DEFAULT_WORKLOAD (the seed above wins over workload.seed)
+  workload: {},
+  // Engine configuration shared by all settings: queues, classes, admission control...
+  topology: {},
+  // Rate at which arrived tasks are admitted (tasks per 100 units of time)
+  admissionRate: 1000,
+  // Runs that have not finished by this time are stopped and reported as unfinished
+  maxTime: 100000,
+};
+
+/**
+ * Columns of the comparison table: [field, header, digits]
+ */
+export const COMPARISON_COLUMNS = [
+  ['label', 'Setting'],
+  ['completed', 'Done', 0],
+  ['avgWait', 'Mean wait', 1],
+  ['p95Turnaround', 'p95 turnaround', 1],
+  ['makespan', 'Makespan', 1],
+  ['utilization', 'Utilization', 2],
+];
+
+/**
+ * Whether a run has no work left: nothing scheduled, waiting or in a queue
+ */
+const isDone = ({ scheduled, queue, subQueues }) => scheduled.length === 0 && queue.length === 0
+  && Object.values(subQueues).every(tasks => tasks.length === 0);
+
+/**
+ * Runs one setting to completion
+ * @param {Object} experiment - Overrides for DEFAULT_EXPERIMENT
+ * @param {Object} setting - Engine configuration overrides, with an optional label
+ * @returns {Object} - { label, finished, time, completed, avgWait, p95Turnaround, makespan, utilization, metrics, scheduler }
+ */
+export function runExperiment(experiment, setting = {}) {
+  const { seed, tasks, workload, topology, admissionRate, maxTime } = { ...DEFAULT_EXPERIMENT, ...experiment };
+  const { label = 'default', ...config } = setting;
+
+  const scheduler = createScheduler({
+    ...topology,
+    ...config,
+    admissionControl: { ...topology.admissionControl, ...config.admissionControl, auto: true, rate: admissionRate },
+  });
+  scheduler.scheduleArrivals(generateWorkload({ ...workload, seed }, tasks));
+
+  while (!isDone(scheduler.getState()) && scheduler.getState().time < maxTime) {
+    if (!scheduler.stepToNextEvent()) break;
+  }
+
+  const state = scheduler.getState();
+  const metrics = computeMetrics(state);
+  return {
+    label,
+    finished: isDone(state),
+    time: state.time,
+    completed: metrics.global.completed,
+    avgWait: metrics.global.avgWait,
+    p95Turnaround: metrics.global.p95Turnaround,
+    makespan: metrics.global.makespan,
+    utilization: metrics.global.utilization,
+    metrics,
+    scheduler,
+  };
+}
+
+/**
+ * Runs every setting against the same workload and topology
+ * @param {Object} experiment - Overrides for DEFAULT_EXPERIMENT
+ * @param {Array} settings - Engine configuration overrides, one run each
+ * @returns {Array} - One result per setting, see runExperiment()
+ */
+export const compareSettings = (experiment, settings) => settings.map(setting => runExperiment(experiment, setting));
+
+/**
+ * Formats comparison results as a plain-text table; unfinished runs are marked with *
+ * @param {Array} results - Results of compareSettings()
+ * @returns {string} - Table with one row per setting
+ */
+export function formatComparison(results) {
+  const cell = (result, [field, , digits]) => {
+    const value = result[field];
+    if (digits === undefined) return result.finished ? String(value) : `${value} *`;
+    return value === null ? '-' : value.toFixed(digits);
+  };
+  const rows = [
+    COMPARISON_COLUMNS.map(([, header]) => header),
+    ...results.map(result => COMPARISON_COLUMNS.map(column => cell(result, column))),
+  ];
+  const widths = COMPARISON_COLUMNS.map((_, index) => Math.max(...rows.map(row => row[index].length)));
+  // Labels are left-aligned, numbers right-aligned
+  const line = (row) => row.map((text, index) => (index === 0 ? text.padEnd(widths[index]) : text.padStart(widths[index]))).join('  ');
+  return [
+    line(rows[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
@@ -0,0 +1,36 @@
+import fs from 'fs';
+import { compareSettings, formatComparison } from './experiments';
+
+/**
+ * Command-line Experiment Runner
+ *
+ * The engine is written as ES modules without file extensions, which Node cannot load on its own,
+ * so experiments run through the Jest setup of react-scripts that compiles them:
+ *
+ *   npm run experiments
+ *   EXPERIMENT_FILE=my-experiment.json npm run experiments
+ *
+ * The file holds { experiment, settings }, see compareSettings(); without one the default
+ * comparison below runs. The table is printed to stdout.
+ */
+
+/**
+ * Compares admission policies and queue disciplines on two regular queues
+ */
+const DEFAULT_COMPARISON = {
+  experiment: { seed: 42, tasks: 200, topology: { regularPriorityQueues: ['regular1', 'regular2'] } },
+  settings: [
+    { label: 'Least work, FIFO' },
+    { label: 'Round-robin admission', admissionPolicy: 'roundRobin' },
+    { label: 'SJF queues', defaultDiscipline: { id: 'sjf' } },
+    { label: 'Round-robin queues', defaultDiscipline: { id: 'roundRobin', quantum: 10 } },
+  ],
+};
+
+test('runs the experiment and prints the comparison', () => {
+  const file = process.env.EXPERIMENT_FILE;
+  const { experiment, settings } = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_COMPARISON;
+  const results = compareSettings(experiment, settings);
+  process.stdout.write(`\n${formatComparison(results)}\n\n`);
+  expect(results).toHaveLength(settings.length);
+});
@@ -0,0 +1,54 @@
+import { runExperiment, compareSettings, formatComparison } from './experiments';
+import { createScheduler } from './scheduler';
+import { generateWorkload } from './workload';
+
+const experiment = {
+  seed: 7,
+  tasks: 40,
+  topology: { highPriorityQueues: ['high1'], regularPriorityQueues: ['regular1', 'regular2'] },
+};
+
+test('runs every setting on the same workload to completion', () => {
+  const results = compareSettings(experiment, [
+    { label: 'least work', admissionPolicy: 'leastWork' },
+    { label: 'round robin, no stealing', admissionPolicy: 'roundRobin', stealing: { strategy: 'off' } },
+    { label: 'SJF', defaultDiscipline: { id: 'sjf', quantum: 20 } },
+  ]);
+
+  results.forEach(result => {
+    expect(result.finished).toBe(true);
+    expect(result.completed).toBe(40);
+    expect(result.makespan).toBeGreaterThan(0);
+    expect(result.utilization).toBeGreaterThan(0);
+  });
+  // The same tasks were processed each time
+  const work = results.map(({ scheduler }) => scheduler.getState().completed.reduce((sum, task) => sum + task.duration, 0));
+  expect(new Set(work).size).toBe(1);
+  // Shortest job first never waits longer on average than FIFO with the same admission rules
+  expect(results[2].avgWait).toBeLessThanOrEqual(results[0].avgWait);
+});
+
+test('results match driving the engine by hand like the UI does', () => {
+  const batch = runExperiment(experiment, { admissionPolicy: 'shortestQueue' });
+
+  const scheduler = createScheduler({
+    ...experiment.topology,
+    admissionPolicy: 'shortestQueue',
+    admissionControl: { auto: true, rate: 1000 },
+  });
+  scheduler.scheduleArrivals(generateWorkload({ seed: 7 }, 40));
+  scheduler.advance(batch.time);
+
+  expect(scheduler.getState().completed.map(task => [task.id, task.finishedAt]))
+    .toEqual(batch.scheduler.getState().completed.map(task => [task.id, task.finishedAt]));
+});
+
+test('formats a comparison table and marks unfinished runs', () => {
+  const results = compareSettings({ ...experiment, maxTime: 50 }, [{ label: 'short run' }]);
+  expect(results[0].finished).toBe(false);
+
+  const [header, rule, row] = formatComparison(results).split('\n');
+  expect(header).toMatch(/^Setting\s+Done\s+Mean wait\s+p95 turnaround\s+Makespan\s+Utilization$/);
+  expect(rule).toMatch(/^[- ]+$/);
+  expect(row.startsWith('short run *')).toBe(true);
+});
@@ -0,0 +1,116 @@
+import { classForType, queuesInClassOrder } from './priorityClasses';
+
+/**
+ * Invariant Checks
+ *
+ * Consistency rules the engine state must satisfy after every tick. A violation means a task
+ * was lost, duplicated or corrupted, so these are checked in debug mode (see the engine's
+ * setDebug()) and shown in the diagnostics panel together with the offending state.
+ *
+ * - check(state): list of violations, each { message, details } where details holds the
+ *   offending part of the state
+ */
+
+/**
+ * Per-queue maps that must have exactly one entry for every queue
+ */
+const QUEUE_MAPS = ['subQueues', 'progress', 'initialDuration', 'disciplines', 'queueSettings', 'queueStatus'];
+
+/**
+ * Every place a task can be, as [place, tasks]
+ */
+const placesOf = (state) => [
+  ['main queue', state.queue],
+  ...queuesInClassOrder(state).map(q => [q, state.subQueues[q] || []]),
+  ['completed', state.completed],
+  ['rejected', state.rejected],
+  ['cancelled', state.cancelled],
+];
+
+/**
+ * Registry of invariants, keyed by invariant id
+ */
+export const INVARIANTS = {
+  queueMaps: {
+    label: 'Every queue has matching per-queue entries',
+    check: (state) => {
+      const queues = queuesInClassOrder(state);
+      return QUEUE_MAPS.flatMap(map => {
+        const keys = Object.keys(state[map]);
+        const missing = queues.filter(q => !keys.includes(q));
+        const stray = keys.filter(key => !queues.includes(key));
+        return missing.length === 0 && stray.length === 0
+          ? []
+          : [{ message: `${map} does not match the queues`, details: { queues, [map]: keys, missing, stray } }];
+      });
+    },
+  },
+  uniquePlace: {
+    label: 'Each task is in exactly one place',
+    check: (state) => {
+      const seen = {};
+      placesOf(state).forEach(([place, tasks]) => tasks.forEach(task => {
+        seen[task.id] = [...(seen[task.id] || []), place];
+      }));
+      return Object.entries(seen)
+        .filter(([, places]) => places.length > 1)
+        .map(([id, places]) => ({ message: `Task #${id} is in ${places.length} places`, details: { taskId: Number(id), places } }));
+    },
+  },
+  conservation: {
+    label: 'Arrived = waiting + admitted + rejected + cancelled, admitted = in queues + completed (or cancelled)',
+    check: (state) => {
+      const inQueues = queuesInClassOrder(state).reduce((sum, q) => sum + (state.subQueues[q] || []).length, 0);
+      const arrived = state.nextTaskId - 1;
+      const accounted = state.queue.length + inQueues + state.completed.length + state.rejected.length + state.cancelled.length;
+      const violations = [];
+      if (arrived !== accounted) {
+        violations.push({
+          message: `${arrived} tasks arrived but ${accounted} are accounted for`,
+          details: { arrived, waiting: state.queue.length, inQueues, completed: state.completed.length, rejected: state.rejected.length, cancelled: state.cancelled.length },
+        });
+      }
+      const admittedElsewhere = [...state.queue, ...state.rejected].filter(task => task.admittedAt !== null);
+      const notAdmitted = placesOf(state).slice(1, -2).flatMap(([, tasks]) => tasks).filter(task => task.admittedAt === null);
+      if (admittedElsewhere.length > 0 || notAdmitted.length > 0) {
+        violations.push({
+          message: 'Admitted tasks must be in a queue or completed, and only those',
+          details: { admittedButWaiting: admittedElsewhere.map(task => task.id), inQueueButNotAdmitted: notAdmitted.map(task => task.id) },
+        });
+      }
+      return violations;
+    },
+  },
+  progress: {
+    label: 'progress ≤ initialDuration and matches the active task',
+    check: (state) => queuesInClassOrder(state).flatMap(q => {
+      const progress = state.progress[q];
+      const initialDuration = state.initialDuration[q];
+      const active = (state.subQueues[q] || [])[0];
+      const details = { queue: q, progress, initialDuration, activeTask: active ? { id: active.id, remaining: active.remaining } : null };
+      if (!(progress >= 0 && progress <= initialDuration)) {
+        return [{ message: `${q}: progress ${progress} is outside 0..${initialDuration}`, details }];
+      }
+      if (progress > 0 && (!active || active.remaining !== progress)) {
+        return [{ message: `${q}: progress does not match the active task`, details }];
+      }
+      return [];
+    }),
+  },
+  taskClass: {
+    label: 'Tasks admitted into a queue and never moved since sit in a queue of their own class',
+    // MLFQ, cross-class stealing and manual moves may take a task out of its class on purpose;
+    // every move shows up in the task's queue history, so only unmoved tasks are checked
+    check: (state) => state.classes.flatMap(({ id }) => state.groups[id].flatMap(q => (state.subQueues[q] || [])
+      .filter(task => task.queues.every(name => name === q) && classForType(task.type, state.classes).id !== id)
+      .map(task => ({ message: `Task #${task.id} of type ${task.type} was admitted to ${q}`, details: { queue: q, class: id, task } })))),
+  },
+};
+
+/**
+ * Checks every invariant against a state
+ * @param {Object} state - Engine state or a getState() snapshot
+ * @returns {Array} - Violations [{ invariant, message, details }], empty when the state is consistent
+ */
+export const checkInvariants = (state) => Object.entries(INVARIANTS)
+  .flatMap(([invariant, { check }]) => check(state).map(violation => ({ invariant, ...violation })));
@@ -0,0 +1,97 @@
+import { checkInvariants } from './invariants';
+import { createScheduler } from './scheduler';
+
+/**
+ * An engine mid-run: tasks waiting, queued and running
+ */
+const busyScheduler = (config = {}) => {
+  const scheduler = createScheduler(config);
+  for (let i = 0; i < 8; i++) scheduler.enqueue({ duration: 50 + 5 * i, type: i % 3 === 0 ? 'high' : 'normal' });
+  for (let i = 0; i < 6; i++) scheduler.admit();
+  scheduler.advance(30);
+  return scheduler;
+};
+
+const invariantsOf = (violations) => violations.map(violation => violation.invariant);
+
+test('a debug-mode run with queue changes finds no violations', () => {
+  const scheduler = busyScheduler({ debug: true });
+  scheduler.drainQueue('regular2');
+  scheduler.removeQueue('regular');
+  scheduler.addQueue('regular');
+  for (let i = 0; i < 2; i++) scheduler.admit();
+  scheduler.advance(1000);
+
+  const state = scheduler.getState();
+  expect(state.completed).toHaveLength(8);
+  expect(state.violations).toEqual([]);
+  expect(checkInvariants(state)).toEqual([]);
+});
+
+test('detects duplicated and lost tasks', () => {
+  const state = busyScheduler().getState();
+  const [queue] = Object.keys(state.subQueues).filter(q => state.subQueues[q].length > 0);
+
+  const duplicated = { ...state, completed: [...state.completed, state.subQueues[queue][0]] };
+  expect(invariantsOf(checkInvariants(duplicated))).toEqual(['uniquePlace', 'conservation']);
+
+  const lost = { ...state, queue: state.queue.slice(1) };
+  const [violation] = checkInvariants(lost);
+  expect(violation.invariant).toBe('conservation');
+  expect(violation.details).toMatchObject({ arrived: 8, waiting: 1 });
+});
+
+test('detects corrupted progress and missing per-queue entries', () => {
+  const state = busyScheduler().getState();
+  const [queue] = Object.keys(state.subQueues).filter(q => state.progress[q] > 0);
+
+  const overrun = { ...state, progress: { ...state.progress, [queue]: state.initialDuration[queue] + 1 } };
+  const [violation] = checkInvariants(overrun);
+  expect(violation.invariant).toBe('progress');
+  expect(violation.details.queue).toBe(queue);
+
+  const { [queue]: removed, ...settings } = state.queueSettings;
+  expect(checkInvariants({ ...state, queueSettings: settings })).toEqual([
+    expect.objectContaining({ invariant: 'queueMaps', details: expect.objectContaining({ missing: [queue] }) }),
+  ]);
+});
+
+test('debug mode records violations with the time and offending state', () => {
+  const scheduler = busyScheduler();
+  const snapshot = scheduler.exportState();
+  const queue = Object.keys(snapshot.subQueues).find(q => snapshot.subQueues[q].length > 0);
+  snapshot.completed.push(snapshot.subQueues[queue][0]);
+  scheduler.importState(snapshot);
+
+  // Without debug mode nothing is checked
+  scheduler.tick(0.4);
+  expect(scheduler.getState().violations).toEqual([]);
+
+  scheduler.setDebug(true);
+  const { violations, time } = scheduler.getState();
+  expect(violations.length).toBeGreaterThan(0);
+  expect(violations[0]).toMatchObject({ time, invariant: 'uniquePlace' });
+  expect(violations[0].details.places).toContain('completed');
+
+  scheduler.clearViolations();
+  expect(scheduler.getState().violations).toEqual([]);
+});
+
+test('tasks moved out of their class on purpose are not flagged once the feature is off', () => {
+  const scheduler = createScheduler({ debug: true, mlfq: { enabled: true, quantum: 5 } });
+  scheduler.enqueue({ duration: 30, type: 'high' });
+  scheduler.admit();
+  scheduler.advance(10);
+  expect(scheduler.getState().subQueues.high1).toEqual([]);
+
+  scheduler.setMlfq({ enabled: false });
+  scheduler.advance(5);
+  expect(scheduler.getState().violations).toEqual([]);
+
+  // The same task without the demotion in its history would be misplaced
+  const state = scheduler.getState();
+  const queue = Object.keys(state.subQueues).find(q => state.subQueues[q].length > 0);
+  const [demoted] = state.subQueues[queue];
+  const unmoved = { ...state, subQueues: { ...state.subQueues, [queue]: [{ ...demoted, queues: [queue] }] } };
+  expect(invariantsOf(checkInvariants(unmoved))).toEqual(['taskClass']);
+});
@@ -0,0 +1,131 @@
+import { sumTasks } from './queueUtils';
+import { queuesInClassOrder } from './priorityClasses';
+import { criticalPath } from './workflows';
+import { deadlineStats } from './realtime';
+
+/**
+ * Scheduling Metrics
+ *
+ * Derives scheduling statistics from a scheduler state snapshot (see scheduler.getState()):
+ * - Waiting time: turnaround time minus the time the task was being processed (its serviceTime,
+ *   which unlike its duration accounts for the speed of the queues that ran it)
+ * - Turnaround time: finish time minus arrival time
+ * - Response time: first start time minus arrival time
+ * - Throughput: completed tasks per 100 units of time
+ * - Utilization: share of a queue's lifetime during which it had an active task
+ * - Backlog: remaining work that has not been processed yet
+ * - Rejected: tasks dropped by admission control
+ * - Stolen: tasks moved between queues by work-stealing
+ * - Cancelled / interventions: tasks cancelled by hand, and every manual move, cancellation and edit
+ * - Deadlines: tasks with a deadline that finished after it, and by how much (lateness)
+ * - Makespan: time from the first arrival to the last completion
+ * - Critical path: longest chain of dependent work among the tasks that were not rejected, the
+ *   makespan an unlimited number of queues could reach (see workflows.js)
+ *
+ * Completed tasks are attributed to the queue that finished them.
+ */
+
+/**
+ * Arithmetic mean, or null for an empty list
+ */
+export const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+/**
+ * Nearest-rank percentile, or null for an empty list
+ * @param {Array} values - Numbers in any order
+ * @param {number} p - Percentile between 0 and 100
+ */
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+};
+
+/**
+ * Jain's fairness index: 1 when all values are equal, 1/n when one value takes everything
+ * @returns {number|null} - Index between 1/n and 1, or null when there is nothing to compare
+ */
+export const jainIndex = (values) => {
+  const sumOfSquares = values.reduce((sum, v) => sum + v * v, 0);
+  if (values.length === 0 || sumOfSquares === 0) return null;
+  const total = values.reduce((sum, v) => sum + v, 0);
+  return (total * total) / (values.length * sumOfSquares);
+};
+
+/**
+ * Time a completed task spent not being processed between its arrival and its completion
+ */
+export const waitingTime = (task) => task.finishedAt - task.arrivedAt - task.serviceTime;
+
+/**
+ * Summarizes a list of completed tasks
+ */
+const summarizeTasks = (tasks) => {
+  const waits = tasks.map(waitingTime);
+  const turnarounds = tasks.map(task => task.finishedAt - task.arrivedAt);
+  const responses = tasks.map(task => task.startedAt - task.arrivedAt);
+
+  return {
+    completed: tasks.length,
+    avgWait: mean(waits),
+    p50Wait: percentile(waits, 50),
+    p95Wait: percentile(waits, 95),
+    avgTurnaround: mean(turnarounds),
+    p50Turnaround: percentile(turnarounds, 50),
+    p95Turnaround: percentile(turnarounds, 95),
+    avgResponse: mean(responses),
+    p95Response: percentile(responses, 95),
+    ...deadlineStats(tasks),
+  };
+};
+
+/**
+ * Computes per-queue and global metrics from a scheduler state snapshot
+ * @param {Object} state - Scheduler state snapshot
+ * @returns {Object} - { global, queues: { [name]: metrics }, fairness }
+ */
+export function computeMetrics(state) {
+  const { time, completed, rejected, cancelled, migrations, interventions, subQueues, busyTime, createdAt, classes, groups, queue } = state;
+  const queueNames = queuesInClassOrder(state);
+
+  // Throughput per 100 units of time
+  const throughput = (count, lifetime) => (lifetime > 0 ? (count / lifetime) * 100 : null);
+
+  const queues = {};
+  queueNames.forEach(name => {
+    const finishedHere = completed.filter(task => task.queues[task.queues.length - 1] === name);
+    const lifetime = time - Math.max(createdAt[name], 0);
+
+    queues[name] = {
+      ...summarizeTasks(finishedHere),
+      throughput: throughput(finishedHere.length, lifetime),
+      utilization: lifetime > 0 ? Math.min(1, busyTime[name] / lifetime) : null,
+      backlog: sumTasks(subQueues[name]),
+      waiting: subQueues[name].length,
+    };
+  });
+
+  const utilizations = queueNames.map(name => queues[name].utilization).filter(u => u !== null);
+
+  const global = {
+    ...summarizeTasks(completed),
+    throughput: throughput(completed.length, time),
+    utilization: mean(utilizations),
+    backlog: sumTasks(queue) + queueNames.reduce((sum, name) => sum + queues[name].backlog, 0),
+    waiting: queue.length + queueNames.reduce((sum, name) => sum + queues[name].waiting, 0),
+    rejected: rejected.length,
+    stolen: migrations.length,
+    cancelled: cancelled.length,
+    interventions: interventions.length,
+    makespan: completed.length === 0
+      ? null
+      : Math.max(...completed.map(task => task.finishedAt)) - Math.min(...completed.map(task => task.arrivedAt)),
+    criticalPath: criticalPath([...completed, ...queueNames.flatMap(name => subQueues[name]), ...queue]).length,
+  };
+
+  // Fairness of the busy time given to each queue of the least urgent class, which carries the bulk of the work
+  const fairness = jainIndex(groups[classes[classes.length - 1].id].map(name => busyTime[name]));
+
+  return { global, queues, fairness };
+}
@@ -0,0 +1,84 @@
+import { computeMetrics, mean, percentile, jainIndex } from './metrics';
+import { createScheduler } from './scheduler';
+import { taskResults } from './traces';
+
+test('mean and percentile handle empty and unsorted input', () => {
+  expect(mean([])).toBeNull();
+  expect(mean([1, 2, 3])).toBe(2);
+  expect(percentile([], 95)).toBeNull();
+  expect(percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+  expect(percentile([5, 1, 4, 2, 3], 95)).toBe(5);
+  expect(percentile([5, 1, 4, 2, 3], 0)).toBe(1);
+});
+
+test("Jain's fairness index is 1 for equal shares and 1/n for a single busy queue", () => {
+  expect(jainIndex([10, 10, 10, 10])).toBe(1);
+  expect(jainIndex([10, 0, 0, 0])).toBe(0.25);
+  expect(jainIndex([0, 0])).toBeNull();
+});
+
+test('computes waiting, turnaround, response, throughput and utilization from a run', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1', 'regular2'],
+  });
+  // regular1 runs 10 then 10, regular2 runs 20 then sits idle
+  [10, 20, 10].forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  for (let i = 0; i < 25; i++) scheduler.tick(1);
+
+  const { global, queues, fairness } = computeMetrics(scheduler.getState());
+
+  expect(queues.regular1.completed).toBe(2);
+  expect(queues.regular1.avgWait).toBe(5);
+  expect(queues.regular1.avgTurnaround).toBe(15);
+  expect(queues.regular1.avgResponse).toBe(5);
+  expect(queues.regular1.utilization).toBe(0.8);
+  expect(queues.regular2.completed).toBe(1);
+  expect(queues.regular2.utilization).toBe(0.8);
+  expect(queues.high1.utilization).toBe(0);
+  expect(queues.high1.avgWait).toBeNull();
+
+  expect(global.completed).toBe(3);
+  expect(global.p95Turnaround).toBe(20);
+  expect(global.throughput).toBe(12);
+  expect(global.backlog).toBe(0);
+  expect(global.stolen).toBe(0);
+  expect(fairness).toBe(1);
+});
+
+test('waiting time accounts for the speed of the queue that ran the task', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1'],
+    queueSettings: { regular1: { speed: 4 } },
+  });
+  // Both tasks take 10 units of time at speed 4; the second one waits for the first
+  [40, 40].forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  scheduler.advance(25);
+
+  const state = scheduler.getState();
+  expect(state.completed.map(task => [task.finishedAt, task.serviceTime])).toEqual([[10, 10], [20, 10]]);
+  const { queues } = computeMetrics(state);
+  expect(queues.regular1.avgWait).toBe(5);
+  expect(queues.regular1.p95Wait).toBe(10);
+  expect(taskResults(state).map(({ wait }) => wait)).toEqual([0, 10]);
+});
+
+test('backlog includes the main queue and the remaining work of active tasks', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 30, type: 'high' });
+  scheduler.admit();
+  scheduler.enqueue({ duration: 15, type: 'normal' });
+  scheduler.tick(10);
+
+  const { global, queues } = computeMetrics(scheduler.getState());
+  expect(queues.high1.backlog).toBe(20);
+  expect(global.backlog).toBe(35);
+  expect(global.waiting).toBe(2);
+});
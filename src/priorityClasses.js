@@ -0,0 +1,121 @@
+/**
+ * Priority Classes
+ *
+ * Every task belongs to a priority class, and every class has its own queues, a display
+ * name, a color and a relative weight. Classes are ordered from most to least urgent.
+ *
+ * A class is { id, name, color, weight }. A task's type is the id of its class; the original
+ * task types 'high' and 'normal' stay valid and stand for the most and least urgent class.
+ *
+ * A sharing rule decides how classes divide the machine between them:
+ * - shares({ classes, busy }): processing share in [0, 1] for each class id, where busy is
+ *   the set of class ids that currently have a running task. A queue processes
+ *   speed × share work per unit of time, and a share of 0 freezes its active task.
+ */
+
+/**
+ * Classes used when the configuration does not define any
+ */
+export const DEFAULT_PRIORITY_CLASSES = [
+  { id: 'high', name: 'High', color: '#e57373', weight: 3 },
+  { id: 'regular', name: 'Regular', color: '#888888', weight: 1 },
+];
+
+/**
+ * Colors offered for new classes, in order
+ */
+export const CLASS_COLORS = ['#e57373', '#ffb74d', '#64b5f6', '#81c784', '#ba68c8', '#888888'];
+
+const fullShares = (classes) => Object.fromEntries(classes.map(({ id }) => [id, 1]));
+
+/**
+ * Registry of sharing rules, keyed by rule id
+ */
+export const CLASS_SHARING_RULES = {
+  dedicated: {
+    label: 'Dedicated queues',
+    // Every class runs on its own queues, unaffected by the others
+    shares: ({ classes }) => fullShares(classes),
+  },
+  preemptive: {
+    label: 'Higher classes preempt',
+    // Only the most urgent busy class runs; lower classes are frozen until it is done
+    shares: ({ classes, busy }) => {
+      const top = classes.findIndex(({ id }) => busy.has(id));
+      return Object.fromEntries(classes.map(({ id }, index) => [id, top === -1 || index <= top ? 1 : 0]));
+    },
+  },
+  weighted: {
+    label: 'Weighted fair sharing',
+    // Busy classes split the processing capacity in proportion to their weights
+    shares: ({ classes, busy }) => {
+      const total = classes.filter(({ id }) => busy.has(id)).reduce((sum, { weight }) => sum + weight, 0);
+      if (total === 0) return fullShares(classes);
+      return Object.fromEntries(classes.map(({ id, weight }) => [id, busy.has(id) ? weight / total : 1]));
+    },
+  },
+};
+
+export const DEFAULT_CLASS_SHARING = 'dedicated';
+
+/**
+ * Task types that stand for a class by position rather than by id: 'high' for the most urgent
+ * class and 'normal' for the least urgent one. A class whose id is an alias, like the built-in
+ * High class, takes precedence wherever it is ranked; no class created from a name gets one of
+ * these ids, so the aliases keep their meaning otherwise.
+ */
+export const TYPE_ALIASES = ['high', 'normal'];
+
+/**
+ * Finds the class that processes tasks of a type
+ * A class id wins over an alias, so 'high' stays with the class of that id when it is reordered
+ * @param {string} type - Class id, or the aliases 'high' (most urgent class) and 'normal' (least urgent class),
+ *                        see TYPE_ALIASES
+ * @param {Array} classes - Priority classes, most urgent first
+ * @returns {Object|null} - The class, or null for an unknown type
+ */
+export const classForType = (type, classes) => {
+  const match = classes.find(({ id }) => id === type);
+  if (match) return match;
+  if (type === 'high') return classes[0];
+  if (type === 'normal') return classes[classes.length - 1];
+  return null;
+};
+
+/**
+ * Lists queue names class by class, most urgent class first
+ * @param {Object} state - Anything with classes and groups (engine state or snapshot)
+ */
+export const queuesInClassOrder = ({ classes, groups }) => classes.flatMap(({ id }) => groups[id]);
+
+/**
+ * Checks class settings, allowing any of the fields to be omitted
+ * @param {Object} settings - Any of { name, color, weight }
+ */
+export const validatePriorityClass = ({ name, color, weight }) => {
+  if (name !== undefined && !(typeof name === 'string' && name.trim() !== '')) {
+    throw new Error('Class name must not be empty');
+  }
+  if (color !== undefined && !(typeof color === 'string' && color.trim() !== '')) {
+    throw new Error('Class color must not be empty');
+  }
+  if (weight !== undefined && !(weight > 0)) {
+    throw new Error(`Class weight must be positive: ${weight}`);
+  }
+};
+
+/**
+ * Derives a class id from its name that is not taken yet, e.g. 'Batch jobs' -> 'batchjobs', then 'batchjobs-2'
+ * The type aliases are never used, so 'Normal' -> 'normal-2'
+ * @param {string} name - Class name
+ * @param {Array} taken - Ids already in use
+ */
+export const classIdFor = (name, taken) => {
+  const base = name.toLowerCase().replace(/[^a-z]/g, '') || 'class';
+  const reserved = [...taken, ...TYPE_ALIASES];
+  let id = base;
+  for (let n = 2; reserved.includes(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
@@ -0,0 +1,138 @@
+import { CLASS_SHARING_RULES, classForType, classIdFor } from './priorityClasses';
+import { createScheduler } from './scheduler';
+
+const classes = [
+  { id: 'critical', name: 'Critical', color: '#e57373', weight: 3 },
+  { id: 'interactive', name: 'Interactive', color: '#ffb74d', weight: 2 },
+  { id: 'batch', name: 'Batch', color: '#888888', weight: 1 },
+];
+
+/**
+ * Three classes with one queue each
+ */
+const threeClasses = classes.map(priorityClass => ({ ...priorityClass, queues: [`${priorityClass.id}1`] }));
+
+test('task types map to their class, with high and normal standing for the ends of the order', () => {
+  expect(classForType('interactive', classes).id).toBe('interactive');
+  expect(classForType('high', classes).id).toBe('critical');
+  expect(classForType('normal', classes).id).toBe('batch');
+  expect(classForType('unknown', classes)).toBeNull();
+});
+
+test('class ids are derived from names and never collide', () => {
+  expect(classIdFor('Batch jobs', [])).toBe('batchjobs');
+  expect(classIdFor('Batch jobs', ['batchjobs', 'batchjobs-2'])).toBe('batchjobs-3');
+  expect(classIdFor('42', [])).toBe('class');
+  // The 'high' / 'normal' aliases are never taken by a class
+  expect(classIdFor('Normal', ['high', 'regular'])).toBe('normal-2');
+  expect(classIdFor('High!', ['regular'])).toBe('high-2');
+});
+
+test('sharing rules split capacity between busy classes', () => {
+  const busy = new Set(['interactive', 'batch']);
+  expect(CLASS_SHARING_RULES.dedicated.shares({ classes, busy })).toEqual({ critical: 1, interactive: 1, batch: 1 });
+  expect(CLASS_SHARING_RULES.preemptive.shares({ classes, busy })).toEqual({ critical: 1, interactive: 1, batch: 0 });
+  expect(CLASS_SHARING_RULES.weighted.shares({ classes, busy })).toEqual({ critical: 1, interactive: 2 / 3, batch: 1 / 3 });
+});
+
+test('each class admits its tasks to its own queues', () => {
+  const scheduler = createScheduler({ priorityClasses: threeClasses });
+  ['batch', 'critical', 'interactive'].forEach(type => {
+    scheduler.enqueue({ duration: 10, type });
+    scheduler.admit();
+  });
+
+  const { subQueues, groups, queueSettings } = scheduler.getState();
+  expect(groups).toEqual({ critical: ['critical1'], interactive: ['interactive1'], batch: ['batch1'] });
+  expect(subQueues.interactive1.map(task => task.type)).toEqual(['interactive']);
+  expect(queueSettings.batch1.title).toBe('Batch Priority Queue 1');
+  expect(() => scheduler.enqueue({ duration: 10, type: 'unknown' })).toThrow('Unknown task type: unknown');
+});
+
+test('higher classes freeze lower ones under the preemptive rule', () => {
+  const scheduler = createScheduler({ priorityClasses: threeClasses, classSharing: 'preemptive' });
+  scheduler.enqueue({ duration: 10, type: 'batch' });
+  scheduler.admit();
+  scheduler.advance(4);
+
+  scheduler.enqueue({ duration: 6, type: 'critical' });
+  scheduler.admit();
+  scheduler.advance(4);
+  let state = scheduler.getState();
+  expect(state.progress.batch1).toBe(6);
+  expect(state.progress.critical1).toBe(2);
+
+  scheduler.advance(2);
+  scheduler.advance(2);
+  state = scheduler.getState();
+  expect(state.progress.batch1).toBe(4);
+  expect(state.events.filter(event => event.queue === 'batch1').map(event => event.type)).toEqual(['admitted', 'started', 'preempted', 'resumed']);
+});
+
+test('busy classes share capacity by weight under the weighted rule', () => {
+  const scheduler = createScheduler({ priorityClasses: threeClasses, classSharing: 'weighted' });
+  scheduler.enqueue({ duration: 100, type: 'critical' });
+  scheduler.enqueue({ duration: 100, type: 'batch' });
+  scheduler.admit();
+  scheduler.admit();
+  scheduler.advance(8);
+
+  // Critical gets 3/4 of the capacity and batch 1/4
+  const { progress } = scheduler.getState();
+  expect(progress.critical1).toBe(94);
+  expect(progress.batch1).toBe(98);
+});
+
+test('classes can be added, reordered and removed', () => {
+  const scheduler = createScheduler();
+  const id = scheduler.addPriorityClass({ name: 'Urgent', weight: 5, position: 0 });
+  expect(id).toBe('urgent');
+
+  let state = scheduler.getState();
+  expect(state.classes.map(priorityClass => priorityClass.id)).toEqual(['urgent', 'high', 'regular']);
+  expect(state.groups.urgent).toEqual(['urgent1']);
+
+  scheduler.enqueue({ duration: 5, type: 'urgent' });
+  scheduler.admit();
+  expect(scheduler.getState().subQueues.urgent1).toHaveLength(1);
+  expect(() => scheduler.removePriorityClass('urgent')).toThrow('Only priority classes without tasks can be removed');
+
+  scheduler.updatePriorityClass('urgent', { name: 'Critical', position: 2 });
+  state = scheduler.getState();
+  expect(state.classes.map(priorityClass => priorityClass.name)).toEqual(['High', 'Regular', 'Critical']);
+
+  expect(() => scheduler.updatePriorityClass('urgent', { position: 3 })).toThrow('Class position must be an integer from 0 to 2: 3');
+  expect(() => scheduler.updatePriorityClass('urgent', { position: -1 })).toThrow('Class position must be an integer from 0 to 2: -1');
+  expect(() => scheduler.addPriorityClass({ name: 'Batch', position: 1.5 })).toThrow('Class position must be an integer from 0 to 3: 1.5');
+  expect(scheduler.getState().classes.map(priorityClass => priorityClass.id)).toEqual(['high', 'regular', 'urgent']);
+
+  scheduler.advance(6);
+  scheduler.removePriorityClass('urgent');
+  state = scheduler.getState();
+  expect(state.classes.map(priorityClass => priorityClass.id)).toEqual(['high', 'regular']);
+  expect(state.subQueues.urgent1).toBeUndefined();
+  expect(state.admissionControl.groupCapacity).toEqual({ high: null, regular: null });
+});
+
+test('tasks created with a type alias stay in their class when classes change', () => {
+  const scheduler = createScheduler({ debug: true });
+  scheduler.enqueue({ duration: 20, type: 'high' });
+  scheduler.enqueue({ duration: 20 });
+  scheduler.admit();
+  expect(scheduler.getState().queue.map(task => task.type)).toEqual(['regular']);
+
+  // 'normal' now stands for Batch and High is no longer first, but tasks keep the class they arrived for
+  expect(scheduler.addPriorityClass({ name: 'Normal' })).toBe('normal-2');
+  scheduler.addPriorityClass({ name: 'Batch' });
+  scheduler.updatePriorityClass('high', { position: 1 });
+  scheduler.admit();
+
+  const state = scheduler.getState();
+  expect(state.subQueues.regular1.map(task => task.type)).toEqual(['regular']);
+  expect(state.subQueues.high1.map(task => task.type)).toEqual(['high']);
+  expect(state.violations).toEqual([]);
+  // The class with id 'high' keeps the alias although it is no longer the most urgent class
+  scheduler.enqueue({ duration: 5, type: 'high' });
+  expect(scheduler.getState().queue.map(task => task.type)).toEqual(['high']);
+  expect(() => scheduler.removePriorityClass('regular')).toThrow('Only priority classes without tasks can be removed');
+});
@@ -0,0 +1,31 @@
+/**
+ * Shared helpers for working with queues of task records
+ */
+
+/**
+ * Sums the remaining work of a queue
+ * @param {Array} queueArr - Array of task records in a specific queue
+ * @returns {number} - Total amount of work waiting in the queue
+ */
+export const sumTasks = (queueArr) => queueArr.reduce((sum, task) => sum + task.remaining, 0);
+
+/**
+ * Returns the first item with the lowest score (first one wins ties)
+ * @param {Array} items - Candidates, e.g. queue names
+ * @param {Function} score - Maps an item to a number
+ * @returns {*} - The best candidate
+ */
+export const minBy = (items, score) => {
+  let best = items[0];
+  let bestScore = score(best);
+
+  items.forEach(item => {
+    const itemScore = score(item);
+    if (itemScore < bestScore) {
+      best = item;
+      bestScore = itemScore;
+    }
+  });
+
+  return best;
+};
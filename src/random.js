@@ -0,0 +1,28 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Small deterministic generator (mulberry32) so simulations can be repeated exactly.
+ * Its whole state is a single 32-bit integer, which makes it easy to save and resume.
+ */
+
+/**
+ * Creates a random number generator
+ * @param {number} seed - Any integer; the same seed always produces the same sequence
+ * @returns {Function} - Returns numbers in [0, 1); random.getState() returns a value
+ *                       that can be passed back to createRandom to resume the sequence
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.getState = () => state;
+
+  return random;
+}
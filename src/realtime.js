@@ -0,0 +1,84 @@
+/**
+ * Real-Time Scheduling
+ *
+ * Tasks may carry a deadline, and periodic tasks release a job every period:
+ * - A periodic task is { id, label, type, period, wcet, deadline, nextRelease, released }, where
+ *   wcet is the worst-case execution time (the duration of every job) and deadline is relative
+ *   to each release (defaults to the period)
+ * - Every job enters the main queue as a task with an absolute deadline (release + deadline)
+ *   and the period of its periodic task, which the EDF and Rate Monotonic disciplines order by
+ * - A task misses its deadline when it finishes after it; lateness is by how much
+ *
+ * The schedulability check applies the classic uniprocessor utilization bound tests, as if all
+ * periodic tasks shared a single queue of speed 1 and every deadline equalled its period.
+ */
+
+/**
+ * Checks a periodic task definition and throws on invalid values
+ * @param {Object} periodicTask - { period, wcet, deadline? }
+ */
+export const validatePeriodicTask = ({ period, wcet, deadline }) => {
+  if (!(period > 0)) throw new Error(`Period must be positive: ${period}`);
+  if (!(wcet > 0)) throw new Error(`WCET must be positive: ${wcet}`);
+  if (wcet > period) throw new Error(`WCET must not exceed the period: ${wcet} > ${period}`);
+  if (deadline !== undefined && deadline !== null && !(deadline > 0)) {
+    throw new Error(`Deadline must be positive: ${deadline}`);
+  }
+};
+
+/**
+ * Total processor utilization of periodic tasks: the sum of wcet / period
+ */
+export const utilization = (periodicTasks) => periodicTasks.reduce((sum, { wcet, period }) => sum + wcet / period, 0);
+
+/**
+ * Liu & Layland bound: n periodic tasks are schedulable under Rate Monotonic when their
+ * utilization does not exceed n(2^(1/n) - 1), which approaches ln 2 ≈ 0.693
+ */
+export const rateMonotonicBound = (n) => (n === 0 ? 1 : n * (Math.pow(2, 1 / n) - 1));
+
+/**
+ * Utilization bound tests for a set of periodic tasks
+ * @param {Array} periodicTasks - Periodic task definitions
+ * @returns {Object} - { utilization, edf: { bound, verdict }, rateMonotonic: { bound, verdict } }
+ *                     where verdict is 'schedulable', 'unschedulable' or 'inconclusive'
+ *                     (the Rate Monotonic bound is sufficient but not necessary)
+ */
+export function checkSchedulability(periodicTasks) {
+  const total = utilization(periodicTasks);
+  const rmBound = rateMonotonicBound(periodicTasks.length);
+  let rmVerdict = 'inconclusive';
+  if (total <= rmBound) rmVerdict = 'schedulable';
+  else if (total > 1) rmVerdict = 'unschedulable';
+
+  return {
+    utilization: total,
+    edf: { bound: 1, verdict: total <= 1 ? 'schedulable' : 'unschedulable' },
+    rateMonotonic: { bound: rmBound, verdict: rmVerdict },
+  };
+}
+
+/**
+ * How late a finished task completed, 0 when it met its deadline, or null when it has none
+ */
+export const latenessOf = (task) => (task.deadline === null ? null : Math.max(0, Math.round((task.finishedAt - task.deadline) * 100) / 100));
+
+/**
+ * Whether an unfinished task is already past its deadline
+ */
+export const isOverdue = (task, time) => task.deadline !== null && time > task.deadline;
+
+/**
+ * Summarizes how finished tasks met their deadlines
+ * @param {Array} tasks - Completed task records
+ * @returns {Object} - { withDeadline, missed, maxLateness, avgLateness } (lateness null without deadlines)
+ */
+export function deadlineStats(tasks) {
+  const lateness = tasks.map(latenessOf).filter(value => value !== null);
+  return {
+    withDeadline: lateness.length,
+    missed: lateness.filter(value => value > 0).length,
+    maxLateness: lateness.length === 0 ? null : Math.max(...lateness),
+    avgLateness: lateness.length === 0 ? null : lateness.reduce((sum, value) => sum + value, 0) / lateness.length,
+  };
+}
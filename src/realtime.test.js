@@ -0,0 +1,115 @@
+import { checkSchedulability, rateMonotonicBound, deadlineStats } from './realtime';
+import { createScheduler } from './scheduler';
+
+/**
+ * A single regular queue with the given discipline
+ */
+const singleQueue = (id, config = {}) => createScheduler({
+  highPriorityQueues: ['high1'],
+  regularPriorityQueues: ['regular1'],
+  defaultDiscipline: { id, quantum: 20 },
+  ...config,
+});
+
+test('utilization bound tests for EDF and Rate Monotonic', () => {
+  expect(rateMonotonicBound(1)).toBe(1);
+  expect(rateMonotonicBound(3)).toBeCloseTo(0.7798, 4);
+
+  const light = checkSchedulability([{ period: 4, wcet: 1 }, { period: 5, wcet: 1 }, { period: 10, wcet: 2 }]);
+  expect(light.utilization).toBeCloseTo(0.65);
+  expect(light.edf.verdict).toBe('schedulable');
+  expect(light.rateMonotonic.verdict).toBe('schedulable');
+
+  const heavy = checkSchedulability([{ period: 10, wcet: 5 }, { period: 10, wcet: 4 }]);
+  expect(heavy.edf.verdict).toBe('schedulable');
+  expect(heavy.rateMonotonic.verdict).toBe('inconclusive');
+
+  const overloaded = checkSchedulability([{ period: 10, wcet: 6 }, { period: 10, wcet: 5 }]);
+  expect(overloaded.edf.verdict).toBe('unschedulable');
+  expect(overloaded.rateMonotonic.verdict).toBe('unschedulable');
+});
+
+test('EDF runs the task with the earliest deadline and preempts for a more urgent one', () => {
+  const scheduler = singleQueue('edf');
+  scheduler.enqueue({ duration: 10 });
+  scheduler.enqueue({ duration: 10, deadline: 100 });
+  scheduler.admit();
+  scheduler.admit();
+  scheduler.advance(4);
+  scheduler.enqueue({ duration: 10, deadline: 20 });
+  scheduler.admit();
+
+  // The task without a deadline has not started yet, the preempted one keeps its progress
+  const { subQueues } = scheduler.getState();
+  expect(subQueues.regular1.map(task => [task.deadline, task.remaining])).toEqual([[24, 10], [null, 10], [100, 6]]);
+});
+
+test('Rate Monotonic runs the jobs of the task with the shortest period first', () => {
+  const scheduler = singleQueue('rateMonotonic', { admissionControl: { auto: true, rate: 1000 } });
+  scheduler.addPeriodicTask({ label: 'slow', period: 20, wcet: 8 });
+  scheduler.addPeriodicTask({ label: 'fast', period: 5, wcet: 2 });
+  scheduler.advance(40);
+
+  const { completed, periodicTasks, events } = scheduler.getState();
+  expect(periodicTasks.map(({ label, released }) => [label, released])).toEqual([['slow', 3], ['fast', 9]]);
+  expect(completed.filter(task => task.period === 5).map(task => task.label).slice(0, 3)).toEqual(['fast.1', 'fast.2', 'fast.3']);
+  // U = 0.8 is inconclusive for two tasks, but this set happens to meet every deadline
+  expect(deadlineStats(completed).missed).toBe(0);
+  expect(events.some(event => event.type === 'deadlineMissed')).toBe(false);
+});
+
+test('records deadline misses and lateness', () => {
+  const scheduler = singleQueue('fifo');
+  scheduler.enqueue({ duration: 30 });
+  scheduler.enqueue({ duration: 5, deadline: 10 });
+  scheduler.enqueue({ duration: 5, deadline: 100 });
+  [1, 2, 3].forEach(() => scheduler.admit());
+  scheduler.advance(50);
+
+  const { completed, events } = scheduler.getState();
+  // Work is done in whole ticks of 0.4, so the task of 5 finishes at 35.2
+  expect(deadlineStats(completed)).toEqual({ withDeadline: 2, missed: 1, maxLateness: 25.2, avgLateness: 12.6 });
+  expect(events.filter(event => event.type === 'deadlineMissed').map(event => event.lateness)).toEqual([25.2]);
+});
+
+test('validates deadlines and periodic tasks', () => {
+  const scheduler = createScheduler();
+  expect(() => scheduler.enqueue({ duration: 5, deadline: 0 })).toThrow('Deadline must be positive: 0');
+  expect(() => scheduler.addPeriodicTask({ period: 0, wcet: 1 })).toThrow('Period must be positive: 0');
+  expect(() => scheduler.addPeriodicTask({ period: 5, wcet: 6 })).toThrow('WCET must not exceed the period: 6 > 5');
+  expect(() => scheduler.removePeriodicTask('P9')).toThrow('Unknown periodic task: P9');
+
+  const id = scheduler.addPeriodicTask({ period: 10, wcet: 2, deadline: 4 });
+  expect(scheduler.getState().queue[0].deadline).toBe(4);
+  scheduler.removePeriodicTask(id);
+  scheduler.advance(20);
+  expect(scheduler.getState().queue).toHaveLength(1);
+});
+
+test('a priority class cannot be removed while a periodic task releases jobs into it', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 1000 } });
+  const id = scheduler.addPriorityClass({ name: 'Control', position: 1 });
+  scheduler.addPeriodicTask({ period: 20, wcet: 5, type: id });
+  scheduler.advance(10);
+
+  expect(() => scheduler.removePriorityClass(id)).toThrow('Priority class control is used by periodic tasks: P1');
+  scheduler.advance(40);
+  const { completed, classes } = scheduler.getState();
+  expect(classes.map(priorityClass => priorityClass.id)).toContain(id);
+  expect(completed.map(task => task.label)).toEqual(['P1.1', 'P1.2', 'P1.3']);
+});
+
+test('a priority class can be removed once its periodic tasks are gone', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 1000 } });
+  const id = scheduler.addPriorityClass({ name: 'Control', position: 1 });
+  scheduler.addPeriodicTask({ period: 20, wcet: 5, type: id });
+  scheduler.advance(10);
+
+  scheduler.removePeriodicTask('P1');
+  scheduler.removePriorityClass(id);
+  scheduler.advance(40);
+  const { completed, classes, periodicTasks } = scheduler.getState();
+  expect(classes.map(priorityClass => priorityClass.id)).toEqual(['high', 'regular']);
+  expect(periodicTasks).toEqual([]);
+  expect(completed.map(task => task.label)).toEqual(['P1.1']);
+});
@@ -0,0 +1,42 @@
+import { createScheduler } from './scheduler';
+
+/**
+ * Record and Replay
+ *
+ * Rebuilds a run from its event log: a new engine (or the log's base snapshot) is driven
+ * through the logged commands at their virtual times. Because the engine only advances in
+ * whole ticks and uses a seeded random number generator, every transition in between is
+ * reproduced exactly, so the replayed log matches the original one entry for entry.
+ */
+
+/**
+ * Advances an engine to a virtual time (never backwards)
+ */
+const advanceTo = (scheduler, time) => {
+  const now = scheduler.getState().time;
+  if (time > now) scheduler.advance(time - now);
+};
+
+/**
+ * Replays a run up to a point in virtual time
+ * @param {Object} snapshot - Snapshot of the run (see scheduler.exportState()); its events and logBase are used
+ * @param {Object} options - { config: engine config the run was created with, until: time to stop at (defaults to the end of the run) }
+ * @returns {Object} - New engine positioned at `until`
+ */
+export function replayRun(snapshot, { config, until = snapshot.time } = {}) {
+  const scheduler = createScheduler(config);
+  if (snapshot.logBase) {
+    // The replayed run keeps the same base, so it can be replayed again
+    scheduler.importState({ ...snapshot.logBase, logBase: snapshot.logBase });
+  }
+
+  snapshot.events
+    .filter(event => event.type === 'command' && event.time <= until)
+    .forEach(({ time, command, args }) => {
+      advanceTo(scheduler, time);
+      scheduler[command](...args);
+    });
+
+  advanceTo(scheduler, until);
+  return scheduler;
+}
@@ -0,0 +1,65 @@
+import { createScheduler } from './scheduler';
+import { replayRun } from './replay';
+import { encodeScenario, decodeScenario } from './snapshots';
+import loadBalancingRun from './fixtures/loadBalancingRun.json';
+
+/**
+ * Drives an engine through a run with a workload, automatic admissions, a randomized
+ * admission policy and queue changes, advancing the clock in uneven chunks like the UI does
+ */
+const recordRun = () => {
+  const scheduler = createScheduler();
+  scheduler.setAdmissionControl({ auto: true, rate: 15 });
+  scheduler.startWorkload({ seed: 11, rate: 12 });
+  scheduler.setAdmissionPolicy('random');
+  for (let i = 0; i < 300; i++) scheduler.advance(0.1);
+  scheduler.addQueue('regular');
+  scheduler.stepToNextEvent();
+  scheduler.setDiscipline('regular2', { id: 'srtf' });
+  for (let i = 0; i < 40; i++) scheduler.advance(2);
+  scheduler.removeQueue('high');
+  scheduler.removeQueue('regular');
+  scheduler.advance(50);
+  return scheduler;
+};
+
+test('replaying the load-balancing fixture reproduces every logged transition', () => {
+  const replayed = replayRun({ ...loadBalancingRun, logBase: null });
+  const { events, time } = replayed.exportState();
+
+  expect(time).toBe(loadBalancingRun.time);
+  expect(events).toEqual(loadBalancingRun.events);
+  // The fixture covers work-stealing into a new queue once its grace period is over
+  expect(events.filter(event => event.type === 'stolen').map(event => event.to)).toEqual(['regular5', 'regular1']);
+});
+
+test('a replayed run ends in exactly the same state as the original', () => {
+  const original = recordRun();
+  const replayed = replayRun(original.exportState());
+
+  expect(replayed.getState()).toEqual(original.getState());
+});
+
+test('replays up to any point of the run', () => {
+  const original = recordRun();
+  const partial = replayRun(original.exportState(), { until: 30 });
+
+  const { time, events } = partial.getState();
+  expect(time).toBe(30);
+  expect(events).toEqual(original.getState().events.filter(event => event.time <= 30));
+});
+
+test('runs started from a shared scenario replay from that scenario', () => {
+  const first = createScheduler();
+  [40, 30, 20].forEach(duration => first.enqueue({ duration, type: 'normal' }));
+  first.admit();
+  first.advance(10);
+
+  const shared = createScheduler();
+  shared.importState(decodeScenario(encodeScenario(first.exportState())));
+  shared.admit();
+  shared.advance(40);
+
+  const replayed = replayRun(shared.exportState());
+  expect(replayed.getState()).toEqual(shared.getState());
+});
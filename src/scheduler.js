@@ -0,0 +1,1949 @@
+/**
+ * Scheduler Engine
+ *
+ * Headless implementation of the multi-level queue scheduling rules used by App:
+ * - Priority classes: tasks belong to one of N user-defined classes (see priorityClasses.js), each with
+ *   its own queues; a sharing rule decides whether classes run side by side, higher classes preempt
+ *   lower ones, or busy classes share the processing capacity by weight
+ * - Admission: routes the first ready task of the main queue to a queue of its class chosen by the active
+ *   admission policy; tasks whose dependencies have not completed yet stay blocked (see workflows.js)
+ * - Processing: decrements the active task's progress on every tick, scaled by the queue's speed
+ * - Processors: every queue has its own worker, or a fixed pool of workers serves all queues in
+ *   priority order, either preempting lower-priority work or waiting for it to finish (see PROCESSOR_MODES)
+ * - Queues: each has a display name, an optional task capacity and a processing speed multiplier,
+ *   and can be paused, drained (removed once its in-flight work is done) or removed right away
+ * - Disciplines: each queue picks its next task (FIFO, SJF, SRTF, LIFO, Round Robin, EDF, Rate Monotonic)
+ *   and may preempt
+ * - Completion: removes the active task from its queue once its progress reaches 0
+ * - Work-stealing: idle queues take work from the busiest queue of the same class, using a selectable
+ *   strategy (see stealingStrategies.js); optionally they also help more urgent classes
+ * - MLFQ mode (optional): demotes tasks that use up their quantum to the next lower class, promotes
+ *   starved tasks to the next higher class and periodically boosts all work back to the top class
+ * - Workload (optional): streams seeded, generated tasks into the main queue as time advances
+ * - Scheduled arrivals: tasks from imported traces enter the main queue at their arrival time
+ * - Periodic tasks: release a job with a deadline into the main queue every period (see realtime.js)
+ * - Admission control: limits backlog and class capacity, optionally admits automatically at a fixed rate
+ * - Event log: every command and state transition is appended to an event log with its virtual time
+ * - Manual interventions: pending tasks can be moved between queues, reordered, cancelled and
+ *   edited by hand; every intervention is logged and counted in the metrics
+ * - Debug mode (optional): checks the state invariants after every tick and keeps the violations (see invariants.js)
+ *
+ * The engine owns no React state and starts no timers. App drives it through the
+ * useScheduler hook, while tests and other tools can step it manually with tick(dt),
+ * advance(duration) or stepToNextEvent().
+ *
+ * advance() and stepToNextEvent() only ever take whole ticks of tickSize, so a run depends on its
+ * commands and their virtual times but not on how fast or in which chunks the clock was driven.
+ * Together with the seeded random number generator this makes runs replayable (see replay.js).
+ *
+ * Tasks are records (see tasks.js) that keep their identity, timestamps and queue history.
+ * Time is measured in work units: processing a task of duration 50 takes 50 units of time.
+ */
+
+import { sumTasks, minBy } from './queueUtils';
+import { ADMISSION_POLICIES, DEFAULT_ADMISSION_POLICY } from './admissionPolicies';
+import { DISCIPLINES, DEFAULT_DISCIPLINE } from './disciplines';
+import { createTask, cloneTask } from './tasks';
+import { blockedBy } from './workflows';
+import { validatePeriodicTask, latenessOf } from './realtime';
+import { checkInvariants } from './invariants';
+import { createWorkload } from './workload';
+import { createRandom } from './random';
+import { STEALING_STRATEGIES, DEFAULT_STEALING } from './stealingStrategies';
+import {
+  DEFAULT_PRIORITY_CLASSES, CLASS_SHARING_RULES, DEFAULT_CLASS_SHARING, CLASS_COLORS,
+  classForType, classIdFor, queuesInClassOrder, validatePriorityClass,
+} from './priorityClasses';
+
+// ==================== DEFAULT CONFIGURATION ====================
+
+export const DEFAULT_CONFIG = {
+  // Initial queue names of the default 'high' and 'regular' classes
+  highPriorityQueues: ['high1'],
+  regularPriorityQueues: ['regular1', 'regular2', 'regular3', 'regular4'],
+  // Priority classes [{ id, name, color, weight, queues }], most urgent first; null for the default
+  // high and regular classes with the queues above
+  priorityClasses: null,
+  // How classes share the processing capacity, see CLASS_SHARING_RULES
+  classSharing: DEFAULT_CLASS_SHARING,
+  // Time a new queue is excluded from work-stealing so it can finish initializing (1s at normal speed)
+  newQueueGracePeriod: 10,
+  // Fixed step taken by advance() and stepToNextEvent()
+  tickSize: 0.4,
+  // Admission policy id, see ADMISSION_POLICIES
+  admissionPolicy: DEFAULT_ADMISSION_POLICY,
+  // Seed of the random number generator used by randomized admission policies
+  seed: 1,
+  // Discipline given to every queue ({ id, quantum }), see DISCIPLINES
+  defaultDiscipline: DEFAULT_DISCIPLINE,
+  // Per-queue discipline overrides, keyed by queue name
+  disciplines: {},
+  // Per-queue { title, capacity, speed } overrides, keyed by queue name (see QUEUE_SETTINGS_DEFAULTS)
+  queueSettings: {},
+  // Processor settings { mode, workers }, see PROCESSOR_MODES
+  processors: {
+    mode: 'dedicated',
+    // Size of the shared worker pool (ignored in dedicated mode)
+    workers: 2,
+  },
+  // Work-stealing settings { strategy, threshold, crossClass }, see DEFAULT_STEALING
+  stealing: DEFAULT_STEALING,
+  // Multi-level feedback queue settings
+  mlfq: {
+    enabled: false,
+    // Run time after which an unfinished task is demoted to the next lower class
+    quantum: 20,
+    // Waiting time after which a task is promoted to the next higher class
+    agingThreshold: 100,
+    // Interval at which all work is moved back to the most urgent class
+    boostInterval: 500,
+  },
+  // Admission control settings
+  admissionControl: {
+    // Admit tasks from the main queue automatically instead of on ADMIT TASK clicks
+    auto: false,
+    // Automatic admissions per 100 units of time
+    rate: 10,
+    // Maximum remaining work across all sub-queues, null for no limit
+    maxBacklog: null,
+    // Maximum number of tasks in each priority class, null (or no entry) for no limit
+    groupCapacity: {},
+    // What to do with a task that does not fit: 'hold' keeps it at the head of the main queue, 'reject' drops it
+    whenFull: 'hold',
+  },
+  // Check the state invariants after every tick (debug mode)
+  debug: false,
+};
+
+/**
+ * Number of invariant violations kept; later ones are dropped so the first, usually most telling, remain
+ */
+const MAX_VIOLATIONS = 100;
+
+/**
+ * Format version of exportState() snapshots - bump when the internal state shape changes
+ */
+export const SNAPSHOT_VERSION = 13;
+
+/**
+ * Event log entry types
+ * 'command' entries record a call to the public API ({ command, args }) and are what replay.js
+ * re-applies; all other entries are transitions caused by commands or by time passing
+ */
+export const EVENT_TYPES = {
+  command: 'Command',
+  arrived: 'Arrived',
+  admitted: 'Admitted',
+  rejected: 'Rejected',
+  started: 'Started',
+  preempted: 'Preempted',
+  resumed: 'Resumed',
+  completed: 'Completed',
+  deadlineMissed: 'Deadline missed',
+  stolen: 'Stolen',
+  demoted: 'Demoted',
+  promoted: 'Promoted',
+  boosted: 'Boosted',
+  queueAdded: 'Queue added',
+  queueRemoved: 'Queue removed',
+  classAdded: 'Class added',
+  classRemoved: 'Class removed',
+  moved: 'Moved',
+  movedByHand: 'Moved by hand',
+  cancelled: 'Cancelled',
+  edited: 'Edited',
+};
+
+export const WHEN_FULL_ACTIONS = {
+  hold: 'Hold',
+  reject: 'Reject',
+};
+
+/**
+ * How queues get processed
+ * - dedicated: every queue has its own worker, so all queues run side by side
+ * - preemptive: a fixed pool of workers serves the queues most urgent class first; a queue of a
+ *   more urgent class takes the worker of a running lower-priority queue, whose task keeps its
+ *   place and remaining progress until a worker is free again
+ * - strict: like preemptive, but a running task keeps its worker until it finishes; free workers
+ *   always go to the most urgent waiting work (non-preemptive strict priority)
+ */
+export const PROCESSOR_MODES = {
+  dedicated: 'Dedicated worker per queue',
+  preemptive: 'Shared workers, preemptive priority',
+  strict: 'Shared workers, non-preemptive priority',
+};
+
+/**
+ * Queue states
+ * - active: processes work and accepts admissions and stolen work
+ * - paused: keeps its tasks but processes nothing and accepts no new work
+ * - draining: accepts no new work, finishes its in-flight task and is then removed
+ */
+export const QUEUE_STATUSES = {
+  active: 'Active',
+  paused: 'Paused',
+  draining: 'Draining',
+};
+
+/**
+ * Settings of a queue that do not come from overrides
+ * - capacity: maximum number of tasks admitted to the queue, null for no limit
+ * - speed: work processed per unit of time (2 processes a task of duration 50 in 25 units)
+ */
+export const QUEUE_SETTINGS_DEFAULTS = {
+  capacity: null,
+  speed: 1,
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Default display name of the n-th queue of a priority class (1-based)
+ * @param {string} className - Display name of the class
+ */
+export const defaultQueueTitle = (className, n) => `${className} Priority Queue ${n}`;
+
+/**
+ * Checks queue settings, allowing any of the fields to be omitted
+ * @param {Object} settings - Any of { title, capacity, speed }
+ */
+export const validateQueueSettings = ({ title, capacity, speed }) => {
+  if (title !== undefined && !(typeof title === 'string' && title.trim() !== '')) {
+    throw new Error('Queue name must not be empty');
+  }
+  if (capacity !== undefined && capacity !== null && !(Number.isInteger(capacity) && capacity >= 1)) {
+    throw new Error(`Queue capacity must be null or a positive integer: ${capacity}`);
+  }
+  if (speed !== undefined && !(speed > 0)) {
+    throw new Error(`Queue speed must be positive: ${speed}`);
+  }
+};
+
+// ==================== SCHEDULER FACTORY ====================
+
+/**
+ * Creates a scheduler engine instance
+ *
+ * @param {Object} config - Overrides for DEFAULT_CONFIG
+ * @returns {Object} - Engine API: enqueue, enqueueBatch, enqueueWorkflow, admit, tick, addQueue, removeQueue, updateQueue, drainQueue,
+ *                     pauseQueue, resumeQueue, addPriorityClass, updatePriorityClass, removePriorityClass,
+ *                     setClassSharing, setProcessors, setStealing, setAdmissionPolicy,
+ *                     setDiscipline, setMlfq, startWorkload, stopWorkload, scheduleArrivals, addPeriodicTask,
+ *                     removePeriodicTask, setAdmissionControl, moveTask, cancelTask, updateTask,
+ *                     setDebug, clearViolations,
+ *                     advance, stepToNextEvent, exportState, importState, getState
+ */
+export function createScheduler(config = {}) {
+  const options = { ...DEFAULT_CONFIG, ...config };
+
+  if (!ADMISSION_POLICIES[options.admissionPolicy]) {
+    throw new Error(`Unknown admission policy: ${options.admissionPolicy}`);
+  }
+  if (!CLASS_SHARING_RULES[options.classSharing]) {
+    throw new Error(`Unknown class sharing rule: ${options.classSharing}`);
+  }
+  const processors = { ...DEFAULT_CONFIG.processors, ...options.processors };
+  if (!PROCESSOR_MODES[processors.mode]) {
+    throw new Error(`Unknown processor mode: ${processors.mode}`);
+  }
+  if (!STEALING_STRATEGIES[{ ...DEFAULT_STEALING, ...options.stealing }.strategy]) {
+    throw new Error(`Unknown stealing strategy: ${options.stealing.strategy}`);
+  }
+
+  const initialClasses = options.priorityClasses || [
+    { ...DEFAULT_PRIORITY_CLASSES[0], queues: options.highPriorityQueues },
+    { ...DEFAULT_PRIORITY_CLASSES[1], queues: options.regularPriorityQueues },
+  ];
+  initialClasses.forEach(priorityClass => {
+    validatePriorityClass(priorityClass);
+    if (priorityClass.queues.length === 0) {
+      throw new Error(`Priority class ${priorityClass.id} needs at least one queue`);
+    }
+  });
+  const perClass = (value) => Object.fromEntries(initialClasses.map(({ id }) => [id, value(id)]));
+
+  /**
+   * Mutable engine state - never handed out directly, see getState()
+   */
+  const state = {
+    time: 0,
+    admissionPolicy: options.admissionPolicy,
+    // Priority classes { id, name, color, weight }, most urgent first
+    classes: initialClasses.map(({ id, name, color, weight }) => ({ id, name, color, weight })),
+    // Sharing rule id, see CLASS_SHARING_RULES
+    classSharing: options.classSharing,
+    // Per-class admission counters used by the round-robin policy
+    roundRobinIndex: perClass(() => 0),
+    nextTaskId: 1,
+    queue: [],
+    // Queue names of each priority class, keyed by class id
+    groups: perClass(id => [...initialClasses.find(c => c.id === id).queues]),
+    subQueues: {},
+    progress: {},
+    initialDuration: {},
+    createdAt: {},
+    disciplines: {},
+    // Per-queue { title, capacity, speed }
+    queueSettings: {},
+    // Per-queue status, see QUEUE_STATUSES
+    queueStatus: {},
+    // Number used for the next queue created in each class, so removed names are never reused
+    nextQueueNumber: perClass(id => initialClasses.find(c => c.id === id).queues.length + 1),
+    // Time the active task of each queue has run since it was (re)started
+    quantumUsed: {},
+    // Total time each queue has had an active task (used for utilization)
+    busyTime: {},
+    processors,
+    // Queues holding a worker of the shared pool, in assignment order (unused in dedicated mode)
+    workerQueues: [],
+    stealing: { ...DEFAULT_STEALING, ...options.stealing },
+    mlfq: { ...DEFAULT_CONFIG.mlfq, ...options.mlfq },
+    // Per-queue time since which the next waiting task has been waiting (MLFQ aging)
+    waitingSince: {},
+    lastBoostAt: 0,
+    // Finished task records in completion order - never modified once added
+    completed: [],
+    // Closed execution intervals: { queue, taskId, label, type, start, end }
+    timeline: [],
+    // Open execution interval of each queue's active task
+    activeSegments: {},
+    // Work-stealing moves: { time, taskId, label, from, to }
+    migrations: [],
+    // Active workload stream (see workload.js), or null
+    workload: null,
+    // Future arrivals { time, duration, type, label } sorted by time, e.g. from an imported trace
+    scheduled: [],
+    // Periodic task definitions, see realtime.js
+    periodicTasks: [],
+    nextPeriodicId: 1,
+    admissionControl: {
+      ...DEFAULT_CONFIG.admissionControl,
+      ...options.admissionControl,
+      groupCapacity: { ...perClass(() => null), ...(options.admissionControl || {}).groupCapacity },
+    },
+    // Accumulated automatic admissions that have not been used yet
+    admissionCredit: 0,
+    // Task records dropped by admission control - never modified once added
+    rejected: [],
+    // Task records cancelled by hand - never modified once added
+    cancelled: [],
+    // Manual interventions: { time, taskId, label, action: 'moved' | 'cancelled' | 'edited', ...details }
+    interventions: [],
+    // Generator for randomized admission policies
+    random: createRandom(options.seed),
+    // Time passed to advance() that does not add up to a whole tick yet
+    clockRemainder: 0,
+    // Append-only log of { time, type, ...details } entries, see EVENT_TYPES
+    events: [],
+    // Snapshot the event log starts from, or null if it starts from a new engine
+    logBase: null,
+    debug: options.debug,
+    // Invariant violations found in debug mode: { time, invariant, message, details }
+    violations: [],
+  };
+
+  const allQueues = () => queuesInClassOrder(state);
+
+  /**
+   * Appends a transition to the event log
+   */
+  const logEvent = (type, details) => {
+    state.events.push({ time: state.time, type, ...details });
+  };
+
+  const initQueue = (name, createdAt, settings) => {
+    state.subQueues[name] = [];
+    state.queueSettings[name] = { ...QUEUE_SETTINGS_DEFAULTS, ...settings };
+    state.queueStatus[name] = 'active';
+    state.progress[name] = 0;
+    state.initialDuration[name] = 0;
+    state.createdAt[name] = createdAt;
+    state.disciplines[name] = { ...options.defaultDiscipline, ...options.disciplines[name] };
+    state.quantumUsed[name] = 0;
+    state.busyTime[name] = 0;
+    state.waitingSince[name] = state.time;
+  };
+
+  const classById = (id) => state.classes.find(priorityClass => priorityClass.id === id);
+
+  // Initial queues are considered settled from the start
+  Object.entries(state.groups).forEach(([group, names]) => {
+    names.forEach((name, index) => {
+      const settings = { title: defaultQueueTitle(classById(group).name, index + 1), ...options.queueSettings[name] };
+      validateQueueSettings(settings);
+      initQueue(name, -Infinity, settings);
+    });
+  });
+
+  /**
+   * Whether a queue is active and can take another task without exceeding its capacity
+   */
+  const hasRoom = (q) => {
+    const { capacity } = state.queueSettings[q];
+    return state.queueStatus[q] === 'active' && (capacity === null || state.subQueues[q].length < capacity);
+  };
+
+  const groupOf = (q) => state.classes.find(({ id }) => state.groups[id].includes(q)).id;
+
+  /**
+   * Finds the class id of a task
+   */
+  const groupForTask = (task) => classForType(task.type, state.classes).id;
+
+  /**
+   * Turns a task type into the id of the class it stands for right now, so that tasks created
+   * with the 'high' / 'normal' aliases stay in their class when classes are added or reordered
+   */
+  const resolveType = (type = 'normal') => classForType(type, state.classes).id;
+
+  /**
+   * Whether a queue may process work under the processor mode
+   */
+  const hasWorker = (q) => state.processors.mode === 'dedicated' || state.workerQueues.includes(q);
+
+  /**
+   * Processing share of each queue: its class's share under the active sharing rule (see
+   * priorityClasses.js), or 0 while it has no worker
+   */
+  const queueShares = () => {
+    const busy = new Set(allQueues()
+      .filter(q => state.progress[q] > 0 && state.queueStatus[q] !== 'paused' && hasWorker(q))
+      .map(groupOf));
+    const shares = CLASS_SHARING_RULES[state.classSharing].shares({ classes: state.classes, busy });
+    return Object.fromEntries(allQueues().map(q => [q, hasWorker(q) ? shares[groupOf(q)] : 0]));
+  };
+
+  /**
+   * Work a queue processes per unit of time: its speed scaled by its share
+   */
+  const rateOf = (q, shares) => state.queueSettings[q].speed * shares[q];
+
+  const speeds = () => Object.fromEntries(allQueues().map(q => [q, state.queueSettings[q].speed]));
+
+  /**
+   * Asks the active admission policy for the target queue within a group
+   * Only active queues with room are offered; internal moves (MLFQ, displaced tasks) fall back to
+   * every queue that is not draining when none has room
+   */
+  const selectQueue = (group) => {
+    const open = state.groups[group].filter(hasRoom);
+    const fallback = state.groups[group].filter(q => state.queueStatus[q] !== 'draining');
+    return ADMISSION_POLICIES[state.admissionPolicy].select({
+      queues: open.length > 0 ? open : fallback,
+      subQueues: state.subQueues,
+      speeds: speeds(),
+      roundRobinIndex: state.roundRobinIndex[group],
+      random: state.random,
+    });
+  };
+
+  /**
+   * Appends a task to a queue and records the move in the task's history; a task put back into
+   * the queue it left (e.g. when preempted) is not recorded again
+   */
+  const placeTask = (q, task, atFront = false) => {
+    if (task.queues[task.queues.length - 1] !== q) task.queues.push(q);
+    state.subQueues[q] = atFront ? [task, ...state.subQueues[q]] : [...state.subQueues[q], task];
+  };
+
+  /**
+   * Appends a task to the queue of a group chosen by the admission policy
+   * @returns {string} - Name of the queue that received the task
+   */
+  const routeToGroup = (group, task) => {
+    const target = selectQueue(group);
+    placeTask(target, task);
+    state.roundRobinIndex[group] += 1;
+    return target;
+  };
+
+  /**
+   * Records the end of the active task's execution interval in a queue
+   */
+  const closeSegment = (q) => {
+    const segment = state.activeSegments[q];
+    if (!segment) return;
+    delete state.activeSegments[q];
+    if (segment.start < state.time) {
+      state.timeline = [...state.timeline, { ...segment, end: state.time }];
+    }
+  };
+
+  /**
+   * Records the start of an execution interval for the task at the front of a queue
+   */
+  const openSegment = (q) => {
+    const [task] = state.subQueues[q];
+    state.activeSegments[q] = { queue: q, taskId: task.id, label: task.label, type: task.type, start: state.time };
+  };
+
+  /**
+   * Stops the active task of a queue and removes it from the queue
+   * @returns {Object} - The task record, with its remaining work
+   */
+  const takeActiveTask = (q) => {
+    closeSegment(q);
+    const [task] = state.subQueues[q];
+    state.subQueues[q] = state.subQueues[q].slice(1);
+    state.progress[q] = 0;
+    state.initialDuration[q] = 0;
+    return task;
+  };
+
+  /**
+   * Marks a task as finished and moves it to the completed list
+   */
+  const finishTask = (task, q) => {
+    task.remaining = 0;
+    task.finishedAt = state.time;
+    state.completed = [...state.completed, task];
+    logEvent('completed', { taskId: task.id, queue: q });
+    if (latenessOf(task) > 0) {
+      logEvent('deadlineMissed', { taskId: task.id, queue: q, lateness: latenessOf(task) });
+    }
+  };
+
+  /**
+   * Moves tasks of a queue that is going away to other queues of its group, one by one,
+   * as chosen by the active admission policy
+   * The queue must already be excluded from selection (removed from its group or draining)
+   */
+  const displaceTasks = (q, group, tasks) => {
+    tasks.forEach(task => {
+      logEvent('moved', { taskId: task.id, from: q, to: routeToGroup(group, task) });
+    });
+  };
+
+  /**
+   * Deletes a queue and all of its per-queue state; its tasks must have been moved already
+   */
+  const deleteQueue = (q) => {
+    const group = groupOf(q);
+    state.groups[group] = state.groups[group].filter(name => name !== q);
+    delete state.subQueues[q];
+    delete state.progress[q];
+    delete state.initialDuration[q];
+    delete state.createdAt[q];
+    delete state.disciplines[q];
+    delete state.quantumUsed[q];
+    delete state.busyTime[q];
+    delete state.waitingSince[q];
+    delete state.queueSettings[q];
+    delete state.queueStatus[q];
+    state.workerQueues = state.workerQueues.filter(name => name !== q);
+    logEvent('queueRemoved', { queue: q });
+  };
+
+  const isNewlyCreated = (name) => state.time - state.createdAt[name] < options.newQueueGracePeriod;
+
+  // ==================== PROCESSING STEPS ====================
+
+  /**
+   * Decrements the progress of every active task by the work its queue does in dt and keeps
+   * its remaining work in sync
+   * Progress is rounded to 2 decimal places to prevent floating point drift
+   */
+  const decrementProgress = (dt, shares) => {
+    allQueues().forEach(q => {
+      if (state.queueStatus[q] === 'paused') return;
+      if (state.subQueues[q].length > 0 && state.progress[q] > 0) {
+        // Tasks without a worker or of a class frozen by the sharing rule keep their place and progress
+        if (shares[q] === 0) return;
+        const work = dt * rateOf(q, shares);
+        state.progress[q] = Math.max(0, Math.round((state.progress[q] - work) * 100) / 100);
+        state.subQueues[q][0].remaining = state.progress[q];
+        state.subQueues[q][0].serviceTime = Math.round((state.subQueues[q][0].serviceTime + dt) * 100) / 100;
+        state.quantumUsed[q] = Math.round((state.quantumUsed[q] + dt) * 100) / 100;
+      } else {
+        state.progress[q] = 0;
+      }
+    });
+  };
+
+  /**
+   * Removes finished tasks (progress 0 after being initialized) from the front of their queue
+   */
+  const completeTasks = () => {
+    allQueues().forEach(q => {
+      if (state.subQueues[q].length > 0 && state.progress[q] === 0 && state.initialDuration[q] > 0) {
+        finishTask(takeActiveTask(q), q);
+      }
+    });
+  };
+
+  /**
+   * Removes draining queues once they have no work left
+   */
+  const removeDrainedQueues = () => {
+    allQueues().forEach(q => {
+      if (state.queueStatus[q] === 'draining' && state.subQueues[q].length === 0) {
+        deleteQueue(q);
+      }
+    });
+  };
+
+  // ==================== MLFQ STEPS ====================
+
+  /**
+   * Queues of every class except the most urgent one
+   */
+  const lowerClassQueues = () => state.classes.slice(1).flatMap(({ id }) => state.groups[id]);
+
+  /**
+   * Demotes active tasks that used up the MLFQ quantum without finishing
+   * The remaining work is routed to the next lower class; the lowest class never demotes
+   */
+  const demoteTasks = () => {
+    state.classes.slice(0, -1).forEach(({ id }, index) => {
+      const lower = state.classes[index + 1].id;
+      state.groups[id].forEach(q => {
+        if (state.subQueues[q].length > 0 && state.progress[q] > 0 && state.quantumUsed[q] >= state.mlfq.quantum) {
+          const task = takeActiveTask(q);
+          logEvent('demoted', { taskId: task.id, from: q, to: routeToGroup(lower, task) });
+        }
+      });
+    });
+  };
+
+  /**
+   * Promotes the next waiting task of queues whose waiting work has starved for longer than
+   * the aging threshold to the next higher class
+   */
+  const promoteStarvedTasks = () => {
+    state.classes.slice(1).forEach(({ id }, index) => {
+      const higher = state.classes[index].id;
+      state.groups[id].forEach(q => {
+        const tasks = state.subQueues[q];
+        if (tasks.length <= 1) {
+          // Nothing is waiting, so nothing can starve
+          state.waitingSince[q] = state.time;
+          return;
+        }
+        if (state.time - state.waitingSince[q] < state.mlfq.agingThreshold) return;
+
+        // Promote the task the queue's discipline would have run next
+        const waiting = tasks.slice(1);
+        const next = DISCIPLINES[state.disciplines[q].id].selectNext(waiting) + 1;
+        state.subQueues[q] = [...tasks.slice(0, next), ...tasks.slice(next + 1)];
+        state.waitingSince[q] = state.time;
+        logEvent('promoted', { taskId: tasks[next].id, from: q, to: routeToGroup(higher, tasks[next]) });
+      });
+    });
+  };
+
+  /**
+   * Moves all work of the lower classes, including the remaining part of active tasks, to the
+   * most urgent class
+   */
+  const boostPriorities = () => {
+    if (state.time - state.lastBoostAt < state.mlfq.boostInterval) return;
+    state.lastBoostAt = state.time;
+
+    const top = state.classes[0].id;
+    lowerClassQueues().forEach(q => {
+      const tasks = state.progress[q] > 0 ? [takeActiveTask(q)] : [];
+      tasks.push(...state.subQueues[q]);
+      state.subQueues[q] = [];
+      tasks.forEach(task => logEvent('boosted', { taskId: task.id, from: q, to: routeToGroup(top, task) }));
+    });
+  };
+
+  const applyMlfq = () => {
+    if (!state.mlfq.enabled) return;
+    demoteTasks();
+    promoteStarvedTasks();
+    boostPriorities();
+  };
+
+  /**
+   * Puts active tasks back into their queue when their discipline asks for it
+   * The task is requeued at the end and keeps its remaining work
+   */
+  const preemptTasks = () => {
+    allQueues().forEach(q => {
+      const { id, quantum } = state.disciplines[q];
+      const tasks = state.subQueues[q];
+      if (tasks.length === 0 || state.progress[q] === 0) return;
+
+      const preempt = DISCIPLINES[id].shouldPreempt({
+        tasks,
+        progress: state.progress[q],
+        quantumUsed: state.quantumUsed[q],
+        quantum,
+      });
+
+      if (preempt) {
+        const task = takeActiveTask(q);
+        placeTask(q, task);
+        logEvent('preempted', { taskId: task.id, queue: q });
+      }
+    });
+  };
+
+  /**
+   * Time a queue needs to work off all of its tasks at its speed
+   */
+  const drainTime = (q) => sumTasks(state.subQueues[q]) / state.queueSettings[q].speed;
+
+  /**
+   * Whether a queue has no task at all, not even one that has not been started yet
+   */
+  const isIdle = (q) => state.subQueues[q].length === 0 && state.progress[q] === 0 && state.initialDuration[q] === 0;
+
+  /**
+   * Moves waiting tasks from the busiest queue to a thief queue, as picked by the stealing strategy
+   * - The thief is the fastest idle queue of the class, or for strategies with busy thieves the
+   *   queue that would drain first; queues in their grace period, not active or full never steal
+   * - A thief takes at most as many tasks as it has room for, the ones furthest back first
+   * - The victim is the queue that needs the most time to work off its tasks at its speed
+   * - Busy thieves only steal while the imbalance exceeds the threshold, and only tasks that they
+   *   finish before the victim would, so tasks cannot bounce back and forth
+   * - With crossClass, an idle thief whose class has nothing to spare helps more urgent classes,
+   *   most urgent first
+   * @param {string} group - Class id of the thief
+   * @returns {boolean} - Whether any task was moved
+   */
+  const stealWork = (group) => {
+    const { strategy, threshold, crossClass } = state.stealing;
+    const { busyThieves, pick } = STEALING_STRATEGIES[strategy];
+    const thieves = state.groups[group].filter(q =>
+      !isNewlyCreated(q) && hasRoom(q) && (busyThieves || isIdle(q))
+    );
+    if (thieves.length === 0) return false;
+
+    const thief = busyThieves ? minBy(thieves, drainTime) : minBy(thieves, q => -state.queueSettings[q].speed);
+    const thiefIdle = isIdle(thief);
+    const index = state.classes.findIndex(({ id }) => id === group);
+    const victimGroups = [group, ...(crossClass && thiefIdle ? state.classes.slice(0, index).map(({ id }) => id) : [])];
+
+    return victimGroups.some(victimGroup => {
+      const busyQueues = state.groups[victimGroup].filter(q => q !== thief && state.subQueues[q].length > 1 && !isNewlyCreated(q));
+      if (busyQueues.length === 0) return false;
+
+      const busiestQueue = minBy(busyQueues, q => -drainTime(q));
+      const imbalance = drainTime(busiestQueue) - drainTime(thief);
+      if (drainTime(busiestQueue) <= 0 || (busyThieves && imbalance <= threshold)) return false;
+
+      const [active, ...waiting] = state.subQueues[busiestQueue];
+      const { capacity } = state.queueSettings[thief];
+      const freeSlots = capacity === null ? Infinity : capacity - state.subQueues[thief].length;
+      const picked = pick(waiting).filter(idx =>
+        !busyThieves || waiting[idx].remaining / state.queueSettings[thief].speed < imbalance
+      ).slice(-freeSlots);
+      if (picked.length === 0) return false;
+
+      const moved = picked.map(idx => waiting[idx]);
+      state.subQueues[busiestQueue] = [active, ...waiting.filter((_, idx) => !picked.includes(idx))];
+      moved.forEach(task => {
+        placeTask(thief, task);
+        state.migrations = [...state.migrations, {
+          time: state.time,
+          taskId: task.id,
+          label: task.label,
+          from: busiestQueue,
+          to: thief,
+        }];
+        logEvent('stolen', { taskId: task.id, from: busiestQueue, to: thief });
+      });
+      return true;
+    });
+  };
+
+  /**
+   * Hands the shared workers to the queues that have work, most urgent class first
+   * Within a class, queues that hold a worker keep it; in strict mode a queue also keeps its
+   * worker, whatever its class, as long as its task is running
+   */
+  const assignWorkers = () => {
+    const { mode, workers } = state.processors;
+    if (mode === 'dedicated') return;
+
+    const wanting = allQueues().filter(q => state.queueStatus[q] !== 'paused' && state.subQueues[q].length > 0);
+    const kept = mode === 'strict' ? state.workerQueues.filter(q => wanting.includes(q) && state.progress[q] > 0) : [];
+    const rank = (q) => state.classes.findIndex(({ id }) => id === groupOf(q));
+    const held = (q) => (state.workerQueues.includes(q) ? 0 : 1);
+    // Array.prototype.sort is stable, so queues otherwise keep their order within a class
+    const candidates = wanting.filter(q => !kept.includes(q)).sort((a, b) => rank(a) - rank(b) || held(a) - held(b));
+    state.workerQueues = [...kept, ...candidates].slice(0, workers);
+  };
+
+  /**
+   * Starts the next task of every queue that has no active task
+   * Paused queues, queues without a worker and queues of classes frozen by the sharing rule start
+   * nothing; queues are visited most urgent class first, so a class that starts work can freeze
+   * the classes below it
+   * The queue's discipline picks the task, which is moved to the front of the queue
+   */
+  const startTasks = () => {
+    assignWorkers();
+    allQueues().forEach(q => {
+      if (state.queueStatus[q] === 'paused' || queueShares()[q] === 0) return;
+      while (state.subQueues[q].length > 0 && state.progress[q] === 0 && state.initialDuration[q] === 0) {
+        const tasks = state.subQueues[q];
+        const nextIndex = DISCIPLINES[state.disciplines[q].id].selectNext(tasks);
+        const next = tasks[nextIndex];
+        const rest = [...tasks.slice(0, nextIndex), ...tasks.slice(nextIndex + 1)];
+
+        if (next.startedAt === null) {
+          next.startedAt = state.time;
+        }
+
+        // Zero-length tasks have no work to do and complete immediately
+        if (next.remaining <= 0) {
+          state.subQueues[q] = rest;
+          finishTask(next, q);
+          continue;
+        }
+
+        state.subQueues[q] = [next, ...rest];
+        openSegment(q);
+        state.progress[q] = next.remaining;
+        state.initialDuration[q] = next.duration;
+        state.quantumUsed[q] = 0;
+        state.waitingSince[q] = state.time;
+        logEvent('started', { taskId: next.id, queue: q });
+      }
+    });
+  };
+
+  /**
+   * Freezes the active tasks of queues that lost their worker or whose class the sharing rule
+   * gives no share, and resumes them once they can run again, keeping the timeline and event
+   * log in step
+   */
+  const applyShares = () => {
+    const shares = queueShares();
+    allQueues().forEach(q => {
+      if (state.progress[q] === 0 || state.queueStatus[q] === 'paused') return;
+      const running = shares[q] > 0;
+      const taskId = state.subQueues[q][0].id;
+      if (!running && state.activeSegments[q]) {
+        closeSegment(q);
+        logEvent('preempted', { taskId, queue: q });
+      } else if (running && !state.activeSegments[q]) {
+        openSegment(q);
+        logEvent('resumed', { taskId, queue: q });
+      }
+    });
+  };
+
+  /**
+   * Applies completion, preemption, work-stealing and task start until the state is stable
+   * Stealing repeats until no thief can take anything, since a started task may free up more work
+   */
+  const settle = () => {
+    completeTasks();
+    removeDrainedQueues();
+    applyMlfq();
+    preemptTasks();
+    // Every steal moves work towards a queue that finishes sooner, but cap the rounds to be safe
+    const maxSteals = allQueues().reduce((sum, q) => sum + state.subQueues[q].length, 0);
+    state.classes.forEach(({ id }) => {
+      for (let steals = 0; steals < maxSteals && stealWork(id); steals++) {
+        startTasks();
+      }
+    });
+    startTasks();
+    applyShares();
+  };
+
+  /**
+   * Creates a task record and appends it to the main queue
+   */
+  const addArrival = ({ duration, type, label, dependsOn, deadline, period }, arrivedAt) => {
+    const absoluteDeadline = deadline === undefined || deadline === null ? null : arrivedAt + deadline;
+    const task = createTask({ id: state.nextTaskId, label, type: resolveType(type), duration, arrivedAt, dependsOn, deadline: absoluteDeadline, period });
+    state.nextTaskId += 1;
+    state.queue = [...state.queue, task];
+    logEvent('arrived', { taskId: task.id });
+    return task.id;
+  };
+
+  /**
+   * Moves every scheduled and workload arrival that is due by the current time into the main
+   * queue, in arrival order (scheduled arrivals first on ties)
+   */
+  const releaseArrivals = () => {
+    for (;;) {
+      const scheduled = state.scheduled[0];
+      const generated = state.workload && state.workload.peek();
+      const fromSchedule = scheduled !== undefined && (!generated || scheduled.time <= generated.time);
+      const arrival = fromSchedule ? scheduled : generated;
+      if (!arrival || arrival.time > state.time) return;
+
+      if (fromSchedule) {
+        state.scheduled = state.scheduled.slice(1);
+      } else {
+        state.workload.take();
+      }
+      addArrival(arrival, arrival.time);
+    }
+  };
+
+  /**
+   * Releases every job of a periodic task that is due by the current time into the main queue,
+   * earliest release first
+   */
+  const releasePeriodicJobs = () => {
+    while (state.periodicTasks.length > 0) {
+      const next = minBy(state.periodicTasks, periodicTask => periodicTask.nextRelease);
+      if (next.nextRelease > state.time) return;
+
+      const { label, type, wcet, deadline, period, nextRelease, released } = next;
+      addArrival({ duration: wcet, type, label: `${label}.${released + 1}`, deadline, period }, nextRelease);
+      state.periodicTasks = state.periodicTasks.map(periodicTask => (periodicTask === next
+        ? { ...periodicTask, nextRelease: Math.round((nextRelease + period) * 100) / 100, released: released + 1 }
+        : periodicTask));
+    }
+  };
+
+  // ==================== ADMISSION CONTROL ====================
+
+  /**
+   * Checks whether a task fits within the backlog and class capacity limits and whether a
+   * queue of its class has room for it
+   */
+  const hasCapacityFor = (task) => {
+    const { maxBacklog, groupCapacity } = state.admissionControl;
+    const group = groupForTask(task);
+
+    if (maxBacklog !== null) {
+      const backlog = allQueues().reduce((sum, q) => sum + sumTasks(state.subQueues[q]), 0);
+      if (backlog + task.remaining > maxBacklog) return false;
+    }
+
+    if (groupCapacity[group] !== undefined && groupCapacity[group] !== null) {
+      const count = state.groups[group].reduce((sum, q) => sum + state.subQueues[q].length, 0);
+      if (count >= groupCapacity[group]) return false;
+    }
+
+    // Every queue of the class is at its own capacity
+    return state.groups[group].some(hasRoom);
+  };
+
+  /**
+   * Drops a task of the main queue for good
+   */
+  const rejectTask = (task) => {
+    task.rejectedAt = state.time;
+    state.rejected = [...state.rejected, task];
+    state.queue = state.queue.filter(waiting => waiting !== task);
+    logEvent('rejected', { taskId: task.id });
+  };
+
+  /**
+   * Finds the task of the main queue that admitNext() deals with next: the first one that is either
+   * ready or doomed, i.e. depends on a rejected or cancelled task and can never run
+   * @returns {Object|null} - { task, doomed }, or null if every waiting task is blocked
+   */
+  const nextAdmissible = () => {
+    const completedIds = new Set(state.completed.map(task => task.id));
+    const rejectedIds = new Set([...state.rejected, ...state.cancelled].map(task => task.id));
+    const isDoomed = (task) => task.dependsOn.some(id => rejectedIds.has(id));
+    const task = state.queue.find(waiting => blockedBy(waiting, completedIds).length === 0 || isDoomed(waiting));
+    return task ? { task, doomed: isDoomed(task) } : null;
+  };
+
+  /**
+   * Admits the first ready task of the main queue, or holds/rejects it when it does not fit
+   * Tasks that depend on a rejected or cancelled task can never run and are rejected as well
+   * @returns {string|null} - 'admitted', 'held', 'rejected', or null if no task in the main queue is ready
+   */
+  const admitNext = () => {
+    const next = nextAdmissible();
+    if (!next) return null;
+    const { task, doomed } = next;
+
+    if (doomed) {
+      rejectTask(task);
+      return 'rejected';
+    }
+    if (!hasCapacityFor(task)) {
+      if (state.admissionControl.whenFull === 'hold') return 'held';
+      rejectTask(task);
+      return 'rejected';
+    }
+
+    task.admittedAt = state.time;
+    const target = routeToGroup(groupForTask(task), task);
+    state.queue = state.queue.filter(waiting => waiting !== task);
+    logEvent('admitted', { taskId: task.id, queue: target });
+    return 'admitted';
+  };
+
+  /**
+   * Admits tasks automatically at the configured rate
+   * Unused credit is not banked while the main queue is empty or held, so tasks cannot burst in later
+   */
+  const autoAdmit = (dt) => {
+    if (!state.admissionControl.auto) return;
+
+    state.admissionCredit += (dt * state.admissionControl.rate) / 100;
+    while (state.admissionCredit >= 1) {
+      const result = admitNext();
+      if (result === null || result === 'held') break;
+      // Rejections are free, only admissions use up credit
+      if (result === 'admitted') state.admissionCredit -= 1;
+    }
+    // Credit is only left over when the main queue is empty or blocked; keep at most one admission
+    state.admissionCredit = Math.min(state.admissionCredit, 1);
+  };
+
+  // ==================== MANUAL INTERVENTIONS ====================
+
+  /**
+   * Finds a task that has not finished yet
+   * @returns {Object} - { task, queue: sub-queue name, or null for the main queue }
+   */
+  const findPendingTask = (taskId) => {
+    const waiting = state.queue.find(task => task.id === taskId);
+    if (waiting) return { task: waiting, queue: null };
+    const queue = allQueues().find(q => state.subQueues[q].some(task => task.id === taskId));
+    if (!queue) throw new Error(`Unknown or finished task: ${taskId}`);
+    return { task: state.subQueues[queue].find(task => task.id === taskId), queue };
+  };
+
+  /**
+   * Whether a task is the one a queue is working on
+   */
+  const isActiveIn = (q, task) => state.subQueues[q][0] === task && state.initialDuration[q] > 0;
+
+  /**
+   * Takes a task out of the main queue or a sub-queue; an active task is stopped first and keeps
+   * its remaining work
+   */
+  const unplaceTask = (task, q) => {
+    if (q === null) {
+      state.queue = state.queue.filter(waiting => waiting !== task);
+    } else if (isActiveIn(q, task)) {
+      takeActiveTask(q);
+    } else {
+      state.subQueues[q] = state.subQueues[q].filter(waiting => waiting !== task);
+    }
+  };
+
+  /**
+   * Records a manual intervention
+   */
+  const recordIntervention = (task, action, details) => {
+    state.interventions = [...state.interventions, { time: state.time, taskId: task.id, label: task.label, action, ...details }];
+  };
+
+  // ==================== DEBUG MODE ====================
+
+  /**
+   * Checks the invariants and keeps a copy of every violation with the offending state as it is now
+   */
+  const auditState = () => {
+    const found = checkInvariants(state).map(violation => ({ time: state.time, ...JSON.parse(JSON.stringify(violation)) }));
+    if (found.length === 0 || state.violations.length >= MAX_VIOLATIONS) return;
+    state.violations = [...state.violations, ...found].slice(0, MAX_VIOLATIONS);
+  };
+
+  // ==================== PUBLIC API ====================
+
+  /**
+   * Throws for task types that no priority class processes
+   */
+  const validateTaskType = (type) => {
+    if (!classForType(type, state.classes)) throw new Error(`Unknown task type: ${type}`);
+  };
+
+  /**
+   * Throws for dependencies on tasks that do not exist (yet), which also rules out cycles
+   */
+  const validateDependencies = (dependsOn) => {
+    dependsOn.forEach(id => {
+      if (!(Number.isInteger(id) && id >= 1 && id < state.nextTaskId)) throw new Error(`Unknown parent task: ${id}`);
+    });
+  };
+
+  /**
+   * Throws for a task that enqueue() would not accept
+   */
+  const validateTask = ({ duration, type, dependsOn, deadline }) => {
+    if (!(duration > 0)) throw new Error(`Duration must be positive: ${duration}`);
+    validateTaskType(type === undefined ? 'normal' : type);
+    validateDependencies(dependsOn || []);
+    if (deadline !== undefined && deadline !== null && !(deadline > 0)) {
+      throw new Error(`Deadline must be positive: ${deadline}`);
+    }
+  };
+
+  /**
+   * Adds a task to the end of the main queue
+   * @param {Object} task - { duration: number, type?: class id | 'high' | 'normal' (default), label?: string,
+   *                        dependsOn?: ids of existing tasks that must complete first,
+   *                        deadline?: time the task has to finish in, counted from now }
+   * @returns {number} - Id of the created task
+   */
+  const enqueue = ({ duration, type, label, dependsOn, deadline }) => {
+    validateTask({ duration, type, dependsOn, deadline });
+    return addArrival({ duration, type, label, dependsOn, deadline }, state.time);
+  };
+
+  /**
+   * Adds several tasks to the end of the main queue in one command, e.g. a batch of the custom
+   * task form; nothing is added when any task is invalid
+   * @param {Array} tasks - Tasks as taken by enqueue()
+   * @returns {Array} - Ids of the created tasks, in order
+   */
+  const enqueueBatch = (tasks) => {
+    tasks.forEach(validateTask);
+    return tasks.map(({ duration, type, label, dependsOn, deadline }) => (
+      addArrival({ duration, type, label, dependsOn, deadline }, state.time)
+    ));
+  };
+
+  /**
+   * Adds the tasks of a workflow to the end of the main queue, turning the keys its tasks
+   * depend on into task ids; nothing is added when any task is invalid
+   * @param {Array} tasks - [{ key, duration, type, label, dependsOn: [keys] }], every task after the
+   *                        tasks it depends on, see workflows.parseWorkflow()
+   * @returns {Array} - Ids of the created tasks, in order
+   */
+  const enqueueWorkflow = (tasks) => {
+    const keys = new Set();
+    tasks.forEach(({ key, duration, type, dependsOn }) => {
+      if (!(duration > 0)) throw new Error(`Duration must be positive: ${duration}`);
+      validateTaskType(type);
+      const unknown = dependsOn.find(parent => !keys.has(parent));
+      if (unknown !== undefined) throw new Error(`Task ${key} depends on ${unknown}, which does not come before it`);
+      keys.add(key);
+    });
+
+    const ids = {};
+    return tasks.map(({ key, duration, type, label, dependsOn }) => {
+      ids[key] = addArrival({ duration, type, label, dependsOn: dependsOn.map(parent => ids[parent]) }, state.time);
+      return ids[key];
+    });
+  };
+
+  /**
+   * Admits the first task of the main queue to a queue of its class chosen by the admission policy
+   * Tasks that do not fit the admission control limits are held or rejected
+   * @returns {boolean} - Whether a task was admitted
+   */
+  const admit = () => {
+    const result = admitNext();
+    if (result !== 'admitted') return false;
+
+    settle();
+    return true;
+  };
+
+  /**
+   * Advances the simulation by a single step of dt units of time
+   * Events inside the step (completions, arrivals) are only handled at its end, so
+   * large steps are better taken with advance()
+   * @param {number} dt - Elapsed time
+   */
+  const tick = (dt) => {
+    const shares = queueShares();
+    allQueues().forEach(q => {
+      if (state.progress[q] > 0 && state.queueStatus[q] !== 'paused' && shares[q] > 0) {
+        state.busyTime[q] = Math.round((state.busyTime[q] + dt) * 100) / 100;
+      }
+    });
+    decrementProgress(dt, shares);
+    state.time = Math.round((state.time + dt) * 100) / 100;
+    releaseArrivals();
+    releasePeriodicJobs();
+    autoAdmit(dt);
+    settle();
+    if (state.debug) auditState();
+  };
+
+  /**
+   * Advances the simulation by any amount of time in whole ticks of tickSize
+   * Time that does not add up to a whole tick is carried over to the next call
+   * @param {number} duration - Time to advance
+   */
+  const advance = (duration) => {
+    state.clockRemainder = Math.round((state.clockRemainder + duration) * 100) / 100;
+    while (state.clockRemainder >= options.tickSize) {
+      state.clockRemainder = Math.round((state.clockRemainder - options.tickSize) * 100) / 100;
+      tick(options.tickSize);
+    }
+  };
+
+  /**
+   * Computes the earliest upcoming time at which something is known to happen:
+   * a task completes or hits its quantum, a task arrives or is auto-admitted,
+   * an MLFQ aging or boost deadline passes, or a new queue may start stealing work
+   * @returns {number|null} - Time of the next event, or null if the system is idle
+   */
+  const nextEventTime = () => {
+    const candidates = [];
+    const shares = queueShares();
+    const lowestClass = state.classes[state.classes.length - 1].id;
+
+    allQueues().forEach(q => {
+      const tasks = state.subQueues[q];
+      if (state.progress[q] > 0 && state.queueStatus[q] !== 'paused' && shares[q] > 0) {
+        candidates.push(state.time + state.progress[q] / rateOf(q, shares));
+
+        const { id, quantum } = state.disciplines[q];
+        if (DISCIPLINES[id].usesQuantum && tasks.length > 1) {
+          candidates.push(state.time + quantum - state.quantumUsed[q]);
+        }
+        if (state.mlfq.enabled && groupOf(q) !== lowestClass) {
+          candidates.push(state.time + state.mlfq.quantum - state.quantumUsed[q]);
+        }
+      }
+      if (isNewlyCreated(q)) {
+        candidates.push(state.createdAt[q] + options.newQueueGracePeriod);
+      }
+    });
+
+    if (state.mlfq.enabled) {
+      const lowerQueues = lowerClassQueues();
+      lowerQueues.forEach(q => {
+        if (state.subQueues[q].length > 1) {
+          candidates.push(state.waitingSince[q] + state.mlfq.agingThreshold);
+        }
+      });
+      if (lowerQueues.some(q => state.subQueues[q].length > 0)) {
+        candidates.push(state.lastBoostAt + state.mlfq.boostInterval);
+      }
+    }
+
+    if (state.workload) {
+      candidates.push(state.workload.peek().time);
+    }
+    if (state.scheduled.length > 0) {
+      candidates.push(state.scheduled[0].time);
+    }
+    state.periodicTasks.forEach(({ nextRelease }) => candidates.push(nextRelease));
+
+    // Auto-admission only changes something when the task admitNext() picks is not just held
+    const admissible = state.admissionControl.auto ? nextAdmissible() : null;
+    if (admissible && (admissible.doomed || hasCapacityFor(admissible.task) || state.admissionControl.whenFull !== 'hold')) {
+      candidates.push(state.time + ((1 - state.admissionCredit) * 100) / state.admissionControl.rate);
+    }
+
+    const upcoming = candidates.filter(time => time > state.time);
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+  };
+
+  /**
+   * Advances the simulation by whole ticks until the next event (see nextEventTime) has happened
+   * @returns {boolean} - Whether there was an event to advance to
+   */
+  const stepToNextEvent = () => {
+    const next = nextEventTime();
+    if (next === null) return false;
+    // Round before taking the ceiling so floating point noise cannot add a tick
+    const ticks = Math.max(1, Math.ceil(Math.round(((next - state.time) / options.tickSize) * 1e6) / 1e6));
+    for (let i = 0; i < ticks; i++) tick(options.tickSize);
+    return true;
+  };
+
+  /**
+   * Adds a new queue to a priority class
+   * @param {string} group - Class id
+   * @param {Object} settings - Optional { title, capacity, speed }, see QUEUE_SETTINGS_DEFAULTS
+   * @returns {string} - Name of the created queue
+   */
+  const addQueue = (group, settings = {}) => {
+    if (!state.groups[group]) {
+      throw new Error(`Unknown priority class: ${group}`);
+    }
+    validateQueueSettings(settings);
+
+    // Never reuse the name of a removed queue, so logs and timelines stay unambiguous
+    let number = state.nextQueueNumber[group];
+    while (state.subQueues[`${group}${number}`]) number += 1;
+    state.nextQueueNumber[group] = number + 1;
+
+    const name = `${group}${number}`;
+    state.groups[group] = [...state.groups[group], name];
+    initQueue(name, state.time, { title: defaultQueueTitle(classById(group).name, number), ...settings });
+    logEvent('queueAdded', { queue: name });
+    return name;
+  };
+
+  /**
+   * Looks up a queue by name, throwing for unknown names
+   * @returns {string} - The queue's priority group
+   */
+  const requireQueue = (name) => {
+    if (!state.queueSettings[name]) {
+      throw new Error(`Unknown queue: ${name}`);
+    }
+    return groupOf(name);
+  };
+
+  /**
+   * Whether a queue can stop taking work without leaving its group without an accepting queue
+   */
+  const canRetire = (name, group) => state.groups[group].some(q => q !== name && state.queueStatus[q] !== 'draining');
+
+  /**
+   * Changes the settings of a queue
+   * Lowering the capacity below the current number of tasks keeps them, but admits no more.
+   * Only empty queues can move to the other priority group, and every group keeps at least one queue.
+   * @param {string} name - Queue name
+   * @param {Object} settings - Any of { title, capacity, speed, group }
+   */
+  const updateQueue = (name, { group, ...settings }) => {
+    const currentGroup = requireQueue(name);
+    validateQueueSettings(settings);
+
+    if (group !== undefined && group !== currentGroup) {
+      if (!state.groups[group]) {
+        throw new Error(`Unknown queue group: ${group}`);
+      }
+      if (state.subQueues[name].length > 0) {
+        throw new Error('Only empty queues can change priority group');
+      }
+      if (!canRetire(name, currentGroup)) {
+        throw new Error('Every priority group needs at least one queue');
+      }
+      state.groups[currentGroup] = state.groups[currentGroup].filter(q => q !== name);
+      state.groups[group] = [...state.groups[group], name];
+    }
+
+    state.queueSettings[name] = { ...state.queueSettings[name], ...settings };
+    settle();
+  };
+
+  /**
+   * Removes a queue right away (every group keeps at least one queue that is not draining)
+   * Its tasks, including the partially processed active one, keep their records and are spread
+   * over the remaining queues of the group by the active admission policy
+   * @param {string} target - Queue name, or a class id to remove the last queue of that class
+   * @returns {boolean} - Whether a queue was removed
+   */
+  const removeQueue = (target) => {
+    const name = state.groups[target] ? state.groups[target][state.groups[target].length - 1] : target;
+    const group = requireQueue(name);
+    if (!canRetire(name, group)) return false;
+
+    closeSegment(name);
+    const tasks = state.subQueues[name];
+    state.subQueues[name] = [];
+    state.progress[name] = 0;
+    state.initialDuration[name] = 0;
+    // Draining queues are never selected, so no task can land back in this queue
+    state.queueStatus[name] = 'draining';
+    displaceTasks(name, group, tasks);
+    deleteQueue(name);
+
+    settle();
+    return true;
+  };
+
+  /**
+   * Stops a queue from taking new work and removes it once its in-flight task has finished
+   * Waiting tasks are spread over the other queues of the group right away
+   * @param {string} name - Queue name
+   * @returns {boolean} - Whether the queue started draining
+   */
+  const drainQueue = (name) => {
+    const group = requireQueue(name);
+    if (state.queueStatus[name] === 'draining' || !canRetire(name, group)) return false;
+
+    // A paused queue picks its in-flight task up again so the drain can finish
+    const inFlight = state.progress[name] > 0 ? 1 : 0;
+    state.queueStatus[name] = 'draining';
+    const tasks = state.subQueues[name];
+    state.subQueues[name] = tasks.slice(0, inFlight);
+    displaceTasks(name, group, tasks.slice(inFlight));
+
+    settle();
+    return true;
+  };
+
+  /**
+   * Pauses a queue: its active task stops progressing and it accepts no new work
+   * Idle queues may still steal its waiting tasks
+   * @param {string} name - Queue name
+   */
+  const pauseQueue = (name) => {
+    requireQueue(name);
+    if (state.queueStatus[name] !== 'active') return;
+    state.queueStatus[name] = 'paused';
+    closeSegment(name);
+    settle();
+  };
+
+  /**
+   * Resumes a paused queue
+   * @param {string} name - Queue name
+   */
+  const resumeQueue = (name) => {
+    requireQueue(name);
+    if (state.queueStatus[name] !== 'paused') return;
+    state.queueStatus[name] = 'active';
+    settle();
+  };
+
+  /**
+   * Throws for a position in the class order that is not an index from 0 to max
+   */
+  const validateClassPosition = (position, max) => {
+    if (!(Number.isInteger(position) && position >= 0 && position <= max)) {
+      throw new Error(`Class position must be an integer from 0 to ${max}: ${position}`);
+    }
+  };
+
+  /**
+   * Adds a priority class with one queue
+   * @param {Object} settings - { name, color?, weight? (default 1), position? (index in the class order, default last) }
+   * @returns {string} - Id of the created class
+   */
+  const addPriorityClass = ({ name, color, weight = 1, position = state.classes.length }) => {
+    validatePriorityClass({ name, color, weight });
+    if (name === undefined) {
+      throw new Error('Class name must not be empty');
+    }
+    validateClassPosition(position, state.classes.length);
+
+    const id = classIdFor(name, state.classes.map(priorityClass => priorityClass.id));
+    const priorityClass = {
+      id,
+      name: name.trim(),
+      color: color || CLASS_COLORS[state.classes.length % CLASS_COLORS.length],
+      weight,
+    };
+    state.classes = [...state.classes.slice(0, position), priorityClass, ...state.classes.slice(position)];
+    state.groups[id] = [];
+    state.roundRobinIndex[id] = 0;
+    state.nextQueueNumber[id] = 1;
+    state.admissionControl.groupCapacity[id] = null;
+    logEvent('classAdded', { priorityClass: id });
+    addQueue(id);
+    settle();
+    return id;
+  };
+
+  /**
+   * Renames, recolors, reweights or reorders a priority class
+   * @param {string} id - Class id
+   * @param {Object} settings - Any of { name, color, weight, position }
+   */
+  const updatePriorityClass = (id, { position, ...settings }) => {
+    const current = classById(id);
+    if (!current) {
+      throw new Error(`Unknown priority class: ${id}`);
+    }
+    validatePriorityClass(settings);
+    if (position !== undefined) validateClassPosition(position, state.classes.length - 1);
+
+    const updated = { ...current, ...settings };
+    const others = state.classes.filter(priorityClass => priorityClass.id !== id);
+    const index = position === undefined ? state.classes.indexOf(current) : position;
+    state.classes = [...others.slice(0, index), updated, ...others.slice(index)];
+    settle();
+  };
+
+  /**
+   * Removes a priority class and its queues
+   * Only classes without tasks (queued, waiting or scheduled to arrive) and without periodic tasks
+   * releasing jobs into them can be removed, and at least one class is always kept
+   * @param {string} id - Class id
+   */
+  const removePriorityClass = (id) => {
+    if (!classById(id)) {
+      throw new Error(`Unknown priority class: ${id}`);
+    }
+    if (state.classes.length <= 1) {
+      throw new Error('At least one priority class is required');
+    }
+    const hasTasks = state.groups[id].some(q => state.subQueues[q].length > 0) ||
+      [...state.queue, ...state.scheduled].some(task => task.type === id);
+    if (hasTasks) {
+      throw new Error('Only priority classes without tasks can be removed');
+    }
+    const periodic = state.periodicTasks.filter(periodicTask => periodicTask.type === id);
+    if (periodic.length > 0) {
+      throw new Error(`Priority class ${id} is used by periodic tasks: ${periodic.map(periodicTask => periodicTask.id).join(', ')}`);
+    }
+
+    state.groups[id].forEach(q => {
+      closeSegment(q);
+      deleteQueue(q);
+    });
+    state.classes = state.classes.filter(priorityClass => priorityClass.id !== id);
+    delete state.groups[id];
+    delete state.roundRobinIndex[id];
+    delete state.nextQueueNumber[id];
+    delete state.admissionControl.groupCapacity[id];
+    logEvent('classRemoved', { priorityClass: id });
+    settle();
+  };
+
+  /**
+   * Switches the rule that decides how priority classes share the processing capacity
+   * @param {string} rule - Rule id, see CLASS_SHARING_RULES
+   */
+  const setClassSharing = (rule) => {
+    if (!CLASS_SHARING_RULES[rule]) {
+      throw new Error(`Unknown class sharing rule: ${rule}`);
+    }
+    state.classSharing = rule;
+    settle();
+  };
+
+  /**
+   * Switches the admission policy used for subsequent admissions
+   * @param {string} policy - Policy id, see ADMISSION_POLICIES
+   */
+  const setAdmissionPolicy = (policy) => {
+    if (!ADMISSION_POLICIES[policy]) {
+      throw new Error(`Unknown admission policy: ${policy}`);
+    }
+    state.admissionPolicy = policy;
+  };
+
+  /**
+   * Changes the scheduling discipline of a queue
+   * Takes effect the next time the queue picks a task (or immediately for preemptive disciplines)
+   * @param {string} name - Queue name
+   * @param {Object} discipline - { id, quantum }, either field may be omitted
+   */
+  const setDiscipline = (name, discipline) => {
+    if (!state.disciplines[name]) {
+      throw new Error(`Unknown queue: ${name}`);
+    }
+    const next = { ...state.disciplines[name], ...discipline };
+    if (!DISCIPLINES[next.id]) {
+      throw new Error(`Unknown discipline: ${next.id}`);
+    }
+    if (!(next.quantum > 0)) {
+      throw new Error(`Quantum must be positive: ${next.quantum}`);
+    }
+    state.disciplines[name] = next;
+    settle();
+  };
+
+  /**
+   * Switches the processor mode or resizes the shared worker pool
+   * Workers are reassigned right away, so shrinking the pool or switching to preemptive mode
+   * may preempt running tasks
+   * @param {Object} processors - Any of { mode, workers }, see PROCESSOR_MODES
+   */
+  const setProcessors = (processors) => {
+    const next = { ...state.processors, ...processors };
+    if (!PROCESSOR_MODES[next.mode]) {
+      throw new Error(`Unknown processor mode: ${next.mode}`);
+    }
+    if (!(Number.isInteger(next.workers) && next.workers >= 1)) {
+      throw new Error(`Workers must be a positive integer: ${next.workers}`);
+    }
+    state.processors = next;
+    if (next.mode === 'strict') {
+      // Strict mode only keeps running tasks on their worker, never more than the pool holds
+      state.workerQueues = state.workerQueues.slice(0, next.workers);
+    }
+    settle();
+  };
+
+  /**
+   * Turns debug mode on or off; turning it on checks the current state right away
+   * @param {boolean} enabled - Whether to check the invariants after every tick
+   */
+  const setDebug = (enabled) => {
+    state.debug = enabled;
+    if (enabled) auditState();
+  };
+
+  /**
+   * Forgets the invariant violations found so far
+   */
+  const clearViolations = () => {
+    state.violations = [];
+  };
+
+  /**
+   * Updates the work-stealing settings
+   * @param {Object} stealing - Any of { strategy, threshold, crossClass }, see DEFAULT_STEALING
+   */
+  const setStealing = (stealing) => {
+    const next = { ...state.stealing, ...stealing };
+    if (!STEALING_STRATEGIES[next.strategy]) {
+      throw new Error(`Unknown stealing strategy: ${next.strategy}`);
+    }
+    if (!(next.threshold >= 0)) {
+      throw new Error(`Stealing threshold must be non-negative: ${next.threshold}`);
+    }
+    state.stealing = next;
+    settle();
+  };
+
+  /**
+   * Updates the MLFQ settings
+   * Enabling MLFQ restarts the priority boost interval from the current time
+   * @param {Object} mlfq - Any of { enabled, quantum, agingThreshold, boostInterval }
+   */
+  const setMlfq = (mlfq) => {
+    const next = { ...state.mlfq, ...mlfq };
+    ['quantum', 'agingThreshold', 'boostInterval'].forEach(key => {
+      if (!(next[key] > 0)) {
+        throw new Error(`MLFQ ${key} must be positive: ${next[key]}`);
+      }
+    });
+    if (next.enabled && !state.mlfq.enabled) {
+      state.lastBoostAt = state.time;
+      lowerClassQueues().forEach(q => { state.waitingSince[q] = state.time; });
+    }
+    state.mlfq = next;
+    settle();
+  };
+
+  /**
+   * Starts streaming generated tasks into the main queue, replacing any running workload
+   * The first arrival is drawn relative to the current time
+   * @param {Object} workload - Workload configuration, see DEFAULT_WORKLOAD
+   */
+  const startWorkload = (workload) => {
+    state.workload = createWorkload(workload, { startTime: state.time });
+  };
+
+  /**
+   * Stops the running workload stream; tasks that already arrived stay in the main queue
+   */
+  const stopWorkload = () => {
+    state.workload = null;
+  };
+
+  /**
+   * Schedules tasks to arrive in the main queue at given times
+   * Arrivals that are already due enter the main queue immediately, at the current time
+   * @param {Array} arrivals - [{ time, duration, type: class id | 'high' | 'normal', label? }]
+   * @returns {number} - Number of scheduled arrivals still waiting to arrive
+   */
+  const scheduleArrivals = (arrivals) => {
+    arrivals.forEach(({ time, duration, type }) => {
+      if (!(time >= 0)) throw new Error(`Arrival time must be non-negative: ${time}`);
+      if (!(duration >= 0)) throw new Error(`Duration must be non-negative: ${duration}`);
+      validateTaskType(type);
+    });
+
+    const added = arrivals.map(({ time, duration, type, label }) => ({ time: Math.max(time, state.time), duration, type: resolveType(type), label }));
+    // Array.prototype.sort is stable, so arrivals at the same time keep their order
+    state.scheduled = [...state.scheduled, ...added].sort((a, b) => a.time - b.time);
+    releaseArrivals();
+    return state.scheduled.length;
+  };
+
+  /**
+   * Defines a periodic task that releases a job into the main queue every period, starting now
+   * @param {Object} periodicTask - { period, wcet, label?, type?: class id | 'high' | 'normal' (default),
+   *                                deadline?: relative to each release (default the period) }
+   * @returns {string} - Id of the periodic task
+   */
+  const addPeriodicTask = ({ period, wcet, label, type = 'normal', deadline = null }) => {
+    validatePeriodicTask({ period, wcet, deadline });
+    validateTaskType(type);
+
+    const id = `P${state.nextPeriodicId}`;
+    state.nextPeriodicId += 1;
+    state.periodicTasks = [...state.periodicTasks, {
+      id,
+      label: label || id,
+      type: resolveType(type),
+      period,
+      wcet,
+      deadline: deadline === null ? period : deadline,
+      nextRelease: state.time,
+      released: 0,
+    }];
+    releasePeriodicJobs();
+    return id;
+  };
+
+  /**
+   * Stops a periodic task from releasing further jobs; jobs already released stay where they are
+   * @param {string} id - Periodic task id
+   */
+  const removePeriodicTask = (id) => {
+    if (!state.periodicTasks.some(periodicTask => periodicTask.id === id)) {
+      throw new Error(`Unknown periodic task: ${id}`);
+    }
+    state.periodicTasks = state.periodicTasks.filter(periodicTask => periodicTask.id !== id);
+  };
+
+  /**
+   * Updates the admission control settings
+   * @param {Object} admissionControl - Any of { auto, rate, maxBacklog, groupCapacity, whenFull };
+   *                                    groupCapacity may contain a single group
+   */
+  const setAdmissionControl = (admissionControl) => {
+    const next = {
+      ...state.admissionControl,
+      ...admissionControl,
+      groupCapacity: { ...state.admissionControl.groupCapacity, ...admissionControl.groupCapacity },
+    };
+    if (!(next.rate > 0)) {
+      throw new Error(`Admission rate must be positive: ${next.rate}`);
+    }
+    if (!WHEN_FULL_ACTIONS[next.whenFull]) {
+      throw new Error(`Unknown full queue action: ${next.whenFull}`);
+    }
+    [next.maxBacklog, ...Object.values(next.groupCapacity)].forEach(limit => {
+      if (limit !== null && !(limit >= 0)) {
+        throw new Error(`Admission limits must be null or non-negative: ${limit}`);
+      }
+    });
+    if (next.auto && !state.admissionControl.auto) {
+      state.admissionCredit = 0;
+    }
+    state.admissionControl = next;
+  };
+
+  /**
+   * Moves a pending task by hand: within the main queue, or to any position of a queue of its
+   * class (or of the class it currently sits in, e.g. after an MLFQ demotion)
+   * Moving the active task stops it, keeping its remaining work; a queue's active task always
+   * stays in front, so a task dropped before it lands right behind it. Tasks of the main queue
+   * cannot be moved into a queue before they are admitted, and tasks only move into another queue
+   * that is active and has room.
+   * @param {number} taskId - Id of a waiting or queued task
+   * @param {string|null} target - Queue name, or null to reorder the main queue
+   * @param {number} index - Position in the target, counted without the moved task (default: last)
+   */
+  const moveTask = (taskId, target, index = Infinity) => {
+    const { task, queue: from } = findPendingTask(taskId);
+    if ((from === null) !== (target === null)) {
+      throw new Error(from === null ? `Task #${taskId} must be admitted before it can be moved to a queue` : `Task #${taskId} has already been admitted`);
+    }
+    if (target !== null) {
+      const group = requireQueue(target);
+      if (group !== groupForTask(task) && group !== groupOf(from)) {
+        throw new Error(`Task #${taskId} does not belong in a queue of class ${group}`);
+      }
+      if (state.queueStatus[target] === 'draining') {
+        throw new Error(`Queue ${target} is draining`);
+      }
+      // Reordering within a queue adds no task to it; moves from elsewhere need room, as admissions do
+      if (target !== from && !hasRoom(target)) {
+        throw new Error(state.queueStatus[target] === 'paused' ? `Queue ${target} is paused` : `Queue ${target} is full`);
+      }
+    }
+
+    unplaceTask(task, from);
+    if (target === null) {
+      const position = Math.max(0, Math.min(index, state.queue.length));
+      state.queue = [...state.queue.slice(0, position), task, ...state.queue.slice(position)];
+    } else {
+      const tasks = state.subQueues[target];
+      const position = Math.max(state.initialDuration[target] > 0 ? 1 : 0, Math.min(index, tasks.length));
+      if (target !== from) task.queues.push(target);
+      state.subQueues[target] = [...tasks.slice(0, position), task, ...tasks.slice(position)];
+    }
+    logEvent('movedByHand', { taskId, from, to: target, index: (target === null ? state.queue : state.subQueues[target]).indexOf(task) });
+    recordIntervention(task, 'moved', { from, to: target });
+    settle();
+  };
+
+  /**
+   * Cancels a pending task by hand, wherever it is; tasks that depend on it are rejected when
+   * they are up for admission
+   * @param {number} taskId - Id of a waiting or queued task
+   */
+  const cancelTask = (taskId) => {
+    const { task, queue } = findPendingTask(taskId);
+    unplaceTask(task, queue);
+    task.cancelledAt = state.time;
+    state.cancelled = [...state.cancelled, task];
+    logEvent('cancelled', { taskId, queue });
+    recordIntervention(task, 'cancelled', { queue });
+    settle();
+  };
+
+  /**
+   * Changes the priority or duration of a pending task by hand
+   * A queued task whose new priority belongs to another class is moved to a queue of that class
+   * chosen by the admission policy. A new duration keeps the work already done, so it must be
+   * larger than that.
+   * @param {number} taskId - Id of a waiting or queued task
+   * @param {Object} changes - Any of { type: class id | 'high' | 'normal', duration }
+   */
+  const updateTask = (taskId, { type, duration }) => {
+    const { task, queue } = findPendingTask(taskId);
+    const done = Math.round((task.duration - task.remaining) * 100) / 100;
+    if (type !== undefined) validateTaskType(type);
+    if (duration !== undefined && !(duration > done)) {
+      throw new Error(done > 0 ? `Duration must be more than the work already done (${done}): ${duration}` : `Duration must be positive: ${duration}`);
+    }
+
+    const changes = {};
+    if (duration !== undefined && duration !== task.duration) {
+      changes.duration = { from: task.duration, to: duration };
+      task.duration = duration;
+      task.remaining = Math.round((duration - done) * 100) / 100;
+      if (queue !== null && isActiveIn(queue, task)) {
+        state.progress[queue] = task.remaining;
+        state.initialDuration[queue] = duration;
+      }
+    }
+    if (type !== undefined && resolveType(type) !== task.type) {
+      changes.type = { from: task.type, to: resolveType(type) };
+      task.type = resolveType(type);
+      const group = groupForTask(task);
+      if (queue !== null && group !== groupOf(queue)) {
+        unplaceTask(task, queue);
+        logEvent('movedByHand', { taskId, from: queue, to: routeToGroup(group, task) });
+      }
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    logEvent('edited', { taskId, changes });
+    recordIntervention(task, 'edited', changes);
+    settle();
+  };
+
+  /**
+   * Serializes the complete engine state, including in-flight progress, history and the
+   * workload stream position, into plain JSON data
+   * Engine options (grace period, tick size, default discipline) are not part of the snapshot;
+   * they come from the engine that imports it
+   * @returns {Object} - Snapshot accepted by importState()
+   */
+  const exportState = () => {
+    const { workload, random, ...rest } = state;
+    // Round-tripping through JSON deep copies everything; initial queues' -Infinity creation time becomes null
+    return JSON.parse(JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      ...rest,
+      workload: workload ? { config: workload.config, ...workload.getState() } : null,
+      random: random.getState(),
+    }));
+  };
+
+  /**
+   * Replaces the engine state with a snapshot produced by exportState()
+   * @param {Object} snapshot - Snapshot data (e.g. parsed from JSON)
+   */
+  const importState = (snapshot) => {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot && snapshot.version}`);
+    }
+    const missing = Object.keys(state).find(key => !(key in snapshot));
+    if (missing) {
+      throw new Error(`Invalid snapshot: missing ${missing}`);
+    }
+    if (!ADMISSION_POLICIES[snapshot.admissionPolicy]) {
+      throw new Error(`Unknown admission policy: ${snapshot.admissionPolicy}`);
+    }
+    Object.values(snapshot.disciplines).forEach(({ id }) => {
+      if (!DISCIPLINES[id]) throw new Error(`Unknown discipline: ${id}`);
+    });
+    if (!CLASS_SHARING_RULES[snapshot.classSharing]) {
+      throw new Error(`Unknown class sharing rule: ${snapshot.classSharing}`);
+    }
+    if (!PROCESSOR_MODES[snapshot.processors.mode]) {
+      throw new Error(`Unknown processor mode: ${snapshot.processors.mode}`);
+    }
+    if (!STEALING_STRATEGIES[snapshot.stealing.strategy]) {
+      throw new Error(`Unknown stealing strategy: ${snapshot.stealing.strategy}`);
+    }
+
+    const { version, workload, random, createdAt, ...rest } = JSON.parse(JSON.stringify(snapshot));
+    Object.assign(state, rest, {
+      createdAt: Object.fromEntries(Object.entries(createdAt).map(([q, time]) => [q, time === null ? -Infinity : time])),
+      workload: workload ? createWorkload(workload.config, { rngState: workload.rngState, nextArrival: workload.nextArrival }) : null,
+      random: createRandom(random),
+    });
+  };
+
+  /**
+   * Returns a snapshot of the engine state that is safe to store in React state
+   */
+  const getState = () => ({
+    time: state.time,
+    nextTaskId: state.nextTaskId,
+    admissionPolicy: state.admissionPolicy,
+    queue: state.queue.map(cloneTask),
+    classes: state.classes.map(priorityClass => ({ ...priorityClass })),
+    classSharing: state.classSharing,
+    groups: Object.fromEntries(Object.entries(state.groups).map(([group, names]) => [group, [...names]])),
+    subQueues: Object.fromEntries(Object.entries(state.subQueues).map(([name, tasks]) => [name, tasks.map(cloneTask)])),
+    progress: { ...state.progress },
+    initialDuration: { ...state.initialDuration },
+    disciplines: Object.fromEntries(Object.entries(state.disciplines).map(([name, discipline]) => [name, { ...discipline }])),
+    queueSettings: Object.fromEntries(Object.entries(state.queueSettings).map(([name, settings]) => [name, { ...settings }])),
+    queueStatus: { ...state.queueStatus },
+    quantumUsed: { ...state.quantumUsed },
+    busyTime: { ...state.busyTime },
+    createdAt: { ...state.createdAt },
+    processors: { ...state.processors },
+    workerQueues: [...state.workerQueues],
+    stealing: { ...state.stealing },
+    mlfq: { ...state.mlfq },
+    workload: state.workload ? { ...state.workload.config } : null,
+    scheduled: state.scheduled.map(arrival => ({ ...arrival })),
+    periodicTasks: state.periodicTasks.map(periodicTask => ({ ...periodicTask })),
+    admissionControl: { ...state.admissionControl, groupCapacity: { ...state.admissionControl.groupCapacity } },
+    rejected: state.rejected,
+    cancelled: state.cancelled,
+    interventions: state.interventions,
+    newlyCreatedQueues: new Set(allQueues().filter(isNewlyCreated)),
+    // Completed, rejected and cancelled records, closed segments, migrations and interventions are never modified again, so they can be shared
+    completed: state.completed,
+    timeline: [
+      ...state.timeline,
+      ...Object.values(state.activeSegments).map(segment => ({ ...segment, end: null })),
+    ],
+    migrations: state.migrations,
+    events: [...state.events],
+    logBase: state.logBase,
+    debug: state.debug,
+    // Violations are never modified once recorded
+    violations: state.violations,
+  });
+
+  /**
+   * Wraps a public method so each successful call is recorded as a 'command' event
+   * The command entry is placed before the transitions the call caused
+   */
+  const recorded = (command, method) => (...args) => {
+    const index = state.events.length;
+    const time = state.time;
+    const result = method(...args);
+    state.events.splice(index, 0, { time, type: 'command', command, args: JSON.parse(JSON.stringify(args)) });
+    return result;
+  };
+
+  return {
+    enqueue: recorded('enqueue', enqueue),
+    enqueueBatch: recorded('enqueueBatch', enqueueBatch),
+    enqueueWorkflow: recorded('enqueueWorkflow', enqueueWorkflow),
+    admit: recorded('admit', admit),
+    addQueue: recorded('addQueue', addQueue),
+    removeQueue: recorded('removeQueue', removeQueue),
+    updateQueue: recorded('updateQueue', updateQueue),
+    drainQueue: recorded('drainQueue', drainQueue),
+    pauseQueue: recorded('pauseQueue', pauseQueue),
+    resumeQueue: recorded('resumeQueue', resumeQueue),
+    addPriorityClass: recorded('addPriorityClass', addPriorityClass),
+    updatePriorityClass: recorded('updatePriorityClass', updatePriorityClass),
+    removePriorityClass: recorded('removePriorityClass', removePriorityClass),
+    setClassSharing: recorded('setClassSharing', setClassSharing),
+    setAdmissionPolicy: recorded('setAdmissionPolicy', setAdmissionPolicy),
+    setDiscipline: recorded('setDiscipline', setDiscipline),
+    setProcessors: recorded('setProcessors', setProcessors),
+    setStealing: recorded('setStealing', setStealing),
+    setDebug: recorded('setDebug', setDebug),
+    clearViolations: recorded('clearViolations', clearViolations),
+    setMlfq: recorded('setMlfq', setMlfq),
+    startWorkload: recorded('startWorkload', startWorkload),
+    stopWorkload: recorded('stopWorkload', stopWorkload),
+    scheduleArrivals: recorded('scheduleArrivals', scheduleArrivals),
+    addPeriodicTask: recorded('addPeriodicTask', addPeriodicTask),
+    removePeriodicTask: recorded('removePeriodicTask', removePeriodicTask),
+    setAdmissionControl: recorded('setAdmissionControl', setAdmissionControl),
+    moveTask: recorded('moveTask', moveTask),
+    cancelTask: recorded('cancelTask', cancelTask),
+    updateTask: recorded('updateTask', updateTask),
+    tick,
+    advance,
+    stepToNextEvent,
+    exportState,
+    importState,
+    getState,
+  };
+}
@@ -0,0 +1,750 @@
+import { createScheduler } from './scheduler';
+import { sumTasks } from './queueUtils';
+import { checkInvariants } from './invariants';
+
+/**
+ * Remaining work of each task in a queue
+ */
+const remaining = (tasks) => tasks.map(task => task.remaining);
+
+/**
+ * Original duration of each task in a queue
+ */
+const durations = (tasks) => tasks.map(task => task.duration);
+
+/**
+ * Runs the engine until every queue is empty (or maxTicks is reached)
+ */
+const runToCompletion = (scheduler, dt = 0.4, maxTicks = 100000) => {
+  for (let i = 0; i < maxTicks; i++) {
+    const { subQueues } = scheduler.getState();
+    if (Object.values(subQueues).every(tasks => tasks.length === 0)) return i;
+    scheduler.tick(dt);
+  }
+  throw new Error('Simulation did not finish');
+};
+
+test('admits high priority tasks to high queues and normal tasks to regular queues', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 30, type: 'high' });
+  scheduler.enqueue({ duration: 20, type: 'normal' });
+
+  scheduler.admit();
+  scheduler.admit();
+
+  const { queue, subQueues } = scheduler.getState();
+  expect(queue).toEqual([]);
+  expect(remaining(subQueues.high1)).toEqual([30]);
+  expect(remaining(subQueues.regular1)).toEqual([20]);
+});
+
+test('routes normal tasks to the regular queue with the lowest sum of task values', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1', 'regular2'] });
+  [50, 10, 10, 10].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3, 4].forEach(() => scheduler.admit());
+
+  const { subQueues } = scheduler.getState();
+  expect(remaining(subQueues.regular1)).toEqual([50]);
+  expect(remaining(subQueues.regular2)).toEqual([10, 10, 10]);
+});
+
+test('rejects tasks without a positive duration', () => {
+  const scheduler = createScheduler();
+  expect(() => scheduler.enqueue({ duration: NaN })).toThrow('Duration must be positive: NaN');
+  expect(() => scheduler.enqueue({ duration: -5 })).toThrow('Duration must be positive: -5');
+  expect(() => scheduler.enqueue({ type: 'high' })).toThrow('Duration must be positive: undefined');
+  expect(scheduler.getState().queue).toEqual([]);
+});
+
+test('starts the first task immediately and completes it after its duration', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 2, type: 'high' });
+  scheduler.admit();
+
+  expect(scheduler.getState().progress.high1).toBe(2);
+  expect(scheduler.getState().initialDuration.high1).toBe(2);
+
+  scheduler.tick(1);
+  expect(scheduler.getState().progress.high1).toBe(1);
+
+  scheduler.tick(1);
+  const { subQueues, progress, initialDuration } = scheduler.getState();
+  expect(remaining(subQueues.high1)).toEqual([]);
+  expect(progress.high1).toBe(0);
+  expect(initialDuration.high1).toBe(0);
+});
+
+test('advances in whole ticks and carries over the remainder', () => {
+  const scheduler = createScheduler({ tickSize: 0.4 });
+  scheduler.enqueue({ duration: 1, type: 'normal' });
+  scheduler.enqueue({ duration: 5, type: 'normal' });
+  scheduler.admit();
+  scheduler.admit();
+
+  // The first task completes at the end of the tick that covers it
+  scheduler.advance(3);
+  const { time, completed } = scheduler.getState();
+  expect(time).toBe(2.8);
+  expect(completed.map(task => task.finishedAt)).toEqual([1.2]);
+
+  scheduler.advance(0.2);
+  expect(scheduler.getState().time).toBe(3.2);
+});
+
+test('steps to the first tick after the next event', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'] });
+  scheduler.enqueue({ duration: 7, type: 'normal' });
+  scheduler.enqueue({ duration: 3, type: 'normal' });
+  scheduler.admit();
+  scheduler.admit();
+
+  expect(scheduler.stepToNextEvent()).toBe(true);
+  expect(scheduler.getState().time).toBe(7.2);
+  expect(scheduler.getState().completed).toHaveLength(1);
+
+  expect(scheduler.stepToNextEvent()).toBe(true);
+  expect(scheduler.getState().time).toBe(10.4);
+  expect(scheduler.getState().completed).toHaveLength(2);
+
+  // Nothing left to happen
+  expect(scheduler.stepToNextEvent()).toBe(false);
+  expect(scheduler.getState().time).toBe(10.4);
+});
+
+test('steps to workload arrivals and auto admissions', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 10 } });
+  scheduler.startWorkload({ seed: 1, arrival: 'fixed', rate: 5 });
+
+  // Fixed rate 5 per 100 units: the first task arrives at 20 and, with credit built up, is admitted at once
+  scheduler.stepToNextEvent();
+  const { time, queue, subQueues } = scheduler.getState();
+  expect(time).toBe(20);
+  expect(queue).toEqual([]);
+  const admitted = [...subQueues.high1, ...subQueues.regular1];
+  expect(admitted.map(task => [task.arrivedAt, task.admittedAt])).toEqual([[20, 20]]);
+});
+
+test('does not step to auto admissions while the waiting tasks are blocked', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'], admissionControl: { auto: true, rate: 10 } });
+  scheduler.enqueue({ duration: 30 });
+  scheduler.admit();
+  scheduler.enqueue({ duration: 5, dependsOn: [1] });
+
+  // Task 2 waits for task 1, so the next event is its completion, not an admission attempt
+  scheduler.stepToNextEvent();
+  const { time, completed, queue } = scheduler.getState();
+  expect(time).toBe(30);
+  expect(completed.map(task => task.id)).toEqual([1]);
+  expect(queue.map(task => task.id)).toEqual([2]);
+});
+
+test('idle queues steal the last task from the busiest queue of the same group', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1'],
+    newQueueGracePeriod: 0,
+  });
+  [10, 11, 12].forEach(value => scheduler.enqueue({ duration: value, type: 'high' }));
+  [40, 40].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3, 4, 5].forEach(() => scheduler.admit());
+
+  scheduler.addQueue('high');
+  scheduler.addQueue('high');
+  scheduler.tick(1);
+
+  let subQueues = scheduler.getState().subQueues;
+  expect(durations(subQueues.high1)).toEqual([10]);
+  expect(durations(subQueues.high2)).toEqual([12]);
+  expect(durations(subQueues.high3)).toEqual([11]);
+
+  // Idle high queues never take regular work
+  for (let i = 0; i < 12; i++) scheduler.tick(1);
+  subQueues = scheduler.getState().subQueues;
+  expect(durations(subQueues.high1)).toEqual([]);
+  expect(durations(subQueues.regular1)).toEqual([40, 40]);
+});
+
+test('newly created queues do not steal work during their grace period', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'], newQueueGracePeriod: 10 });
+  [20, 20, 20].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3].forEach(() => scheduler.admit());
+
+  const name = scheduler.addQueue('regular');
+  expect(name).toBe('regular2');
+  expect(scheduler.getState().newlyCreatedQueues.has('regular2')).toBe(true);
+
+  scheduler.tick(5);
+  expect(remaining(scheduler.getState().subQueues.regular2)).toEqual([]);
+
+  scheduler.tick(5);
+  expect(remaining(scheduler.getState().subQueues.regular2)).toEqual([20]);
+});
+
+test('removing a queue moves its work to the remaining queues of the group', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1', 'regular2'] });
+  [30, 20, 5].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3].forEach(() => scheduler.admit());
+  scheduler.tick(2);
+
+  expect(scheduler.removeQueue('regular')).toBe(true);
+
+  const { groups, subQueues, progress } = scheduler.getState();
+  expect(groups.regular).toEqual(['regular1']);
+  expect(subQueues.regular2).toBeUndefined();
+  expect(progress.regular2).toBeUndefined();
+  // regular2 was processing 20 (18 left) with 5 waiting behind it
+  expect(remaining(subQueues.regular1)).toEqual([28, 18, 5]);
+  expect(subQueues.regular1[1].queues).toEqual(['regular2', 'regular1']);
+});
+
+test('keeps at least one queue per group', () => {
+  const scheduler = createScheduler();
+  expect(scheduler.removeQueue('high')).toBe(false);
+  expect(scheduler.getState().groups.high).toEqual(['high1']);
+});
+
+test('removing a specific queue spreads its tasks without losing or duplicating any', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1', 'regular2', 'regular3'] });
+  [10, 10, 10, 10, 10, 10].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3, 4, 5, 6].forEach(() => scheduler.admit());
+  scheduler.tick(2);
+
+  expect(scheduler.removeQueue('regular2')).toBe(true);
+
+  const { groups, subQueues, queueStatus, events } = scheduler.getState();
+  expect(groups.regular).toEqual(['regular1', 'regular3']);
+  expect(queueStatus.regular2).toBeUndefined();
+  const ids = Object.values(subQueues).flat().map(task => task.id).sort((a, b) => a - b);
+  expect(ids).toEqual([1, 2, 3, 4, 5, 6]);
+  expect(subQueues.regular1.length + subQueues.regular3.length).toBe(6);
+
+  // The interrupted task keeps its remaining work and history
+  const moved = events.filter(event => event.type === 'moved');
+  expect(moved.map(event => event.from)).toEqual(['regular2', 'regular2']);
+  const interrupted = Object.values(subQueues).flat().find(task => task.id === moved[0].taskId);
+  expect(interrupted.remaining).toBe(8);
+  expect(interrupted.queues[0]).toBe('regular2');
+});
+
+test('queue names are never reused after a removal', () => {
+  const scheduler = createScheduler();
+  scheduler.removeQueue('regular2');
+  expect(scheduler.addQueue('regular')).toBe('regular5');
+  scheduler.removeQueue('regular5');
+  expect(scheduler.addQueue('regular')).toBe('regular6');
+
+  const { groups, queueSettings } = scheduler.getState();
+  expect(groups.regular).toEqual(['regular1', 'regular3', 'regular4', 'regular6']);
+  expect(queueSettings.regular6.title).toBe('Regular Priority Queue 6');
+});
+
+test('a draining queue finishes its active task, then disappears', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1', 'regular2'], admissionPolicy: 'roundRobin' });
+  [10, 10, 10, 10].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2, 3, 4].forEach(() => scheduler.admit());
+  scheduler.tick(2);
+
+  expect(scheduler.drainQueue('regular2')).toBe(true);
+  let state = scheduler.getState();
+  expect(state.queueStatus.regular2).toBe('draining');
+  expect(remaining(state.subQueues.regular2)).toEqual([8]);
+  expect(remaining(state.subQueues.regular1)).toEqual([8, 10, 10]);
+
+  // The last accepting queue of a group cannot drain, and draining queues take no new work
+  expect(scheduler.drainQueue('regular1')).toBe(false);
+  scheduler.enqueue({ duration: 5, type: 'normal' });
+  scheduler.admit();
+  expect(scheduler.getState().subQueues.regular1).toHaveLength(4);
+
+  scheduler.tick(8);
+  state = scheduler.getState();
+  expect(state.groups.regular).toEqual(['regular1']);
+  expect(state.completed.map(task => task.queues)).toContainEqual(['regular2']);
+});
+
+test('a paused queue makes no progress and takes no work until resumed', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1', 'regular2'] });
+  scheduler.enqueue({ duration: 10, type: 'normal' });
+  scheduler.admit();
+  scheduler.tick(2);
+
+  scheduler.pauseQueue('regular1');
+  scheduler.tick(4);
+  expect(scheduler.getState().progress.regular1).toBe(8);
+
+  scheduler.enqueue({ duration: 1, type: 'normal' });
+  scheduler.admit();
+  expect(remaining(scheduler.getState().subQueues.regular2)).toEqual([1]);
+
+  scheduler.resumeQueue('regular1');
+  scheduler.tick(4);
+  const { progress, queueStatus } = scheduler.getState();
+  expect(queueStatus.regular1).toBe('active');
+  expect(progress.regular1).toBe(4);
+});
+
+test('processes all admitted work deterministically', () => {
+  const run = () => {
+    const scheduler = createScheduler();
+    [12, 40, 7, 33, 25, 18, 60, 3].forEach((value, i) => {
+      scheduler.enqueue({ duration: value, type: i % 3 === 0 ? 'high' : 'normal' });
+      scheduler.admit();
+    });
+    const ticks = runToCompletion(scheduler);
+    return { ticks, state: scheduler.getState() };
+  };
+
+  const first = run();
+  const second = run();
+  expect(first.ticks).toBe(second.ticks);
+  expect(first.state.time).toBe(second.state.time);
+  expect(sumTasks(Object.values(first.state.subQueues).flat())).toBe(0);
+});
+
+test('MLFQ demotes high priority tasks that use up their quantum', () => {
+  const scheduler = createScheduler({
+    regularPriorityQueues: ['regular1'],
+    mlfq: { enabled: true, quantum: 5 },
+  });
+  scheduler.enqueue({ duration: 12, type: 'high' });
+  scheduler.admit();
+
+  for (let i = 0; i < 5; i++) scheduler.tick(1);
+
+  const { subQueues, progress } = scheduler.getState();
+  expect(remaining(subQueues.high1)).toEqual([]);
+  // The demoted task keeps its remaining duration
+  expect(remaining(subQueues.regular1)).toEqual([7]);
+  expect(progress.regular1).toBe(7);
+});
+
+test('MLFQ promotes regular tasks that wait longer than the aging threshold', () => {
+  const scheduler = createScheduler({
+    regularPriorityQueues: ['regular1'],
+    mlfq: { enabled: true, quantum: 50, agingThreshold: 10, boostInterval: 1000 },
+  });
+  [40, 8].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2].forEach(() => scheduler.admit());
+
+  for (let i = 0; i < 9; i++) scheduler.tick(1);
+  expect(durations(scheduler.getState().subQueues.regular1)).toEqual([40, 8]);
+
+  scheduler.tick(1);
+  const { subQueues } = scheduler.getState();
+  expect(durations(subQueues.regular1)).toEqual([40]);
+  expect(durations(subQueues.high1)).toEqual([8]);
+});
+
+test('MLFQ priority boost moves all regular work to the high priority queues', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1', 'high2'],
+    regularPriorityQueues: ['regular1'],
+    mlfq: { enabled: true, quantum: 100, agingThreshold: 100, boostInterval: 10 },
+  });
+  [30, 20].forEach(value => scheduler.enqueue({ duration: value, type: 'normal' }));
+  [1, 2].forEach(() => scheduler.admit());
+
+  for (let i = 0; i < 10; i++) scheduler.tick(1);
+
+  const { subQueues } = scheduler.getState();
+  expect(remaining(subQueues.regular1)).toEqual([]);
+  expect(remaining(subQueues.high1)).toEqual([20]);
+  expect(remaining(subQueues.high2)).toEqual([20]);
+});
+
+test('MLFQ has no effect while disabled', () => {
+  const scheduler = createScheduler({ mlfq: { quantum: 5 } });
+  scheduler.enqueue({ duration: 12, type: 'high' });
+  scheduler.admit();
+
+  for (let i = 0; i < 5; i++) scheduler.tick(1);
+  expect(durations(scheduler.getState().subQueues.high1)).toEqual([12]);
+  expect(() => scheduler.setMlfq({ quantum: 0 })).toThrow('MLFQ quantum must be positive');
+});
+
+test('tasks keep their identity, timestamps and queue history', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'] });
+  const firstId = scheduler.enqueue({ duration: 4, type: 'normal', label: 'build' });
+  const secondId = scheduler.enqueue({ duration: 4, type: 'normal' });
+  expect(secondId).toBe(firstId + 1);
+
+  scheduler.tick(1);
+  scheduler.admit();
+  scheduler.admit();
+
+  let { queue, subQueues } = scheduler.getState();
+  expect(queue).toEqual([]);
+  expect(subQueues.regular1.map(task => task.id)).toEqual([firstId, secondId]);
+  expect(subQueues.regular1[0]).toMatchObject({
+    label: 'build',
+    type: 'regular',
+    duration: 4,
+    remaining: 4,
+    arrivedAt: 0,
+    admittedAt: 1,
+    startedAt: 1,
+    finishedAt: null,
+    queues: ['regular1'],
+  });
+  expect(subQueues.regular1[1].label).toBe(`T${secondId}`);
+
+  for (let i = 0; i < 8; i++) scheduler.tick(1);
+
+  const { completed } = scheduler.getState();
+  expect(completed.map(task => task.id)).toEqual([firstId, secondId]);
+  expect(completed[0]).toMatchObject({ startedAt: 1, finishedAt: 5, remaining: 0 });
+  expect(completed[1]).toMatchObject({ startedAt: 5, finishedAt: 9, remaining: 0 });
+});
+
+test('snapshots do not share mutable task records with the engine', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 10, type: 'high' });
+  scheduler.admit();
+
+  const before = scheduler.getState();
+  scheduler.tick(1);
+
+  expect(before.subQueues.high1[0].remaining).toBe(10);
+  expect(scheduler.getState().subQueues.high1[0].remaining).toBe(9);
+});
+
+test('records execution intervals and work-stealing moves for the timeline', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1'],
+    newQueueGracePeriod: 0,
+  });
+  [5, 8].forEach(duration => scheduler.enqueue({ duration, type: 'normal' }));
+  [1, 2].forEach(() => scheduler.admit());
+  scheduler.tick(2);
+  scheduler.addQueue('regular');
+  scheduler.tick(1);
+
+  let { timeline, migrations } = scheduler.getState();
+  expect(migrations).toEqual([{ time: 3, taskId: 2, label: 'T2', from: 'regular1', to: 'regular2' }]);
+  expect(timeline).toEqual([
+    { queue: 'regular1', taskId: 1, label: 'T1', type: 'regular', start: 0, end: null },
+    { queue: 'regular2', taskId: 2, label: 'T2', type: 'regular', start: 3, end: null },
+  ]);
+
+  for (let i = 0; i < 8; i++) scheduler.tick(1);
+  timeline = scheduler.getState().timeline;
+  expect(timeline).toEqual([
+    { queue: 'regular1', taskId: 1, label: 'T1', type: 'regular', start: 0, end: 5 },
+    { queue: 'regular2', taskId: 2, label: 'T2', type: 'regular', start: 3, end: 11 },
+  ]);
+});
+
+test('auto-admit admits tasks from the main queue at the configured rate', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 20 } });
+  [10, 10, 10].forEach(duration => scheduler.enqueue({ duration, type: 'normal' }));
+
+  for (let i = 0; i < 4; i++) scheduler.tick(1);
+  expect(scheduler.getState().queue).toHaveLength(3);
+
+  scheduler.tick(1);
+  expect(scheduler.getState().queue).toHaveLength(2);
+
+  for (let i = 0; i < 5; i++) scheduler.tick(1);
+  expect(scheduler.getState().queue).toHaveLength(1);
+  // The first admitted task has been running since it was admitted
+  expect(scheduler.getState().progress.regular1).toBe(5);
+});
+
+test('holds the head of the main queue when its group is at capacity', () => {
+  const scheduler = createScheduler({ admissionControl: { groupCapacity: { high: 1 } } });
+  [10, 10].forEach(duration => scheduler.enqueue({ duration, type: 'high' }));
+  scheduler.enqueue({ duration: 10, type: 'normal' });
+
+  expect(scheduler.admit()).toBe(true);
+  expect(scheduler.admit()).toBe(false);
+  // Head-of-line blocking: the normal task behind the held one waits too
+  const { queue, rejected } = scheduler.getState();
+  expect(queue.map(task => task.type)).toEqual(['high', 'regular']);
+  expect(rejected).toEqual([]);
+});
+
+test('rejects tasks that would exceed the maximum backlog', () => {
+  const scheduler = createScheduler({ admissionControl: { maxBacklog: 25, whenFull: 'reject' } });
+  [10, 20, 15].forEach(duration => scheduler.enqueue({ duration, type: 'normal' }));
+
+  expect(scheduler.admit()).toBe(true);
+  expect(scheduler.admit()).toBe(false);
+  expect(scheduler.admit()).toBe(true);
+
+  const { queue, rejected } = scheduler.getState();
+  expect(queue).toEqual([]);
+  expect(rejected.map(task => [task.duration, task.rejectedAt])).toEqual([[20, 0]]);
+});
+
+test('validates admission control settings', () => {
+  const scheduler = createScheduler();
+  scheduler.setAdmissionControl({ groupCapacity: { regular: 3 } });
+  expect(scheduler.getState().admissionControl.groupCapacity).toEqual({ high: null, regular: 3 });
+
+  expect(() => scheduler.setAdmissionControl({ rate: 0 })).toThrow('Admission rate must be positive');
+  expect(() => scheduler.setAdmissionControl({ whenFull: 'drop' })).toThrow('Unknown full queue action');
+  expect(() => scheduler.setAdmissionControl({ maxBacklog: -1 })).toThrow('Admission limits');
+});
+
+test('an imported snapshot continues exactly like the original run', () => {
+  const original = createScheduler({ admissionControl: { auto: true, rate: 20 } });
+  original.startWorkload({ seed: 7, rate: 8 });
+  original.addQueue('regular');
+  original.setDiscipline('regular1', { id: 'roundRobin', quantum: 5 });
+  original.advance(150);
+
+  const restored = createScheduler();
+  // Snapshots must survive being written to storage
+  restored.importState(JSON.parse(JSON.stringify(original.exportState())));
+  expect(restored.getState()).toEqual(original.getState());
+
+  original.advance(200);
+  restored.advance(200);
+  expect(restored.getState()).toEqual(original.getState());
+});
+
+test('rejects snapshots it cannot read', () => {
+  const scheduler = createScheduler();
+  const snapshot = scheduler.exportState();
+
+  expect(() => scheduler.importState({ ...snapshot, version: 99 })).toThrow('Unsupported snapshot version');
+  const { subQueues, ...incomplete } = snapshot;
+  expect(() => scheduler.importState(incomplete)).toThrow('Invalid snapshot: missing subQueues');
+  expect(() => scheduler.importState({ ...snapshot, admissionPolicy: 'fastest' })).toThrow('Unknown admission policy');
+});
+
+test('queues process work at their speed multiplier', () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1'],
+    queueSettings: { regular1: { title: 'Fast Worker', speed: 2 } },
+  });
+  scheduler.enqueue({ duration: 20, type: 'normal' });
+  scheduler.admit();
+
+  scheduler.advance(10);
+  const { completed, queueSettings } = scheduler.getState();
+  expect(completed.map(task => task.finishedAt)).toEqual([10]);
+  expect(queueSettings.regular1).toEqual({ title: 'Fast Worker', capacity: null, speed: 2 });
+  expect(queueSettings.high1.title).toBe('High Priority Queue 1');
+});
+
+test('admission skips full queues and holds tasks when the whole group is full', () => {
+  const scheduler = createScheduler({
+    regularPriorityQueues: ['regular1', 'regular2'],
+    queueSettings: { regular1: { capacity: 1 }, regular2: { capacity: 2 } },
+  });
+  [5, 50, 50, 50].forEach(duration => scheduler.enqueue({ duration, type: 'normal' }));
+
+  expect([1, 2, 3, 4].map(() => scheduler.admit())).toEqual([true, true, true, false]);
+  const { subQueues, queue } = scheduler.getState();
+  // regular1 would have the least work after its first task, but it is full
+  expect(durations(subQueues.regular1)).toEqual([5]);
+  expect(durations(subQueues.regular2)).toEqual([50, 50]);
+  expect(durations(queue)).toEqual([50]);
+});
+
+test('work is stolen from the slowest to drain queue by the fastest idle queue', () => {
+  const scheduler = createScheduler({
+    regularPriorityQueues: ['regular1', 'regular2'],
+    admissionPolicy: 'roundRobin',
+    newQueueGracePeriod: 0,
+    queueSettings: { regular1: { speed: 0.5 } },
+  });
+  [40, 10, 30, 30].forEach(duration => scheduler.enqueue({ duration, type: 'normal' }));
+  [1, 2, 3, 4].forEach(() => scheduler.admit());
+  // regular1: 40 + 30 at half speed (140 units), regular2: 10 + 30 (40 units)
+  scheduler.addQueue('regular', { speed: 3 });
+  scheduler.addQueue('regular', { speed: 1 });
+  scheduler.advance(0.4);
+
+  const { migrations } = scheduler.getState();
+  expect(migrations.map(({ from, to }) => [from, to])).toEqual([['regular1', 'regular3'], ['regular2', 'regular4']]);
+});
+
+test('queues can be renamed, resized, sped up and moved between groups', () => {
+  const scheduler = createScheduler({ highPriorityQueues: ['high1'], regularPriorityQueues: ['regular1', 'regular2'] });
+  scheduler.updateQueue('regular2', { title: 'GPU node', capacity: 4, speed: 1.5, group: 'high' });
+
+  const { groups, queueSettings } = scheduler.getState();
+  expect(groups).toEqual({ high: ['high1', 'regular2'], regular: ['regular1'] });
+  expect(queueSettings.regular2).toEqual({ title: 'GPU node', capacity: 4, speed: 1.5 });
+
+  expect(() => scheduler.updateQueue('regular1', { group: 'high' })).toThrow('Every priority group needs at least one queue');
+  expect(() => scheduler.updateQueue('regular1', { speed: 0 })).toThrow('Queue speed must be positive');
+  expect(() => scheduler.updateQueue('regular1', { capacity: 1.5 })).toThrow('Queue capacity must be null or a positive integer');
+  expect(() => scheduler.updateQueue('regular1', { title: ' ' })).toThrow('Queue name must not be empty');
+  expect(() => scheduler.addQueue('high', { speed: -1 })).toThrow('Queue speed must be positive');
+
+  scheduler.enqueue({ duration: 10, type: 'high' });
+  scheduler.admit();
+  expect(() => scheduler.updateQueue('high1', { group: 'regular' })).toThrow('Only empty queues can change priority group');
+});
+
+/**
+ * One high and two regular queues sharing a single worker, with a regular task of 10 running
+ * for 4 time units before a high task of 4 arrives
+ */
+const withSharedWorker = (mode) => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1', 'regular2'],
+    processors: { mode, workers: 1 },
+    stealing: { strategy: 'off' },
+  });
+  [10, 10].forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  scheduler.advance(4);
+  scheduler.enqueue({ duration: 4, type: 'high' });
+  scheduler.admit();
+  return scheduler;
+};
+
+test('a high task takes the shared worker from a running regular task, which keeps its progress', () => {
+  const scheduler = withSharedWorker('preemptive');
+  let state = scheduler.getState();
+  expect(state.workerQueues).toEqual(['high1']);
+  expect(state.progress.regular1).toBe(6);
+  expect(state.progress.regular2).toBe(0);
+
+  scheduler.advance(4);
+  state = scheduler.getState();
+  expect(state.subQueues.high1).toEqual([]);
+  expect(state.workerQueues).toEqual(['regular1']);
+  expect(state.progress.regular1).toBe(6);
+  expect(state.events.filter(event => event.queue === 'regular1').map(event => event.type))
+    .toEqual(['admitted', 'started', 'preempted', 'resumed']);
+});
+
+test('strict priority lets the running task finish before the worker goes to the most urgent work', () => {
+  const scheduler = withSharedWorker('strict');
+  scheduler.advance(4);
+  let state = scheduler.getState();
+  expect(state.workerQueues).toEqual(['regular1']);
+  expect(state.progress.regular1).toBe(2);
+  expect(state.progress.high1).toBe(0);
+
+  scheduler.advance(2);
+  state = scheduler.getState();
+  expect(state.workerQueues).toEqual(['high1']);
+  expect(state.progress.high1).toBe(4);
+  expect(state.progress.regular2).toBe(0);
+});
+
+test('validates processor settings', () => {
+  const scheduler = createScheduler();
+  expect(() => scheduler.setProcessors({ mode: 'gang' })).toThrow('Unknown processor mode: gang');
+  expect(() => scheduler.setProcessors({ mode: 'strict', workers: 0 })).toThrow('Workers must be a positive integer: 0');
+  expect(() => createScheduler({ processors: { mode: 'gang' } })).toThrow('Unknown processor mode: gang');
+});
+
+/**
+ * Two regular queues with tasks of 10 and 30 in regular1 and of 20 and 40 in regular2, after
+ * 4 units of work on the first task of each
+ */
+const withQueuedTasks = () => {
+  const scheduler = createScheduler({
+    highPriorityQueues: ['high1'],
+    regularPriorityQueues: ['regular1', 'regular2'],
+    admissionPolicy: 'roundRobin',
+    stealing: { strategy: 'off' },
+  });
+  [10, 20, 30, 40].forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  scheduler.advance(4);
+  return scheduler;
+};
+
+const ids = (tasks) => tasks.map(task => task.id);
+
+test('moves and reorders tasks by hand, keeping the active task in front', () => {
+  const scheduler = withQueuedTasks();
+  scheduler.moveTask(4, 'regular1', 0);
+  expect(ids(scheduler.getState().subQueues.regular1)).toEqual([1, 4, 3]);
+
+  // Moving the active task stops it; the next task of its old queue starts
+  scheduler.moveTask(1, 'regular2');
+  let state = scheduler.getState();
+  expect(ids(state.subQueues.regular1)).toEqual([4, 3]);
+  expect(state.progress.regular1).toBe(40);
+  expect(ids(state.subQueues.regular2)).toEqual([2, 1]);
+  expect(remaining(state.subQueues.regular2)).toEqual([16, 6]);
+  expect(state.subQueues.regular2[1].queues).toEqual(['regular1', 'regular2']);
+
+  scheduler.enqueue({ duration: 5 });
+  scheduler.enqueue({ duration: 6 });
+  scheduler.moveTask(6, null, 0);
+  state = scheduler.getState();
+  expect(ids(state.queue)).toEqual([6, 5]);
+  expect(state.events.filter(event => event.type === 'movedByHand').map(({ from, to }) => [from, to]))
+    .toEqual([['regular2', 'regular1'], ['regular1', 'regular2'], [null, null]]);
+  expect(state.interventions.map(({ taskId, action }) => [taskId, action])).toEqual([[4, 'moved'], [1, 'moved'], [6, 'moved']]);
+});
+
+test('rejects manual moves that skip admission or leave the task class', () => {
+  const scheduler = withQueuedTasks();
+  scheduler.enqueue({ duration: 5, type: 'high' });
+  scheduler.enqueue({ duration: 5 });
+  scheduler.admit();
+
+  expect(() => scheduler.moveTask(6, 'regular1')).toThrow('Task #6 must be admitted before it can be moved to a queue');
+  expect(() => scheduler.moveTask(3, null)).toThrow('Task #3 has already been admitted');
+  expect(() => scheduler.moveTask(5, 'regular1')).toThrow('Task #5 does not belong in a queue of class regular');
+  expect(() => scheduler.moveTask(99, null)).toThrow('Unknown or finished task: 99');
+  scheduler.updateQueue('regular2', { capacity: 2 });
+  expect(() => scheduler.moveTask(3, 'regular2')).toThrow('Queue regular2 is full');
+  scheduler.updateQueue('regular2', { capacity: null });
+  scheduler.pauseQueue('regular2');
+  expect(() => scheduler.moveTask(3, 'regular2')).toThrow('Queue regular2 is paused');
+  scheduler.resumeQueue('regular2');
+  scheduler.drainQueue('regular2');
+  expect(() => scheduler.moveTask(3, 'regular2')).toThrow('Queue regular2 is draining');
+  expect(scheduler.getState().interventions).toEqual([]);
+});
+
+test('cancelled tasks are kept apart and their dependents are rejected', () => {
+  const scheduler = withQueuedTasks();
+  scheduler.cancelTask(1);
+  let state = scheduler.getState();
+  expect(ids(state.subQueues.regular1)).toEqual([3]);
+  expect(state.progress.regular1).toBe(30);
+  expect(state.cancelled.map(({ id, cancelledAt, remaining: left }) => [id, cancelledAt, left])).toEqual([[1, 4, 6]]);
+
+  scheduler.enqueue({ duration: 5, dependsOn: [4] });
+  scheduler.cancelTask(4);
+  scheduler.admit();
+  state = scheduler.getState();
+  expect(ids(state.rejected)).toEqual([5]);
+  expect(state.events.filter(event => event.type === 'cancelled').map(({ taskId, queue }) => [taskId, queue]))
+    .toEqual([[1, 'regular1'], [4, 'regular2']]);
+  expect(() => scheduler.cancelTask(1)).toThrow('Unknown or finished task: 1');
+});
+
+test('edits the duration and priority of pending tasks by hand', () => {
+  const scheduler = withQueuedTasks();
+  scheduler.updateTask(1, { duration: 20 });
+  let state = scheduler.getState();
+  expect(remaining(state.subQueues.regular1)).toEqual([16, 30]);
+  expect(state.progress.regular1).toBe(16);
+  expect(state.initialDuration.regular1).toBe(20);
+  expect(() => scheduler.updateTask(1, { duration: 4 })).toThrow('Duration must be more than the work already done (4): 4');
+  expect(() => scheduler.updateTask(3, { duration: 0 })).toThrow('Duration must be positive: 0');
+  expect(() => scheduler.updateTask(3, { type: 'urgent' })).toThrow('Unknown task type: urgent');
+
+  // A new class takes the task to a queue of that class
+  scheduler.updateTask(3, { type: 'high' });
+  state = scheduler.getState();
+  expect(ids(state.subQueues.regular1)).toEqual([1]);
+  expect(ids(state.subQueues.high1)).toEqual([3]);
+  expect(state.events.filter(event => event.type === 'edited').map(({ taskId, changes }) => [taskId, changes])).toEqual([
+    [1, { duration: { from: 10, to: 20 } }],
+    [3, { type: { from: 'regular', to: 'high' } }],
+  ]);
+  expect(state.interventions.map(({ action }) => action)).toEqual(['edited', 'edited']);
+  expect(checkInvariants(state)).toEqual([]);
+});
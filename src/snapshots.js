@@ -0,0 +1,131 @@
+/**
+ * Saving and Sharing Snapshots
+ *
+ * Stores engine snapshots (see scheduler.exportState()) in three places:
+ * - localStorage: a named collection of full snapshots that survives page refreshes
+ * - JSON files: full snapshots downloaded and uploaded by the user
+ * - URL hash: a compact scenario (topology, pending tasks, in-flight progress, policies)
+ *   small enough to share as a link; completed work, history and the event log are left out
+ */
+
+import { downloadFile } from './download';
+
+const STORAGE_KEY = 'scheduler-snapshots';
+
+const HASH_PREFIX = '#scenario=';
+
+/**
+ * Task record fields in the order they are written to compact task tuples
+ */
+const TASK_FIELDS = ['id', 'label', 'type', 'duration', 'remaining', 'serviceTime', 'arrivedAt', 'admittedAt', 'startedAt', 'finishedAt', 'rejectedAt', 'cancelledAt', 'queues', 'dependsOn', 'deadline', 'period'];
+
+// ==================== LOCAL STORAGE ====================
+
+const readStore = (storage) => JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+
+const writeStore = (storage, store) => storage.setItem(STORAGE_KEY, JSON.stringify(store));
+
+/**
+ * Lists the saved snapshots, most recent first
+ * @returns {Array} - [{ name, savedAt }] where savedAt is a Date.now() timestamp
+ */
+export const listSnapshots = (storage = window.localStorage) => Object.entries(readStore(storage))
+  .map(([name, { savedAt }]) => ({ name, savedAt }))
+  .sort((a, b) => b.savedAt - a.savedAt);
+
+/**
+ * Saves a snapshot under a name, replacing any snapshot with the same name
+ */
+export const saveSnapshot = (name, snapshot, storage = window.localStorage) => {
+  if (!name.trim()) throw new Error('Snapshot name is required');
+  writeStore(storage, { ...readStore(storage), [name.trim()]: { savedAt: Date.now(), snapshot } });
+};
+
+/**
+ * Returns a saved snapshot, or null if there is none with that name
+ */
+export const loadSnapshot = (name, storage = window.localStorage) => {
+  const entry = readStore(storage)[name];
+  return entry ? entry.snapshot : null;
+};
+
+export const deleteSnapshot = (name, storage = window.localStorage) => {
+  const { [name]: removed, ...rest } = readStore(storage);
+  writeStore(storage, rest);
+};
+
+// ==================== JSON FILES ====================
+
+/**
+ * Downloads a snapshot as a JSON file
+ */
+export const downloadSnapshot = (snapshot, fileName = 'scheduler-snapshot.json') => {
+  downloadFile(JSON.stringify(snapshot, null, 2), fileName, 'application/json');
+};
+
+/**
+ * Reads a snapshot from an uploaded JSON file
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} - Parsed snapshot
+ */
+export const readSnapshotFile = (file) => file.text().then(text => JSON.parse(text));
+
+// ==================== URL HASH ====================
+
+const toTuple = (task) => TASK_FIELDS.map(field => task[field]);
+
+const fromTuple = (tuple) => Object.fromEntries(TASK_FIELDS.map((field, index) => [field, tuple[index]]));
+
+/**
+ * History and diagnostics left out of shared links to keep them short, with the empty value a
+ * shared scenario starts from
+ */
+const emptyHistory = () => ({
+  completed: [],
+  rejected: [],
+  cancelled: [],
+  timeline: [],
+  migrations: [],
+  interventions: [],
+  events: [],
+  violations: [],
+  logBase: null,
+});
+
+/**
+ * Encodes the scenario part of a snapshot into a URL hash
+ * Dependencies on tasks that are no longer pending are dropped along with those tasks
+ * @param {Object} snapshot - Full snapshot from exportState()
+ * @returns {string} - Hash starting with '#scenario='
+ */
+export const encodeScenario = (snapshot) => {
+  const { queue, subQueues, ...state } = snapshot;
+  const rest = Object.fromEntries(Object.entries(state).filter(([field]) => !(field in emptyHistory())));
+  const pending = new Set([...queue, ...Object.values(subQueues).flat()].map(task => task.id));
+  const encode = (task) => toTuple({ ...task, dependsOn: task.dependsOn.filter(id => pending.has(id)) });
+  const scenario = {
+    ...rest,
+    queue: queue.map(encode),
+    subQueues: Object.fromEntries(Object.entries(subQueues).map(([name, tasks]) => [name, tasks.map(encode)])),
+  };
+  return HASH_PREFIX + encodeURIComponent(JSON.stringify(scenario));
+};
+
+/**
+ * Decodes a URL hash written by encodeScenario() back into a snapshot with empty history
+ * The scenario becomes the base of the snapshot's event log, so the run can still be replayed
+ * @param {string} hash - Location hash
+ * @returns {Object|null} - Snapshot for importState(), or null if the hash holds no scenario
+ */
+export const decodeScenario = (hash) => {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+  const { queue, subQueues, ...rest } = JSON.parse(decodeURIComponent(hash.slice(HASH_PREFIX.length)));
+  const snapshot = {
+    ...rest,
+    queue: queue.map(fromTuple),
+    subQueues: Object.fromEntries(Object.entries(subQueues).map(([name, tuples]) => [name, tuples.map(fromTuple)])),
+    ...emptyHistory(),
+  };
+  return { ...snapshot, logBase: snapshot };
+};
@@ -0,0 +1,53 @@
+import { createScheduler } from './scheduler';
+import { listSnapshots, saveSnapshot, loadSnapshot, deleteSnapshot, encodeScenario, decodeScenario } from './snapshots';
+
+beforeEach(() => window.localStorage.clear());
+
+test('saves, lists, loads and deletes named snapshots', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 10, type: 'normal' });
+  saveSnapshot('first', scheduler.exportState());
+  saveSnapshot('second', scheduler.exportState());
+
+  expect(listSnapshots().map(entry => entry.name).sort()).toEqual(['first', 'second']);
+  expect(loadSnapshot('first').queue.map(task => task.duration)).toEqual([10]);
+  expect(loadSnapshot('missing')).toBeNull();
+
+  deleteSnapshot('first');
+  expect(listSnapshots().map(entry => entry.name)).toEqual(['second']);
+  expect(() => saveSnapshot('  ', scheduler.exportState())).toThrow('Snapshot name is required');
+});
+
+test('a shared scenario reproduces pending and in-flight work but not history', () => {
+  const original = createScheduler();
+  [30, 12, 45, 8].forEach(duration => original.enqueue({ duration, type: 'normal' }));
+  original.enqueue({ duration: 20, type: 'high' });
+  [1, 2, 3, 4].forEach(() => original.admit());
+  original.advance(10);
+
+  const hash = encodeScenario(original.exportState());
+  expect(hash.startsWith('#scenario=')).toBe(true);
+  // History and diagnostics stay out of the link
+  const scenario = JSON.parse(decodeURIComponent(hash.slice('#scenario='.length)));
+  ['completed', 'events', 'timeline', 'violations', 'logBase'].forEach(field => expect(scenario).not.toHaveProperty(field));
+
+  const shared = createScheduler();
+  shared.importState(decodeScenario(hash));
+  const { completed, timeline, queue, subQueues, progress } = shared.getState();
+  expect(completed).toEqual([]);
+  expect(queue).toEqual(original.getState().queue);
+  expect(subQueues).toEqual(original.getState().subQueues);
+  expect(progress).toEqual(original.getState().progress);
+  // Only the still running segments remain
+  expect(timeline.every(segment => segment.end === null)).toBe(true);
+
+  original.advance(100);
+  shared.advance(100);
+  expect(shared.getState().completed.map(task => [task.id, task.finishedAt]))
+    .toEqual(original.getState().completed.filter(task => task.finishedAt > 10).map(task => [task.id, task.finishedAt]));
+});
+
+test('ignores hashes without a scenario', () => {
+  expect(decodeScenario('')).toBeNull();
+  expect(decodeScenario('#section')).toBeNull();
+});
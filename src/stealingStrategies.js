@@ -0,0 +1,61 @@
+import { minBy } from './queueUtils';
+
+/**
+ * Work-Stealing Strategies
+ *
+ * A strategy decides which waiting tasks a thief queue takes from the busiest queue of its
+ * priority class. The active task (the first one) is never stolen.
+ *
+ * - pick(waiting): indices into the victim's waiting tasks (everything after the active
+ *   one) of the tasks to move, in queue order
+ * - busyThieves: optional, thieves do not have to be idle - the least loaded queue steals
+ *   whenever the imbalance exceeds the threshold (see DEFAULT_STEALING)
+ */
+
+/**
+ * Index of the waiting task with the most (score = -remaining) or least (score = remaining) work
+ */
+const indexBy = (waiting, score) => minBy(waiting.map((_, idx) => idx), idx => score(waiting[idx]));
+
+const lastTask = (waiting) => [waiting.length - 1];
+
+/**
+ * Registry of selectable strategies, keyed by strategy id
+ */
+export const STEALING_STRATEGIES = {
+  off: {
+    label: 'Off',
+    pick: () => [],
+  },
+  last: {
+    label: 'Last task',
+    pick: lastTask,
+  },
+  half: {
+    label: 'Steal half',
+    // The back half of the waiting tasks, rounded up
+    pick: (waiting) => waiting.map((_, idx) => idx).slice(Math.floor(waiting.length / 2)),
+  },
+  largest: {
+    label: 'Largest task',
+    pick: (waiting) => [indexBy(waiting, task => -task.remaining)],
+  },
+  smallest: {
+    label: 'Smallest task',
+    pick: (waiting) => [indexBy(waiting, task => task.remaining)],
+  },
+  threshold: {
+    label: 'Threshold (imbalance)',
+    busyThieves: true,
+    pick: lastTask,
+  },
+};
+
+export const DEFAULT_STEALING = {
+  // Strategy id, see STEALING_STRATEGIES
+  strategy: 'last',
+  // Imbalance in drain time between the busiest and the least loaded queue above which the threshold strategy steals
+  threshold: 50,
+  // Let idle queues take work from more urgent classes when their own class has none to spare
+  crossClass: false,
+};
@@ -0,0 +1,112 @@
+import { STEALING_STRATEGIES } from './stealingStrategies';
+import { createScheduler } from './scheduler';
+
+/**
+ * Original duration of each task in a queue
+ */
+const durations = (tasks) => tasks.map(task => task.duration);
+
+const waiting = [5, 30, 10, 20].map((remaining, idx) => ({ id: idx + 1, remaining }));
+
+test('strategies pick the waiting tasks to steal', () => {
+  expect(STEALING_STRATEGIES.off.pick(waiting)).toEqual([]);
+  expect(STEALING_STRATEGIES.last.pick(waiting)).toEqual([3]);
+  expect(STEALING_STRATEGIES.half.pick(waiting)).toEqual([2, 3]);
+  expect(STEALING_STRATEGIES.half.pick(waiting.slice(0, 3))).toEqual([1, 2]);
+  expect(STEALING_STRATEGIES.largest.pick(waiting)).toEqual([1]);
+  expect(STEALING_STRATEGIES.smallest.pick(waiting)).toEqual([0]);
+});
+
+/**
+ * One busy regular queue with the given tasks and a second, idle one that may steal right away
+ */
+const withIdleQueue = (stealing, tasks) => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'], newQueueGracePeriod: 0, stealing });
+  tasks.forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  scheduler.addQueue('regular');
+  scheduler.tick(0.4);
+  return scheduler;
+};
+
+test('stealing can be turned off', () => {
+  const scheduler = withIdleQueue({ strategy: 'off' }, [10, 20, 30]);
+  const { subQueues, migrations } = scheduler.getState();
+  expect(durations(subQueues.regular1)).toEqual([10, 20, 30]);
+  expect(subQueues.regular2).toEqual([]);
+  expect(migrations).toEqual([]);
+});
+
+test('steal half moves the back half of the waiting tasks at once', () => {
+  const scheduler = withIdleQueue({ strategy: 'half' }, [10, 20, 30, 40, 50]);
+  const { subQueues } = scheduler.getState();
+  expect(durations(subQueues.regular1)).toEqual([10, 20, 30]);
+  expect(durations(subQueues.regular2)).toEqual([40, 50]);
+});
+
+test('thieves take no more tasks than they have room for', () => {
+  const half = createScheduler({ regularPriorityQueues: ['regular1'], newQueueGracePeriod: 0, stealing: { strategy: 'half' } });
+  [10, 20, 30, 40, 50, 60, 70, 80, 90].forEach(duration => {
+    half.enqueue({ duration, type: 'normal' });
+    half.admit();
+  });
+  half.addQueue('regular', { capacity: 1 });
+  half.tick(0.4);
+  expect(durations(half.getState().subQueues.regular2)).toEqual([90]);
+
+  const threshold = createScheduler({
+    regularPriorityQueues: ['regular1'],
+    newQueueGracePeriod: 0,
+    stealing: { strategy: 'threshold', threshold: 0 },
+  });
+  [100, 50, 50, 50, 50, 50, 50].forEach(duration => {
+    threshold.enqueue({ duration, type: 'normal' });
+    threshold.admit();
+  });
+  threshold.addQueue('regular', { capacity: 2 });
+  threshold.tick(0.4);
+  expect(threshold.getState().subQueues.regular2).toHaveLength(2);
+});
+
+test('threshold stealing balances busy queues while the imbalance is large', () => {
+  const scheduler = createScheduler({ regularPriorityQueues: ['regular1'], newQueueGracePeriod: 0, stealing: { strategy: 'off' } });
+  [100, 50, 60].forEach(duration => {
+    scheduler.enqueue({ duration, type: 'normal' });
+    scheduler.admit();
+  });
+  scheduler.addQueue('regular');
+  scheduler.enqueue({ duration: 10, type: 'normal' });
+  scheduler.admit();
+
+  scheduler.setStealing({ strategy: 'threshold', threshold: 50 });
+
+  // 210 vs 10 moves 60, 150 vs 70 moves 50, then 100 vs 120 is balanced enough
+  const { subQueues } = scheduler.getState();
+  expect(durations(subQueues.regular1)).toEqual([100]);
+  expect(durations(subQueues.regular2)).toEqual([10, 60, 50]);
+});
+
+test('idle queues help more urgent classes only with cross-class stealing', () => {
+  const run = (crossClass) => {
+    const scheduler = createScheduler({ highPriorityQueues: ['high1'], regularPriorityQueues: ['regular1'], stealing: { crossClass } });
+    [10, 20, 30].forEach(duration => {
+      scheduler.enqueue({ duration, type: 'high' });
+      scheduler.admit();
+    });
+    return scheduler.getState().subQueues;
+  };
+
+  expect(durations(run(false).regular1)).toEqual([]);
+  const subQueues = run(true);
+  // The 20 is stolen as soon as it waits; by the time 30 arrives regular1 is busy itself
+  expect(durations(subQueues.high1)).toEqual([10, 30]);
+  expect(durations(subQueues.regular1)).toEqual([20]);
+});
+
+test('rejects unknown strategies and negative thresholds', () => {
+  const scheduler = createScheduler();
+  expect(() => scheduler.setStealing({ strategy: 'random' })).toThrow('Unknown stealing strategy: random');
+  expect(() => scheduler.setStealing({ threshold: -1 })).toThrow('Stealing threshold must be non-negative: -1');
+});
@@ -0,0 +1,51 @@
+/**
+ * Task Chip Interactions
+ *
+ * Props that make the task chips of the main queue and the queue cards interactive:
+ * - drag a chip onto another chip to put it before that task, or onto a queue's task list to
+ *   put it last (between queues or within one)
+ * - right-click a chip to open its task menu (see TaskMenu.js)
+ *
+ * Chips carry the task id in the drag data, so drops work across components.
+ */
+
+/**
+ * Drag data type holding the id of the dragged task
+ */
+export const TASK_DRAG_TYPE = 'application/x-task-id';
+
+/**
+ * Props for a chip that can be dragged and right-clicked
+ * @param {Object} task - Task record shown by the chip
+ * @param {Function} onMenu - Called with (task, { x, y }) on right-click
+ */
+export const draggableTask = (task, onMenu) => ({
+  draggable: true,
+  onDragStart: (e) => {
+    e.dataTransfer.setData(TASK_DRAG_TYPE, String(task.id));
+    e.dataTransfer.effectAllowed = 'move';
+  },
+  onContextMenu: (e) => {
+    e.preventDefault();
+    onMenu(task, { x: e.clientX, y: e.clientY });
+  },
+});
+
+/**
+ * Props for an element tasks can be dropped on
+ * @param {Function} onDrop - Called with (taskId, beforeTaskId) for a dropped task
+ * @param {number|null} beforeTaskId - Task the dropped one goes in front of, or null for the end
+ */
+export const taskDropTarget = (onDrop, beforeTaskId = null) => ({
+  onDragOver: (e) => {
+    if (e.dataTransfer.types.includes(TASK_DRAG_TYPE)) e.preventDefault();
+  },
+  onDrop: (e) => {
+    const taskId = Number(e.dataTransfer.getData(TASK_DRAG_TYPE));
+    if (!taskId) return;
+    // A chip inside a task list handles the drop itself
+    e.preventDefault();
+    e.stopPropagation();
+    if (taskId !== beforeTaskId) onDrop(taskId, beforeTaskId);
+  },
+});
@@ -0,0 +1,86 @@
+/**
+ * Task Batches and Presets
+ *
+ * Describes tasks with an exact duration, priority and label instead of the random durations of
+ * the add buttons, e.g. "20 normal tasks of 50":
+ * - batch: { duration, type, label, count }, expanded into count tasks (at most MAX_BATCH) for
+ *   scheduler.enqueueBatch(); with a label and more than one task, the tasks are numbered label.1, label.2, ...
+ * - preset: a textbook scenario made of batches, appended to the main queue in one go
+ */
+
+export const DEFAULT_BATCH = {
+  duration: 50,
+  // Task type: class id | 'high' | 'normal'
+  type: 'normal',
+  // Optional label; tasks without one are called T<id>
+  label: '',
+  count: 1,
+};
+
+/**
+ * Most tasks one batch may add, so a typo in the count cannot flood the main queue
+ */
+export const MAX_BATCH = 500;
+
+/**
+ * Registry of scenarios, keyed by preset id
+ * - batches: task batches in the order they join the main queue
+ * - hint: settings that make the effect visible
+ */
+export const TASK_PRESETS = {
+  convoy: {
+    label: 'Convoy effect',
+    description: 'One long task followed by many short ones: under FIFO the short tasks wait for the long one',
+    hint: 'Keep a single regular queue, then compare the mean wait under FIFO and SRTF',
+    batches: [
+      { duration: 120, type: 'normal', label: 'Long', count: 1 },
+      { duration: 5, type: 'normal', label: 'Short', count: 6 },
+    ],
+  },
+  starvation: {
+    label: 'Starvation',
+    description: 'A regular task behind a stream of high priority tasks that always goes first',
+    hint: 'Let higher classes preempt and watch Victim wait until every urgent task is done',
+    batches: [
+      { duration: 40, type: 'normal', label: 'Victim', count: 1 },
+      { duration: 30, type: 'high', label: 'Urgent', count: 12 },
+    ],
+  },
+};
+
+/**
+ * Expands a batch into tasks
+ * @param {Object} batch - Overrides for DEFAULT_BATCH
+ * @returns {Array} - count tasks { duration, type, label? } for scheduler.enqueueBatch()
+ */
+export function expandBatch(batch) {
+  const { duration, type, label, count } = { ...DEFAULT_BATCH, ...batch };
+  if (!(duration > 0)) {
+    throw new Error(`Duration must be positive: ${duration}`);
+  }
+  if (!(Number.isInteger(count) && count >= 1)) {
+    throw new Error(`Count must be a positive integer: ${count}`);
+  }
+  if (count > MAX_BATCH) {
+    throw new Error(`Count must be at most ${MAX_BATCH}: ${count}`);
+  }
+  const name = label.trim();
+  return Array.from({ length: count }, (_, index) => ({
+    duration,
+    type,
+    ...(name ? { label: count > 1 ? `${name}.${index + 1}` : name } : {}),
+  }));
+}
+
+/**
+ * Tasks of a preset, in the order they join the main queue
+ * @param {string} id - Preset id, see TASK_PRESETS
+ * @returns {Array} - Tasks { duration, type, label } for scheduler.enqueueBatch()
+ */
+export function presetTasks(id) {
+  const preset = TASK_PRESETS[id];
+  if (!preset) {
+    throw new Error(`Unknown task preset: ${id}`);
+  }
+  return preset.batches.flatMap(expandBatch);
+}
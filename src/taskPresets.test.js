@@ -0,0 +1,58 @@
+import { MAX_BATCH, TASK_PRESETS, expandBatch, presetTasks } from './taskPresets';
+import { createScheduler } from './scheduler';
+
+test('expands a batch into numbered tasks with the exact duration and priority', () => {
+  expect(expandBatch({ duration: 50, count: 3, label: 'Job' })).toEqual([
+    { duration: 50, type: 'normal', label: 'Job.1' },
+    { duration: 50, type: 'normal', label: 'Job.2' },
+    { duration: 50, type: 'normal', label: 'Job.3' },
+  ]);
+  expect(expandBatch({ duration: 7, type: 'high' })).toEqual([{ duration: 7, type: 'high' }]);
+  expect(expandBatch({ duration: 7, label: ' Solo ' })).toEqual([{ duration: 7, type: 'normal', label: 'Solo' }]);
+});
+
+test('rejects invalid batches', () => {
+  expect(() => expandBatch({ duration: 0 })).toThrow('Duration must be positive: 0');
+  expect(() => expandBatch({ duration: NaN })).toThrow('Duration must be positive: NaN');
+  expect(() => expandBatch({ count: 2.5 })).toThrow('Count must be a positive integer: 2.5');
+  expect(() => expandBatch({ count: 0 })).toThrow('Count must be a positive integer: 0');
+  expect(expandBatch({ count: MAX_BATCH })).toHaveLength(MAX_BATCH);
+  expect(() => expandBatch({ count: MAX_BATCH + 1 })).toThrow(`Count must be at most ${MAX_BATCH}: ${MAX_BATCH + 1}`);
+  expect(() => presetTasks('thrashing')).toThrow('Unknown task preset: thrashing');
+});
+
+test('presets append their tasks to the main queue in order', () => {
+  const scheduler = createScheduler();
+  scheduler.enqueue({ duration: 10 });
+  Object.keys(TASK_PRESETS).forEach(id => scheduler.enqueueBatch(presetTasks(id)));
+
+  const { queue } = scheduler.getState();
+  expect(queue).toHaveLength(1 + 7 + 13);
+  expect(queue.slice(0, 4).map(({ label, duration }) => [label, duration])).toEqual([['T1', 10], ['Long', 120], ['Short.1', 5], ['Short.2', 5]]);
+  expect(queue.filter(task => task.type === 'high').map(task => task.label)).toHaveLength(12);
+});
+
+test('a batch is added as one command, or not at all when any task is invalid', () => {
+  const scheduler = createScheduler();
+  expect(scheduler.enqueueBatch(expandBatch({ duration: 20, count: MAX_BATCH }))).toHaveLength(MAX_BATCH);
+  const { queue, events } = scheduler.getState();
+  expect(queue).toHaveLength(MAX_BATCH);
+  expect(events.filter(event => event.type === 'command').map(event => event.command)).toEqual(['enqueueBatch']);
+
+  expect(() => scheduler.enqueueBatch([{ duration: 5 }, { duration: 5, type: 'urgent' }])).toThrow('Unknown task type: urgent');
+  expect(() => scheduler.enqueueBatch([{ duration: 5 }, { duration: 0 }])).toThrow('Duration must be positive: 0');
+  expect(scheduler.getState().queue).toHaveLength(MAX_BATCH);
+});
+
+test('the convoy preset waits less under shortest remaining time first than under FIFO', () => {
+  const meanWait = (discipline) => {
+    const scheduler = createScheduler({ regularPriorityQueues: ['regular1'], defaultDiscipline: { id: discipline } });
+    scheduler.enqueueBatch(presetTasks('convoy'));
+    while (scheduler.admit());
+    scheduler.advance(200);
+    const { completed } = scheduler.getState();
+    expect(completed).toHaveLength(7);
+    return completed.reduce((sum, task) => sum + task.finishedAt - task.arrivedAt - task.duration, 0) / completed.length;
+  };
+  expect(meanWait('srtf')).toBeLessThan(meanWait('fifo'));
+});
@@ -0,0 +1,69 @@
+/**
+ * Task Records
+ *
+ * Every task keeps its identity and history while it moves through the system:
+ * - id / label: unique identifier and display name
+ * - type: id of the priority class that processes the task; the engine resolves the 'high' /
+ *   'normal' aliases when the task arrives (see priorityClasses.classForType)
+ * - duration / remaining: original and still outstanding work
+ * - serviceTime: time the task has spent being processed; unlike the duration it reflects the
+ *   speed of the queues that ran it, so waiting time is turnaround minus serviceTime
+ * - arrivedAt / admittedAt / startedAt / finishedAt: simulation timestamps (null until reached)
+ * - rejectedAt: time admission control dropped the task, if it did
+ * - cancelledAt: time the task was cancelled by hand, if it was
+ * - queues: names of the sub-queues the task has been placed in, in order
+ * - dependsOn: ids of the tasks that must complete before this one can be admitted (see workflows.js)
+ * - deadline: absolute time by which the task should finish, or null (see realtime.js)
+ * - period: period of the periodic task this task is a job of, or null for one-shot tasks
+ */
+
+/**
+ * Creates a task record
+ * @param {Object} fields - { id, label, type, duration, arrivedAt, dependsOn, deadline, period }
+ * @returns {Object} - New task record
+ */
+export const createTask = ({ id, label, type = 'normal', duration, arrivedAt = 0, dependsOn = [], deadline = null, period = null }) => ({
+  id,
+  label: label || `T${id}`,
+  type,
+  duration,
+  remaining: duration,
+  serviceTime: 0,
+  arrivedAt,
+  admittedAt: null,
+  startedAt: null,
+  finishedAt: null,
+  rejectedAt: null,
+  cancelledAt: null,
+  queues: [],
+  dependsOn,
+  deadline,
+  period,
+});
+
+/**
+ * Copies a task record so it can be handed out without sharing mutable state
+ */
+export const cloneTask = (task) => ({ ...task, queues: [...task.queues], dependsOn: [...task.dependsOn] });
+
+/**
+ * Formats a timestamp for display, or a dash if it has not been reached yet
+ */
+const formatTime = (time) => (time === null ? '-' : time.toFixed(1));
+
+/**
+ * Builds a multi-line description of a task, used for hover tooltips
+ * @param {Object} task - Task record
+ * @returns {string} - Human readable task details
+ */
+export const describeTask = (task) => [
+  `${task.label} (#${task.id}, ${task.type} priority)`,
+  `Duration: ${task.duration}, remaining: ${task.remaining.toFixed(1)}`,
+  `Arrived: ${formatTime(task.arrivedAt)}, admitted: ${formatTime(task.admittedAt)}`,
+  `Started: ${formatTime(task.startedAt)}, finished: ${formatTime(task.finishedAt)}`,
+  ...(task.deadline === null ? [] : [`Deadline: ${formatTime(task.deadline)}${task.period === null ? '' : `, period: ${task.period}`}`]),
+  ...(task.rejectedAt === null ? [] : [`Rejected: ${formatTime(task.rejectedAt)}`]),
+  ...(task.cancelledAt === null ? [] : [`Cancelled: ${formatTime(task.cancelledAt)}`]),
+  `Queues: ${task.queues.length > 0 ? task.queues.join(' → ') : '-'}`,
+  ...(task.dependsOn.length === 0 ? [] : [`Depends on: ${task.dependsOn.map(id => `#${id}`).join(', ')}`]),
+].join('\n');
@@ -0,0 +1,203 @@
+import { blockedBy } from './workflows';
+import { waitingTime } from './metrics';
+
+/**
+ * Workload Traces and Results
+ *
+ * Imports predefined process tables (arrival time, burst time, priority) from CSV or JSON
+ * as scheduled arrivals, and exports what the simulator did with every task as CSV or JSON.
+ *
+ * Trace columns/fields are matched case-insensitively, ignoring spaces, dashes and underscores:
+ * - arrival: arrival, arrivaltime, arrive, at (default 0)
+ * - burst: burst, bursttime, duration, bt (required)
+ * - priority: priority, prio, pr (default normal) - 'high' / 'normal', or a number where
+ *   values up to highPriorityMax are high priority (lower numbers are more urgent)
+ * - label: label, name, process, pid, id (default T<id>)
+ */
+
+const FIELD_ALIASES = {
+  arrival: ['arrival', 'arrivaltime', 'arrive', 'at'],
+  burst: ['burst', 'bursttime', 'duration', 'bt'],
+  priority: ['priority', 'prio', 'pr'],
+  label: ['label', 'name', 'process', 'pid', 'id'],
+};
+
+/**
+ * Columns of the per-task results export, in order
+ */
+export const RESULT_COLUMNS = ['id', 'label', 'type', 'status', 'arrival', 'duration', 'queue', 'start', 'finish', 'wait', 'turnaround'];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Finds the trace field a column or property name stands for, or null if it is not used
+ */
+const fieldFor = (key) => {
+  const normalized = normalizeKey(key);
+  const match = Object.entries(FIELD_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+// ==================== PARSING ====================
+
+/**
+ * Splits one CSV line into cells, honouring double-quoted cells with "" escapes
+ */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Parses CSV text with a header row into plain row objects
+ */
+const parseCsvRows = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (!header) throw new Error('Trace is empty');
+  const columns = splitCsvLine(header);
+  return lines.map(line => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+  });
+};
+
+/**
+ * Maps a priority value to a task type
+ * Class ids and names map to that class and 'high'/'normal' stay aliases. Numbers pick a class by
+ * rank (1 or less is the most urgent class, anything past the last class the least urgent one),
+ * or with byRank off are split into 'high' and 'normal' at highPriorityMax.
+ */
+const typeForPriority = (priority, { highPriorityMax, byRank, classes }, row) => {
+  if (priority === undefined || priority === null || priority === '') return 'normal';
+  const text = String(priority).trim().toLowerCase();
+  if (text === 'high' || text === 'normal') return text;
+  const priorityClass = classes.find(({ id, name }) => id === text || name.toLowerCase() === text);
+  if (priorityClass) return priorityClass.id;
+
+  const value = Number(text);
+  if (Number.isNaN(value)) throw new Error(`Row ${row}: unknown priority "${priority}"`);
+  if (byRank) return classes[Math.min(Math.max(Math.round(value), 1), classes.length) - 1].id;
+  return value <= highPriorityMax ? 'high' : 'normal';
+};
+
+/**
+ * Parses a CSV or JSON trace into arrivals for scheduler.scheduleArrivals()
+ * JSON traces are an array of objects (or { tasks: [...] }); anything else is read as CSV
+ * @param {string} text - Trace contents
+ * @param {Object} options - { highPriorityMax: numeric priorities up to this value are high priority (default 1),
+ *   byRank: numeric priorities pick the class of that rank instead, 1 being the most urgent (default false),
+ *   classes: priority classes [{ id, name }], most urgent first, whose ids or names may be given as the priority }
+ * @returns {Array} - [{ time, duration, type, label }] in trace order, times relative to the start of the trace
+ */
+export function parseTrace(text, { highPriorityMax = 1, byRank = false, classes = [] } = {}) {
+  if (byRank && classes.length === 0) throw new Error('Priorities by rank need the priority classes');
+  const trimmed = text.trim();
+  let rows;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.tasks;
+    if (!Array.isArray(rows)) throw new Error('JSON trace must be an array of tasks or { tasks: [...] }');
+  } else {
+    rows = parseCsvRows(trimmed);
+  }
+  if (rows.length === 0) throw new Error('Trace has no tasks');
+
+  return rows.map((raw, index) => {
+    const row = index + 1;
+    const fields = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      const field = fieldFor(key);
+      if (field) fields[field] = value;
+    });
+
+    if (fields.burst === undefined || fields.burst === '') throw new Error(`Row ${row}: missing burst time`);
+    const duration = Number(fields.burst);
+    if (!(duration > 0)) throw new Error(`Row ${row}: burst time must be a positive number`);
+
+    const hasArrival = fields.arrival !== undefined && fields.arrival !== '';
+    const time = hasArrival ? Number(fields.arrival) : 0;
+    if (!(time >= 0)) throw new Error(`Row ${row}: arrival time must be a non-negative number`);
+
+    const hasLabel = fields.label !== undefined && fields.label !== '';
+    return {
+      time,
+      duration,
+      type: typeForPriority(fields.priority, { highPriorityMax, byRank, classes }, row),
+      ...(hasLabel ? { label: String(fields.label) } : {}),
+    };
+  });
+}
+
+// ==================== RESULTS ====================
+
+/**
+ * Builds one result row per task the simulator knows about
+ * Wait and turnaround use the same definitions as metrics.js, so exports match the statistics panel
+ * @param {Object} state - Scheduler state snapshot
+ * @returns {Array} - Rows with the RESULT_COLUMNS fields, ordered by task id
+ */
+export function taskResults(state) {
+  const { queue, subQueues, completed, rejected, cancelled } = state;
+  const inQueues = Object.values(subQueues).flat();
+  const completedIds = new Set(completed.map(task => task.id));
+
+  const row = (task, status) => {
+    const finished = status === 'completed';
+    const turnaround = finished ? Math.round((task.finishedAt - task.arrivedAt) * 100) / 100 : null;
+    return {
+      id: task.id,
+      label: task.label,
+      type: task.type,
+      status,
+      arrival: task.arrivedAt,
+      duration: task.duration,
+      queue: task.queues.length > 0 ? task.queues[task.queues.length - 1] : null,
+      start: task.startedAt,
+      finish: task.finishedAt,
+      wait: finished ? Math.round(waitingTime(task) * 100) / 100 : null,
+      turnaround,
+    };
+  };
+
+  return [
+    ...completed.map(task => row(task, 'completed')),
+    ...rejected.map(task => row(task, 'rejected')),
+    ...cancelled.map(task => row(task, 'cancelled')),
+    ...inQueues.map(task => row(task, task.startedAt === null ? 'admitted' : 'started')),
+    ...queue.map(task => row(task, blockedBy(task, completedIds).length > 0 ? 'blocked' : 'waiting')),
+  ].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats result rows as CSV with a header row
+ */
+export const resultsToCsv = (rows) => [
+  RESULT_COLUMNS.join(','),
+  ...rows.map(result => RESULT_COLUMNS.map(column => csvCell(result[column])).join(',')),
+].join('\n') + '\n';
@@ -0,0 +1,95 @@
+import { createScheduler } from './scheduler';
+import { computeMetrics } from './metrics';
+import { parseTrace, taskResults, resultsToCsv } from './traces';
+
+test('parses CSV process tables with flexible headers', () => {
+  const csv = [
+    'Process,Arrival Time,Burst_Time,Priority',
+    'P1,0,24,3',
+    '"P2, urgent",2,3,1',
+    '# comment lines and blank lines are skipped',
+    '',
+    'P3,4,3,high',
+  ].join('\n');
+
+  expect(parseTrace(csv)).toEqual([
+    { time: 0, duration: 24, type: 'normal', label: 'P1' },
+    { time: 2, duration: 3, type: 'high', label: 'P2, urgent' },
+    { time: 4, duration: 3, type: 'high', label: 'P3' },
+  ]);
+  expect(parseTrace(csv, { highPriorityMax: 3 }).map(arrival => arrival.type)).toEqual(['high', 'high', 'high']);
+});
+
+test('parses JSON traces', () => {
+  const json = JSON.stringify({ tasks: [{ name: 'A', arrival: 5, burst: 10 }, { duration: 7, priority: 'normal' }] });
+  expect(parseTrace(json)).toEqual([
+    { time: 5, duration: 10, type: 'normal', label: 'A' },
+    { time: 0, duration: 7, type: 'normal' },
+  ]);
+});
+
+test('maps priorities naming a priority class to that class', () => {
+  const scheduler = createScheduler();
+  scheduler.addPriorityClass({ name: 'Batch' });
+  const { classes } = scheduler.getState();
+  const trace = 'pid,arrival,burst,priority\nP1,0,5,batch\nP2,0,5,Regular\nP3,0,5,1\nP4,0,5,normal';
+
+  expect(parseTrace(trace, { classes }).map(arrival => arrival.type)).toEqual(['batch', 'regular', 'high', 'normal']);
+  expect(() => parseTrace(trace)).toThrow('Row 1: unknown priority "batch"');
+});
+
+test('numeric priorities can pick the class of that rank', () => {
+  const scheduler = createScheduler();
+  scheduler.addPriorityClass({ name: 'Batch' });
+  const { classes } = scheduler.getState();
+  const trace = 'pid,arrival,burst,priority\nP1,0,5,1\nP2,0,5,2\nP3,0,5,3\nP4,0,5,7\nP5,0,5,0\nP6,0,5,high';
+
+  expect(parseTrace(trace, { byRank: true, classes }).map(arrival => arrival.type))
+    .toEqual(['high', 'regular', 'batch', 'batch', 'high', 'high']);
+  expect(() => parseTrace(trace, { byRank: true })).toThrow('Priorities by rank need the priority classes');
+});
+
+test('reports the row of invalid trace entries', () => {
+  expect(() => parseTrace('pid,arrival,burst\nP1,0,5\nP2,1,')).toThrow('Row 2: missing burst time');
+  expect(() => parseTrace('pid,arrival,burst\nP1,-3,5')).toThrow('Row 1: arrival time must be a non-negative number');
+  expect(() => parseTrace('[{"burst": 5, "priority": "urgent"}]')).toThrow('Row 1: unknown priority "urgent"');
+  expect(() => parseTrace('pid,arrival,burst')).toThrow('Trace has no tasks');
+});
+
+test('imported arrivals enter the main queue at their arrival time', () => {
+  const scheduler = createScheduler();
+  scheduler.scheduleArrivals(parseTrace('pid,arrival,burst,priority\nP1,0,20,2\nP2,2,8,1\nP3,2,5,2'));
+
+  const { queue, scheduled } = scheduler.getState();
+  expect(queue.map(task => task.label)).toEqual(['P1']);
+  expect(scheduled).toHaveLength(2);
+
+  scheduler.advance(2);
+  expect(scheduler.getState().queue.map(task => [task.label, task.type, task.arrivedAt]))
+    .toEqual([['P1', 'regular', 0], ['P2', 'high', 2], ['P3', 'regular', 2]]);
+});
+
+test('exported results match the simulated run and the statistics', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 50 } });
+  scheduler.scheduleArrivals(parseTrace('pid,arrival,burst,priority\nP1,0,24,2\nP2,1,3,1\nP3,2,3,2\nP4,300,10,2'));
+  scheduler.advance(100);
+
+  const state = scheduler.getState();
+  const results = taskResults(state);
+  expect(results.map(result => [result.label, result.status])).toEqual([['P1', 'completed'], ['P2', 'completed'], ['P3', 'completed']]);
+
+  results.forEach(result => {
+    const task = state.completed.find(done => done.id === result.id);
+    expect(result.queue).toBe(task.queues[task.queues.length - 1]);
+    expect([result.start, result.finish]).toEqual([task.startedAt, task.finishedAt]);
+    expect(result.turnaround).toBeCloseTo(task.finishedAt - task.arrivedAt);
+  });
+  const { global } = computeMetrics(state);
+  const meanOf = (key) => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+  expect(meanOf('wait')).toBeCloseTo(global.avgWait);
+  expect(meanOf('turnaround')).toBeCloseTo(global.avgTurnaround);
+
+  const csv = resultsToCsv(results).trim().split('\n');
+  expect(csv[0]).toBe('id,label,type,status,arrival,duration,queue,start,finish,wait,turnaround');
+  expect(csv).toHaveLength(4);
+});
@@ -0,0 +1,29 @@
+import { useState } from 'react';
+
+/**
+ * Outcome of the last user action, for components whose callbacks may throw
+ *
+ * attempt(action, success) runs the action and keeps the message of the error it throws, if any.
+ * When the action succeeds the error is cleared and the success message is shown instead: a
+ * string, or a function that builds it from the action's return value (no message if omitted).
+ * setError and setMessage report the outcome of work that finishes later, e.g. file reads.
+ *
+ * @returns {Object} - { error, message, attempt, setError, setMessage }
+ */
+export const useActionStatus = () => {
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const attempt = (action, success = null) => {
+    try {
+      const result = action();
+      setMessage(typeof success === 'function' ? success(result) : success);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+      setMessage(null);
+    }
+  };
+
+  return { error, message, attempt, setError, setMessage };
+};
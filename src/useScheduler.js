@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { createScheduler } from './scheduler';
+import { replayRun } from './replay';
+
+/**
+ * Interval between simulation ticks in milliseconds (25fps animation)
+ */
+export const TICK_INTERVAL = 40;
+
+/**
+ * Amount of time processed per tick at 1x speed - 0.4 units every 40ms
+ */
+export const TICK_AMOUNT = 0.4;
+
+/**
+ * Selectable simulation speeds, as multiples of TICK_AMOUNT per tick
+ */
+export const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 20, 50];
+
+/**
+ * Engine methods exposed to components - each one refreshes React state after it runs
+ */
+const ACTIONS = [
+  'enqueue',
+  'enqueueBatch',
+  'enqueueWorkflow',
+  'admit',
+  'addQueue',
+  'removeQueue',
+  'updateQueue',
+  'drainQueue',
+  'pauseQueue',
+  'resumeQueue',
+  'addPriorityClass',
+  'updatePriorityClass',
+  'removePriorityClass',
+  'setClassSharing',
+  'setAdmissionPolicy',
+  'setDiscipline',
+  'setProcessors',
+  'setStealing',
+  'setDebug',
+  'clearViolations',
+  'setMlfq',
+  'startWorkload',
+  'stopWorkload',
+  'scheduleArrivals',
+  'addPeriodicTask',
+  'removePeriodicTask',
+  'setAdmissionControl',
+  'moveTask',
+  'cancelTask',
+  'updateTask',
+  'advance',
+  'stepToNextEvent',
+  'importState',
+];
+
+/**
+ * React hook that drives a scheduler engine
+ *
+ * Creates one engine per component, advances it on a timer while the clock is
+ * running and mirrors its state into React state after every tick or user action.
+ * All simulated time comes from this clock, so pausing freezes every effect and
+ * the speed scales how much virtual time each tick covers.
+ *
+ * Jumping to a point in time replays the run's event log (see replay.js). The run is kept as a
+ * recording so the user can scrub back and forth; any action or resuming the clock continues
+ * from the current point and drops the rest of the recording.
+ *
+ * @param {Object} config - Scheduler configuration passed to createScheduler
+ * @returns {Object} - { state, clock, replay, exportState, ...actions } with one function per entry in ACTIONS;
+ *                     clock is { running, speed, play, pause, setSpeed, stepTick, stepEvent },
+ *                     replay is { start, end, jumpTo }
+ */
+export default function useScheduler(config) {
+  const configRef = useRef(config);
+  const schedulerRef = useRef(null);
+  if (schedulerRef.current === null) {
+    schedulerRef.current = createScheduler(config);
+  }
+  // Snapshot of the run being scrubbed through, or null while recording normally
+  const recordingRef = useRef(null);
+
+  const [state, setState] = useState(() => schedulerRef.current.getState());
+
+  // Wrap each engine method so React state is refreshed after it runs
+  const actions = useMemo(() => Object.fromEntries(ACTIONS.map(method => [method, (...args) => {
+    recordingRef.current = null;
+    const result = schedulerRef.current[method](...args);
+    setState(schedulerRef.current.getState());
+    return result;
+  }])), []);
+
+  const [running, setRunning] = useState(true);
+  const [speed, setSpeed] = useState(1);
+
+  // Advance the simulation on a fixed interval while the clock is running
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const interval = setInterval(() => {
+      schedulerRef.current.advance(TICK_AMOUNT * speed);
+      setState(schedulerRef.current.getState());
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [running, speed]);
+
+  const play = useCallback(() => {
+    recordingRef.current = null;
+    setRunning(true);
+  }, []);
+  const pause = useCallback(() => setRunning(false), []);
+
+  // Single steps pause the clock so the result stays on screen
+  const stepTick = useCallback(() => {
+    setRunning(false);
+    actions.advance(TICK_AMOUNT);
+  }, [actions]);
+  const stepEvent = useCallback(() => {
+    setRunning(false);
+    return actions.stepToNextEvent();
+  }, [actions]);
+
+  const clock = { running, speed, play, pause, setSpeed, stepTick, stepEvent };
+
+  const exportState = useCallback(() => schedulerRef.current.exportState(), []);
+
+  /**
+   * Replaces the simulation with a replay of the recorded run up to the given time
+   */
+  const jumpTo = useCallback((time) => {
+    setRunning(false);
+    if (recordingRef.current === null) {
+      recordingRef.current = schedulerRef.current.exportState();
+    }
+    const replayed = replayRun(recordingRef.current, { config: configRef.current, until: time });
+    schedulerRef.current.importState(replayed.exportState());
+    setState(schedulerRef.current.getState());
+  }, []);
+
+  const replay = {
+    start: state.logBase ? state.logBase.time : 0,
+    end: recordingRef.current ? recordingRef.current.time : state.time,
+    jumpTo,
+  };
+
+  return { state, clock, replay, exportState, ...actions };
+}
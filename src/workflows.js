@@ -0,0 +1,118 @@
+/**
+ * Task Workflows
+ *
+ * A workflow is a set of tasks with dependencies between them (a directed acyclic graph),
+ * e.g. a build pipeline. A task stays blocked in the main queue until every task it depends
+ * on has completed; admission skips blocked tasks and takes the first ready one instead.
+ *
+ * Workflow JSON is an array of tasks (or { tasks: [...] }), each with:
+ * - id: key the other tasks of the workflow use to refer to it (required, unique)
+ * - duration: work of the task (required, positive)
+ * - type: class id, 'high' or 'normal' (default normal)
+ * - label: display name (default the id)
+ * - dependsOn: ids of the tasks that must complete first (default none)
+ */
+
+export const EXAMPLE_WORKFLOW = JSON.stringify([
+  { id: 'checkout', duration: 5 },
+  { id: 'build', duration: 30, dependsOn: ['checkout'] },
+  { id: 'lint', duration: 10, dependsOn: ['checkout'] },
+  { id: 'unit', duration: 20, dependsOn: ['build'] },
+  { id: 'e2e', duration: 40, dependsOn: ['build'] },
+  { id: 'deploy', duration: 10, type: 'high', dependsOn: ['lint', 'unit', 'e2e'] },
+], null, 2);
+
+// ==================== PARSING ====================
+
+/**
+ * Parses workflow JSON into tasks for scheduler.enqueueWorkflow()
+ * @param {string} text - Workflow JSON
+ * @returns {Array} - [{ key, duration, type, label, dependsOn: [keys] }], ordered so that every
+ *                    task comes after the tasks it depends on (input order otherwise)
+ */
+export function parseWorkflow(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Workflow is not valid JSON: ${e.message}`);
+  }
+  const rows = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(rows)) throw new Error('Workflow must be an array of tasks or { tasks: [...] }');
+  if (rows.length === 0) throw new Error('Workflow has no tasks');
+
+  const tasks = rows.map((row, index) => {
+    if (row.id === undefined || row.id === null || String(row.id).trim() === '') {
+      throw new Error(`Task ${index + 1}: missing id`);
+    }
+    const key = String(row.id);
+    const duration = Number(row.duration);
+    if (!(duration > 0)) throw new Error(`Task ${key}: duration must be a positive number`);
+    const dependsOn = row.dependsOn === undefined ? [] : row.dependsOn;
+    if (!Array.isArray(dependsOn)) throw new Error(`Task ${key}: dependsOn must be an array of task ids`);
+
+    return {
+      key,
+      duration,
+      type: row.type === undefined ? 'normal' : String(row.type),
+      label: row.label === undefined ? key : String(row.label),
+      dependsOn: dependsOn.map(String),
+    };
+  });
+
+  const keys = new Set();
+  tasks.forEach(({ key }) => {
+    if (keys.has(key)) throw new Error(`Duplicate task id: ${key}`);
+    keys.add(key);
+  });
+  tasks.forEach(({ key, dependsOn }) => {
+    const unknown = dependsOn.find(parent => !keys.has(parent));
+    if (unknown !== undefined) throw new Error(`Task ${key} depends on unknown task ${unknown}`);
+  });
+
+  // Kahn's algorithm, always taking the first ready task in input order
+  const ordered = [];
+  const done = new Set();
+  let remaining = tasks;
+  while (remaining.length > 0) {
+    const next = remaining.find(({ dependsOn }) => dependsOn.every(parent => done.has(parent)));
+    if (!next) throw new Error(`Workflow has a cycle between ${remaining.map(({ key }) => key).join(', ')}`);
+    ordered.push(next);
+    done.add(next.key);
+    remaining = remaining.filter(task => task !== next);
+  }
+  return ordered;
+}
+
+// ==================== ANALYSIS ====================
+
+/**
+ * Ids of the parents of a task that have not completed yet
+ * @param {Object} task - Task record
+ * @param {Set} completedIds - Ids of the completed tasks
+ */
+export const blockedBy = (task, completedIds) => task.dependsOn.filter(id => !completedIds.has(id));
+
+/**
+ * Finds the longest chain of dependent work, the lower bound on the makespan no matter how
+ * many queues process the tasks
+ * Dependencies on tasks that are not in the list are ignored
+ * @param {Array} tasks - Task records (anything with id, duration and dependsOn)
+ * @returns {Object} - { length, path: task ids from the first to the last task of the chain }
+ */
+export function criticalPath(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const longest = new Map();
+
+  // Longest chain ending with a task, memoized; the graph is acyclic so the recursion ends
+  const chainTo = (task) => {
+    if (!longest.has(task.id)) {
+      const parents = task.dependsOn.filter(id => byId.has(id)).map(id => chainTo(byId.get(id)));
+      const best = parents.reduce((max, chain) => (chain.length > max.length ? chain : max), { length: 0, path: [] });
+      longest.set(task.id, { length: best.length + task.duration, path: [...best.path, task.id] });
+    }
+    return longest.get(task.id);
+  };
+
+  return tasks.map(chainTo).reduce((max, chain) => (chain.length > max.length ? chain : max), { length: 0, path: [] });
+}
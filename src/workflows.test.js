@@ -0,0 +1,89 @@
+import { EXAMPLE_WORKFLOW, parseWorkflow, criticalPath } from './workflows';
+import { computeMetrics } from './metrics';
+import { createScheduler } from './scheduler';
+
+test('workflows are ordered so that every task comes after the tasks it depends on', () => {
+  const tasks = parseWorkflow(JSON.stringify({
+    tasks: [
+      { id: 'test', duration: 20, dependsOn: ['build'] },
+      { id: 'build', duration: 30, type: 'high' },
+      { id: 'docs', duration: 5, label: 'Docs' },
+    ],
+  }));
+  expect(tasks.map(task => task.key)).toEqual(['build', 'test', 'docs']);
+  expect(tasks[0]).toEqual({ key: 'build', duration: 30, type: 'high', label: 'build', dependsOn: [] });
+  expect(tasks[2].label).toBe('Docs');
+});
+
+test('rejects invalid workflows', () => {
+  expect(() => parseWorkflow('[')).toThrow('Workflow is not valid JSON');
+  expect(() => parseWorkflow('[]')).toThrow('Workflow has no tasks');
+  expect(() => parseWorkflow('[{ "duration": 5 }]')).toThrow('Task 1: missing id');
+  expect(() => parseWorkflow('[{ "id": "a", "duration": 0 }]')).toThrow('Task a: duration must be a positive number');
+  expect(() => parseWorkflow('[{ "id": "a", "duration": 5 }, { "id": "a", "duration": 5 }]')).toThrow('Duplicate task id: a');
+  expect(() => parseWorkflow('[{ "id": "a", "duration": 5, "dependsOn": ["b"] }]')).toThrow('Task a depends on unknown task b');
+  expect(() => parseWorkflow(JSON.stringify([
+    { id: 'a', duration: 5 },
+    { id: 'b', duration: 5, dependsOn: ['a', 'c'] },
+    { id: 'c', duration: 5, dependsOn: ['b'] },
+  ]))).toThrow('Workflow has a cycle between b, c');
+});
+
+test('the critical path is the longest chain of dependent work', () => {
+  const tasks = parseWorkflow(EXAMPLE_WORKFLOW).map(({ key, duration, dependsOn }) => ({ id: key, duration, dependsOn }));
+  expect(criticalPath(tasks)).toEqual({ length: 85, path: ['checkout', 'build', 'e2e', 'deploy'] });
+  // Independent tasks: the longest single task
+  expect(criticalPath([{ id: 1, duration: 5, dependsOn: [] }, { id: 2, duration: 8, dependsOn: [] }]).length).toBe(8);
+  expect(criticalPath([]).length).toBe(0);
+});
+
+test('tasks stay blocked in the main queue until the tasks they depend on complete', () => {
+  const scheduler = createScheduler();
+  const [first, second] = scheduler.enqueueWorkflow(parseWorkflow(JSON.stringify([
+    { id: 'a', duration: 4 },
+    { id: 'b', duration: 4, dependsOn: ['a'] },
+  ])));
+  const independent = scheduler.enqueue({ duration: 4, type: 'normal' });
+  expect(scheduler.getState().queue.find(task => task.id === second).dependsOn).toEqual([first]);
+
+  // b is skipped while blocked, the independent task behind it is admitted
+  expect(scheduler.admit()).toBe(true);
+  expect(scheduler.admit()).toBe(true);
+  expect(scheduler.admit()).toBe(false);
+  expect(scheduler.getState().queue.map(task => task.id)).toEqual([second]);
+  expect(Object.values(scheduler.getState().subQueues).flat().map(task => task.id).sort()).toEqual([first, independent]);
+
+  scheduler.advance(4);
+  expect(scheduler.admit()).toBe(true);
+  expect(() => scheduler.enqueue({ duration: 4, dependsOn: [99] })).toThrow('Unknown parent task: 99');
+});
+
+test('tasks that depend on a rejected task are rejected as well', () => {
+  const scheduler = createScheduler({ admissionControl: { maxBacklog: 10, whenFull: 'reject' } });
+  scheduler.enqueueWorkflow(parseWorkflow(JSON.stringify([
+    { id: 'big', duration: 50 },
+    { id: 'after', duration: 5, dependsOn: ['big'] },
+  ])));
+  scheduler.admit();
+  scheduler.admit();
+  const { queue, rejected } = scheduler.getState();
+  expect(queue).toEqual([]);
+  expect(rejected.map(task => task.label)).toEqual(['big', 'after']);
+});
+
+test('a workflow never finishes faster than its critical path', () => {
+  const scheduler = createScheduler({ admissionControl: { auto: true, rate: 1000 } });
+  scheduler.enqueueWorkflow(parseWorkflow(EXAMPLE_WORKFLOW));
+  scheduler.advance(200);
+
+  const state = scheduler.getState();
+  expect(state.completed).toHaveLength(6);
+  const finishedAt = Object.fromEntries(state.completed.map(task => [task.id, task.finishedAt]));
+  state.completed.forEach(task => {
+    task.dependsOn.forEach(parent => expect(task.startedAt).toBeGreaterThanOrEqual(finishedAt[parent]));
+  });
+
+  const { global } = computeMetrics(state);
+  expect(global.criticalPath).toBe(85);
+  expect(global.makespan).toBeGreaterThanOrEqual(85);
+});
@@ -0,0 +1,137 @@
+import { createRandom } from './random';
+
+/**
+ * Workload Generator
+ *
+ * Produces a deterministic stream of task arrivals from a seed:
+ * - Arrivals: Poisson process or fixed rate, expressed in tasks per 100 units of time
+ * - Durations: uniform, exponential, bimodal or heavy-tailed (Pareto) between min and max
+ * - Priority: each task is high priority with probability highRatio
+ */
+
+export const DEFAULT_WORKLOAD = {
+  seed: 42,
+  arrival: 'poisson',
+  rate: 5,
+  distribution: 'uniform',
+  highRatio: 0.3,
+  minDuration: 10,
+  maxDuration: 100,
+};
+
+export const ARRIVAL_PROCESSES = {
+  poisson: 'Poisson',
+  fixed: 'Fixed rate',
+};
+
+/**
+ * Duration distributions - each maps a random number generator and { minDuration, maxDuration }
+ * to a raw duration that is later clamped and rounded
+ */
+export const DURATION_DISTRIBUTIONS = {
+  uniform: {
+    label: 'Uniform',
+    sample: (random, { minDuration, maxDuration }) => minDuration + random() * (maxDuration - minDuration),
+  },
+  exponential: {
+    label: 'Exponential',
+    // Shifted exponential whose mean lies halfway between min and max
+    sample: (random, { minDuration, maxDuration }) => minDuration - Math.log(1 - random()) * ((maxDuration - minDuration) / 2),
+  },
+  bimodal: {
+    label: 'Bimodal',
+    // 80% short tasks from the bottom fifth of the range, 20% long tasks from the top fifth
+    sample: (random, { minDuration, maxDuration }) => {
+      const span = (maxDuration - minDuration) / 5;
+      return random() < 0.8
+        ? minDuration + random() * span
+        : maxDuration - random() * span;
+    },
+  },
+  heavyTailed: {
+    label: 'Heavy-tailed (Pareto)',
+    // Pareto with shape 1.5: most tasks are close to min, a few are very long
+    sample: (random, { minDuration }) => minDuration / Math.pow(1 - random(), 1 / 1.5),
+  },
+};
+
+/**
+ * Checks a workload configuration and throws on invalid values
+ */
+export const validateWorkload = (config) => {
+  if (!ARRIVAL_PROCESSES[config.arrival]) {
+    throw new Error(`Unknown arrival process: ${config.arrival}`);
+  }
+  if (!DURATION_DISTRIBUTIONS[config.distribution]) {
+    throw new Error(`Unknown duration distribution: ${config.distribution}`);
+  }
+  if (!(config.rate > 0)) {
+    throw new Error(`Arrival rate must be positive: ${config.rate}`);
+  }
+  if (!(config.highRatio >= 0 && config.highRatio <= 1)) {
+    throw new Error(`High priority ratio must be between 0 and 1: ${config.highRatio}`);
+  }
+  if (!(config.minDuration >= 1 && config.maxDuration >= config.minDuration)) {
+    throw new Error(`Durations must satisfy 1 <= min <= max: ${config.minDuration}-${config.maxDuration}`);
+  }
+};
+
+/**
+ * Creates a workload stream
+ *
+ * @param {Object} config - Overrides for DEFAULT_WORKLOAD
+ * @param {Object} resume - Optional { startTime, rngState, nextArrival } to continue a saved stream
+ * @returns {Object} - { peek, take, getState }
+ */
+export function createWorkload(config = {}, resume = {}) {
+  const options = { ...DEFAULT_WORKLOAD, ...config };
+  validateWorkload(options);
+
+  const random = createRandom(resume.rngState !== undefined ? resume.rngState : options.seed);
+  const meanGap = 100 / options.rate;
+
+  /**
+   * Draws the next arrival after the given time
+   */
+  const draw = (after) => {
+    const gap = options.arrival === 'poisson' ? -Math.log(1 - random()) * meanGap : meanGap;
+    const raw = DURATION_DISTRIBUTIONS[options.distribution].sample(random, options);
+    const duration = Math.round(Math.min(options.maxDuration, Math.max(options.minDuration, raw)));
+    const type = random() < options.highRatio ? 'high' : 'normal';
+    return { time: Math.round((after + gap) * 100) / 100, duration, type };
+  };
+
+  let nextArrival = resume.nextArrival || draw(resume.startTime || 0);
+
+  return {
+    config: options,
+
+    /**
+     * Returns the next arrival ({ time, duration, type }) without consuming it
+     */
+    peek: () => nextArrival,
+
+    /**
+     * Consumes the next arrival and draws the one after it
+     */
+    take: () => {
+      const arrival = nextArrival;
+      nextArrival = draw(arrival.time);
+      return arrival;
+    },
+
+    /**
+     * Returns everything needed to resume this stream with createWorkload(config, state)
+     */
+    getState: () => ({ rngState: random.getState(), nextArrival: { ...nextArrival } }),
+  };
+}
+
+/**
+ * Generates a fixed number of arrivals up front
+ * @returns {Array} - [{ time, duration, type }]
+ */
+export function generateWorkload(config, count, startTime = 0) {
+  const workload = createWorkload(config, { startTime });
+  return Array.from({ length: count }, () => workload.take());
+}
@@ -0,0 +1,83 @@
+import { createWorkload, generateWorkload, DURATION_DISTRIBUTIONS } from './workload';
+import { createRandom } from './random';
+import { createScheduler } from './scheduler';
+import { classForType } from './priorityClasses';
+
+test('the same seed produces the same sequence', () => {
+  const a = createRandom(7);
+  const b = createRandom(7);
+  const c = createRandom(8);
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect([c(), c(), c()]).not.toEqual(first);
+  first.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('a random generator can be resumed from its saved state', () => {
+  const random = createRandom(3);
+  random();
+  const resumed = createRandom(random.getState());
+  expect(resumed()).toBe(random());
+});
+
+test('seeded workloads are identical across runs', () => {
+  const config = { seed: 123, distribution: 'exponential', highRatio: 0.5 };
+  expect(generateWorkload(config, 50)).toEqual(generateWorkload(config, 50));
+  expect(generateWorkload({ ...config, seed: 124 }, 50)).not.toEqual(generateWorkload(config, 50));
+});
+
+test('durations stay within bounds for every distribution', () => {
+  Object.keys(DURATION_DISTRIBUTIONS).forEach(distribution => {
+    generateWorkload({ distribution, minDuration: 5, maxDuration: 60 }, 200).forEach(({ duration }) => {
+      expect(Number.isInteger(duration)).toBe(true);
+      expect(duration).toBeGreaterThanOrEqual(5);
+      expect(duration).toBeLessThanOrEqual(60);
+    });
+  });
+});
+
+test('fixed-rate arrivals are evenly spaced and respect the high priority ratio', () => {
+  const arrivals = generateWorkload({ arrival: 'fixed', rate: 10, highRatio: 0 }, 3);
+  expect(arrivals.map(arrival => arrival.time)).toEqual([10, 20, 30]);
+  expect(arrivals.every(arrival => arrival.type === 'normal')).toBe(true);
+
+  const allHigh = generateWorkload({ highRatio: 1 }, 20);
+  expect(allHigh.every(arrival => arrival.type === 'high')).toBe(true);
+});
+
+test('a saved workload stream resumes where it left off', () => {
+  const workload = createWorkload({ seed: 9 });
+  workload.take();
+  const resumed = createWorkload({ seed: 9 }, workload.getState());
+  expect([resumed.take(), resumed.take()]).toEqual([workload.take(), workload.take()]);
+});
+
+test('rejects invalid workload configurations', () => {
+  expect(() => createWorkload({ rate: 0 })).toThrow('Arrival rate must be positive');
+  expect(() => createWorkload({ minDuration: 0 })).toThrow('Durations must satisfy');
+  expect(() => createWorkload({ highRatio: 2 })).toThrow('High priority ratio');
+  expect(() => createWorkload({ distribution: 'nope' })).toThrow('Unknown duration distribution');
+});
+
+test('the scheduler streams workload arrivals into the main queue at their arrival time', () => {
+  const config = { seed: 5, arrival: 'fixed', rate: 20 };
+  const expected = generateWorkload(config, 3);
+
+  const scheduler = createScheduler();
+  scheduler.startWorkload(config);
+  for (let i = 0; i < 16; i++) scheduler.tick(1);
+
+  const { queue, workload, classes } = scheduler.getState();
+  expect(workload.seed).toBe(5);
+  // Arrivals of type 'high' / 'normal' join the class the alias stands for
+  expect(queue.map(task => [task.arrivedAt, task.duration, task.type]))
+    .toEqual(expected.map(arrival => [arrival.time, arrival.duration, classForType(arrival.type, classes).id]));
+
+  scheduler.stopWorkload();
+  for (let i = 0; i < 10; i++) scheduler.tick(1);
+  expect(scheduler.getState().queue).toHaveLength(3);
+  expect(scheduler.getState().workload).toBeNull();
+});